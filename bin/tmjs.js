@@ -1,15 +1,21 @@
 #!/usr/bin/env node
-import { argv, exit } from 'node:process';
+import process, { argv, exit } from 'node:process';
 import fs from 'node:fs/promises';
-import TeachableMachine from '../src/index.js';
+import path from 'node:path';
+import TeachableMachine, { createServer, parseSamplingSpec, listModelCaches, verifyModelCache, pruneModelCaches, AbortError, TimeoutError } from '../src/index.js';
+import { formatEvaluationTable, renderEvaluationHtml } from '../src/evaluate.js';
+import { IMAGE_EXTENSIONS } from '../src/utils/io.js';
+import { expandInputs, VIDEO_EXTENSIONS, AUDIO_EXTENSIONS } from '../src/utils/inputs.js';
+import { CSV_COLUMNS, csvRow, csvRecord, openOutputSink } from '../src/utils/output.js';
 
 function printHelp() {
-  console.log(`tmjs - Teachable Machine CLI\n\nUsage:\n  tmjs --model <url|dir> [--backend tfjs|tfjs-node] [--io ram|disk] [--frames N] [--topK K] [--turbo] [--maxBytes BYTES] [--media image|video|auto] <inputs...>\n\nExamples:\n  tmjs --model https://teachablemachine.withgoogle.com/models/XXX/ image.jpg\n  tmjs --model ./model --media video --frames 8 --turbo video.mp4 gif.gif\n`);
+  console.log(`tmjs - Teachable Machine CLI\n\nUsage:\n  tmjs --model <url|dir|zip> [--backend tfjs|tfjs-node] [--io ram|disk] [--frames N] [--topK K] [--turbo] [--maxBytes BYTES] [--media image|video|audio|auto] [--sampling SPEC] [--segments] [--subtitles vtt|srt] [--cacheDir DIR] [--timeout MS] [--progress|--no-progress] [--tta mean|max] [--batchSize N] [--format json|jsonl|csv] [--out FILE] [MODEL OPTIONS] <inputs...>\n  tmjs serve --model <url|dir> [--port N] [--host HOST] [--concurrency N] [--maxBytes BYTES] [--backend tfjs|tfjs-node] [--io ram|disk] [--timeout MS] [MODEL OPTIONS]\n  tmjs train --model <baseDir> --dataset <dir> --out <dir> [--epochs N] [--batchSize N] [--lr RATE] [--validationSplit F]\n  tmjs eval --model <url|dir> --dataset <dir> [--topK K] [--timeout MS] [--progress|--no-progress] [--format table|json|html] [--out FILE] [MODEL OPTIONS]\n  tmjs quantize --model <dir> --out <dir> [--dtype float16|uint8] [--sample DIR] [--batchSize N] [MODEL OPTIONS]\n  tmjs stream --model <url|dir> [--fps N] [--topK K] [--drop] [MODEL OPTIONS] <url|file|->\n  tmjs cache list|verify|prune <dirs...> [--olderThan DAYS] [--dryRun] [--format json]\n\nModel options (for models whose metadata does not describe their input):\n  --labels A,B,C  --normalization mobilenet|unit|raw|imagenet  --channelOrder rgb|bgr  --inputSize N|WxH\n  --saveTo DIR  --refresh never|if-changed|always  --offline   (local copy of a model loaded from a URL or zip)\n\nInputs: files, directories (searched recursively), quoted globs like 'photos/**/*.jpg', URLs, or - to read one input per line from stdin.\nOutput: json (default), jsonl (one line per item as it completes) or csv (input,top1,score,topK,error), to stdout or --out FILE.\nExit codes: 0 all items classified, 2 some items failed, 1 fatal error, 130 interrupted.\n\nExamples:\n  tmjs --model https://teachablemachine.withgoogle.com/models/XXX/ image.jpg\n  tmjs --model ./model --media video --frames 8 --turbo video.mp4 gif.gif\n  tmjs --model ./model --media video --sampling scene:0.4 video.mp4\n  tmjs --model ./model --format jsonl --out results.jsonl ./photos 'archive/**/*.png'\n  find /data -name '*.jpg' | tmjs --model ./model --format csv -\n  tmjs serve --model ./model --port 8080\n  tmjs train --model ./model --dataset ./photos --out ./model-v2 --epochs 30\n  tmjs eval --model ./model --dataset ./holdout --format html --out report.html\n  tmjs quantize --model ./model --dtype uint8 --out ./model-uint8 --sample ./holdout\n  tmjs --model https://example.com/model/ --saveTo ./model --refresh if-changed image.jpg\n  tmjs cache prune ./models --olderThan 30\n  tmjs stream --model ./model --fps 2 rtsp://camera.local/stream\n  ffmpeg -i cam.mp4 -f mpegts - | tmjs stream --model ./model -\n`);
 }
 
 function parseArgs() {
   const args = argv.slice(2);
   const opts = { positional: [] };
+  if (['serve', 'train', 'eval', 'stream', 'quantize', 'cache'].includes(args[0])) { opts.command = args.shift(); }
   for (let i = 0; i < args.length; i++) {
     const a = args[i];
     if (a === '--help' || a === '-h') return { help: true };
@@ -21,42 +27,364 @@ function parseArgs() {
     if (a === '--maxBytes') { opts.maxBytes = Number(args[++i]); continue; }
     if (a === '--turbo') { opts.turbo = true; continue; }
     if (a === '--media') { opts.media = args[++i]; continue; }
+    if (a === '--port') { opts.port = Number(args[++i]); continue; }
+    if (a === '--host') { opts.host = args[++i]; continue; }
+    if (a === '--concurrency') { opts.concurrency = Number(args[++i]); continue; }
+    if (a === '--poseNet') { opts.poseNet = args[++i]; continue; }
+    if (a === '--cacheDir') { opts.cacheDir = args[++i]; continue; }
+    if (a === '--timeout') { opts.timeout = Number(args[++i]); continue; }
+    if (a === '--tta') { opts.tta = args[++i]; continue; }
+    if (a === '--labels') { opts.labels = args[++i].split(',').map(l => l.trim()); continue; }
+    if (a === '--normalization') { opts.normalization = args[++i]; continue; }
+    if (a === '--channelOrder') { opts.channelOrder = args[++i]; continue; }
+    if (a === '--inputSize') { opts.inputSize = parseInputSize(args[++i]); continue; }
+    if (a === '--saveTo') { opts.saveTo = args[++i]; continue; }
+    if (a === '--refresh') { opts.refresh = args[++i]; continue; }
+    if (a === '--offline') { opts.offline = true; continue; }
+    if (a === '--olderThan') { opts.olderThan = Number(args[++i]); continue; }
+    if (a === '--dryRun') { opts.dryRun = true; continue; }
+    if (a === '--progress') { opts.progress = true; continue; }
+    if (a === '--no-progress') { opts.progress = false; continue; }
+    if (a === '--dataset') { opts.dataset = args[++i]; continue; }
+    if (a === '--dtype') { opts.dtype = args[++i]; continue; }
+    if (a === '--sample') { opts.sample = args[++i]; continue; }
+    if (a === '--out') { opts.out = args[++i]; continue; }
+    if (a === '--epochs') { opts.epochs = Number(args[++i]); continue; }
+    if (a === '--batchSize') { opts.batchSize = Number(args[++i]); continue; }
+    if (a === '--lr') { opts.lr = Number(args[++i]); continue; }
+    if (a === '--validationSplit') { opts.validationSplit = Number(args[++i]); continue; }
+    if (a === '--format') { opts.format = args[++i]; continue; }
+    if (a === '--segments') { opts.segments = true; continue; }
+    if (a === '--sampling') { opts.sampling = parseSamplingSpec(args[++i]); continue; }
+    if (a === '--fps') { opts.fps = Number(args[++i]); continue; }
+    if (a === '--drop') { opts.drop = true; continue; }
+    if (a === '-') { opts.positional.push(a); continue; }
+    if (a === '--subtitles') { opts.subtitles = args[++i]; continue; }
     if (!a.startsWith('-')) { opts.positional.push(a); continue; }
   }
   return opts;
 }
 
-async function main() {
-  const opts = parseArgs();
-  if (opts.help || !opts.model || opts.positional.length === 0) {
-    printHelp();
+/**
+ * `--inputSize 224` or `--inputSize 320x240` (width x height).
+ */
+function parseInputSize(value) {
+  const [w, h] = String(value).split('x').map(Number);
+  return h === undefined ? w : { width: w, height: h };
+}
+
+/**
+ * `--timeout MS` applies the same limit to every pipeline stage.
+ */
+function stageTimeouts(opts) {
+  if (!(opts.timeout > 0)) return undefined;
+  const ms = opts.timeout;
+  return { download: ms, probe: ms, extract: ms, preprocess: ms, inference: ms };
+}
+
+/**
+ * AbortSignal that fires on SIGINT/SIGTERM, so Ctrl+C stops FFmpeg and downloads cleanly.
+ */
+function interruptSignal() {
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+  process.once('SIGTERM', () => controller.abort());
+  return controller.signal;
+}
+
+/**
+ * Progress bar on stderr driven by `onProgress` events. On by default when stderr is a TTY, so
+ * piped JSON output stays clean; `--progress` / `--no-progress` override.
+ */
+function progressBar(opts) {
+  if (!(opts.progress ?? process.stderr.isTTY)) return { onProgress: undefined, done: () => {} };
+  const width = 24;
+  let stage = '';
+  let frames = '';
+  const onProgress = (e) => {
+    if (e.type === 'stage') stage = e.stage;
+    if (e.type === 'frames') frames = `${e.framesExtracted}${e.framesTotal ? `/${e.framesTotal}` : ''} frames`;
+    if (e.type === 'item') frames = '';
+    const filled = Math.round((e.completed / Math.max(1, e.total)) * width);
+    const bar = '#'.repeat(filled) + '-'.repeat(width - filled);
+    process.stderr.write(`\r\x1b[K[${bar}] ${e.completed}/${e.total} ${stage}${frames ? ` (${frames})` : ''}`);
+  };
+  return { onProgress, done: () => process.stderr.write('\r\x1b[K') };
+}
+
+function loadModel(opts) {
+  const remote = opts.model?.startsWith('http');
+  const zip = !remote && opts.model?.toLowerCase().endsWith('.zip');
+  return TeachableMachine.create({
+    modelUrl: remote ? opts.model : undefined,
+    modelDir: !remote && !zip ? opts.model : undefined,
+    modelZip: zip ? opts.model : undefined,
+    loadFrom: 'auto', saveToDir: !remote && !zip ? opts.model : opts.saveTo,
+    refresh: opts.refresh || 'if-changed',
+    offline: !!opts.offline,
+    backend: opts.backend || 'tfjs',
+    ioMode: (opts.io === 'disk') ? 'disk' : 'ram',
+    poseNetDir: opts.poseNet,
+    cache: opts.cacheDir ? { dir: opts.cacheDir } : undefined,
+    timeouts: stageTimeouts(opts),
+    labels: opts.labels,
+    normalization: opts.normalization,
+    channelOrder: opts.channelOrder,
+    inputSize: opts.inputSize
+  });
+}
+
+async function serve(opts) {
+  const tm = await loadModel(opts);
+  const server = createServer(tm, {
+    maxBytes: Number.isFinite(opts.maxBytes) ? opts.maxBytes : 10 * 1024 * 1024,
+    concurrency: Number.isFinite(opts.concurrency) ? opts.concurrency : 2
+  });
+  const port = Number.isFinite(opts.port) ? opts.port : 3000;
+  const host = opts.host || '127.0.0.1';
+  server.listen(port, host, () => console.error(`tmjs: serving ${opts.model} on http://${host}:${server.address().port}`));
+  const shutdown = () => server.close(() => { tm.dispose(); exit(0); });
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+async function train(opts) {
+  const res = await TeachableMachine.train({
+    datasetDir: opts.dataset,
+    baseModelDir: opts.model,
+    outDir: opts.out,
+    epochs: Number.isFinite(opts.epochs) ? opts.epochs : undefined,
+    batchSize: Number.isFinite(opts.batchSize) ? opts.batchSize : undefined,
+    learningRate: Number.isFinite(opts.lr) ? opts.lr : undefined,
+    validationSplit: Number.isFinite(opts.validationSplit) ? opts.validationSplit : undefined,
+    signal: interruptSignal(),
+    onEpochEnd: ({ epoch, loss, acc, valLoss, valAcc }) => {
+      const val = valLoss !== undefined ? ` val_loss=${valLoss.toFixed(4)} val_acc=${valAcc.toFixed(4)}` : '';
+      console.error(`epoch ${epoch}: loss=${loss.toFixed(4)} acc=${acc.toFixed(4)}${val}`);
+    }
+  });
+  console.log(JSON.stringify(res, null, 2));
+}
+
+async function quantize(opts) {
+  const res = await TeachableMachine.quantize({
+    modelDir: opts.model,
+    outDir: opts.out,
+    dtype: opts.dtype || 'uint8',
+    sampleDir: opts.sample,
+    batchSize: Number.isFinite(opts.batchSize) ? opts.batchSize : undefined,
+    signal: interruptSignal(),
+    labels: opts.labels,
+    normalization: opts.normalization,
+    channelOrder: opts.channelOrder,
+    inputSize: opts.inputSize
+  });
+  const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+  const agreement = res.agreement?.top1Agreement != null ? `, top-1 agreement ${(res.agreement.top1Agreement * 100).toFixed(1)}% on ${res.agreement.compared} images` : '';
+  console.error(`tmjs: ${mb(res.size.before)} -> ${mb(res.size.after)} (${(res.size.reduction * 100).toFixed(1)}% smaller)${agreement}`);
+  console.log(JSON.stringify(res, null, 2));
+}
+
+async function cache(opts) {
+  const [action, ...dirs] = opts.positional;
+  const json = opts.format === 'json';
+  if (action === 'list') {
+    const caches = await listModelCaches(dirs);
+    if (json) { console.log(JSON.stringify(caches, null, 2)); return; }
+    for (const { dir, manifest, bytes } of caches) {
+      console.log(`${dir}\t${manifest.sourceUrl}\t${(bytes / 1024 / 1024).toFixed(2)} MB\tdownloaded ${manifest.downloadedAt}\tchecked ${manifest.checkedAt}`);
+    }
     return;
   }
-  const tm = await TeachableMachine.create({
-    modelUrl: opts.model?.startsWith('http') ? opts.model : undefined,
-    modelDir: !opts.model?.startsWith('http') ? opts.model : undefined,
-    loadFrom: 'auto', saveToDir: !opts.model?.startsWith('http') ? opts.model : undefined,
-    backend: opts.backend || 'tfjs',
-    ioMode: (opts.io === 'disk') ? 'disk' : 'ram'
+  if (action === 'verify') {
+    const caches = await listModelCaches(dirs);
+    const results = await Promise.all(caches.map(c => verifyModelCache(c.dir)));
+    if (json) console.log(JSON.stringify(results, null, 2));
+    else for (const r of results) console.log(`${r.ok ? 'ok' : 'FAILED'}\t${r.dir}${r.problems.length ? `\t${r.problems.join('; ')}` : ''}`);
+    if (results.some(r => !r.ok)) exit(1);
+    return;
+  }
+  const removed = await pruneModelCaches(dirs, { olderThanDays: opts.olderThan, dryRun: !!opts.dryRun });
+  if (json) { console.log(JSON.stringify(removed, null, 2)); return; }
+  for (const r of removed) console.log(`${opts.dryRun ? 'would remove' : 'removed'}\t${r.path}${r.files ? ` (${r.files.join(', ')})` : ''}\t${r.reason}`);
+}
+
+async function evaluate(opts) {
+  const tm = await loadModel(opts);
+  const bar = progressBar(opts);
+  const report = await tm.evaluate({
+    datasetDir: opts.dataset,
+    topK: Number.isFinite(opts.topK) ? opts.topK : undefined,
+    batchSize: Number.isFinite(opts.batchSize) ? opts.batchSize : undefined,
+    signal: interruptSignal(),
+    onProgress: bar.onProgress
+  }).finally(bar.done);
+  const format = opts.format || 'table';
+  const text = format === 'json' ? JSON.stringify(report, null, 2)
+    : format === 'html' ? renderEvaluationHtml(report)
+    : formatEvaluationTable(report);
+  if (opts.out) {
+    await fs.writeFile(opts.out, text);
+    console.error(`tmjs: wrote ${format} report to ${opts.out}`);
+  } else {
+    console.log(text);
+  }
+  tm.dispose();
+}
+
+async function stream(opts) {
+  const tm = await loadModel(opts);
+  const signal = interruptSignal();
+  const src = opts.positional[0];
+  const iter = tm.classifyStream({
+    source: src === '-' ? process.stdin : src,
+    fps: Number.isFinite(opts.fps) ? opts.fps : 1,
+    topK: Number.isFinite(opts.topK) ? opts.topK : undefined,
+    dropFrames: !!opts.drop,
+    signal
   });
+  // One JSON object per line, flushed as each frame is classified
+  for await (const r of iter) console.log(JSON.stringify(r));
+  tm.dispose();
+}
 
-  const mediaType = opts.media || 'auto';
-  const frames = Number.isFinite(opts.frames) ? opts.frames : 10;
+/**
+ * File extensions picked up from input directories: those of the pipeline `--media` selects
+ * (audio for audio models), or images and videos with `auto`.
+ */
+function inputExtensions(tm, media) {
+  if (media === 'audio' || tm.model.kind === 'audio') return AUDIO_EXTENSIONS;
+  if (media === 'image') return IMAGE_EXTENSIONS;
+  if (media === 'video') return VIDEO_EXTENSIONS;
+  return new Set([...IMAGE_EXTENSIONS, ...VIDEO_EXTENSIONS]);
+}
+
+/**
+ * Classifies inputs and yields `{ index, input, result }` as each item completes: images through
+ * classifyIter() (micro-batched, in completion order), videos and audio one at a time. `--media auto`
+ * sends video/GIF extensions to the video pipeline and everything else to the image pipeline.
+ * Failed items are yielded with an `error` result; only an interrupt stops the run.
+ */
+async function* classifyInputs(tm, inputs, opts, signal) {
+  const media = opts.media || 'auto';
+  const kindOf = (input) => {
+    if (media === 'audio' || tm.model.kind === 'audio') return 'audio';
+    if (media === 'image' || media === 'video') return media;
+    return VIDEO_EXTENSIONS.has(path.extname(input.split(/[?#]/)[0]).toLowerCase()) ? 'video' : 'image';
+  };
+  const kinds = inputs.map(kindOf);
   const topK = Number.isFinite(opts.topK) ? opts.topK : undefined;
   const maxBytes = Number.isFinite(opts.maxBytes) ? opts.maxBytes : 10 * 1024 * 1024;
-  const inputs = opts.positional;
+  const tta = opts.tta ? { combine: opts.tta } : undefined;
+  const images = inputs.map((input, index) => ({ input, index })).filter(({ index }) => kinds[index] === 'image');
+  if (images.length) {
+    const batchSize = Number.isFinite(opts.batchSize) ? opts.batchSize : 16;
+    for await (const { index, ...result } of tm.classifyIter(images.map(i => i.input), { batchSize, ordered: false, topK, tta, maxBytes, signal })) {
+      yield { index: images[index].index, input: images[index].input, result };
+    }
+  }
+  for (const [index, input] of inputs.entries()) {
+    if (kinds[index] === 'image') continue;
+    let result;
+    try {
+      result = kinds[index] === 'audio'
+        ? await tm.classifyAudio({ audioUrl: input, topK, maxBytes, signal })
+        : await tm.classifyVideo({
+          videoUrl: input,
+          frames: Number.isFinite(opts.frames) ? opts.frames : 10,
+          topK,
+          turboMode: !!opts.turbo,
+          maxBytes,
+          segments: opts.subtitles ? { format: opts.subtitles } : (opts.segments || undefined),
+          sampling: opts.sampling,
+          tta,
+          signal
+        });
+    } catch (e) {
+      if (signal.aborted) throw e;
+      result = { input: kinds[index] === 'audio' ? { audioUrl: input } : { videoUrl: input }, error: e?.message || String(e) };
+    }
+    yield { index, input, result };
+  }
+}
 
-  let res;
-  if (mediaType === 'image') {
-    res = await tm.classifyImages({ images: inputs, topK });
-  } else if (mediaType === 'video') {
-    res = await tm.classifyVideos({ videos: inputs, frames, topK, turboMode: !!opts.turbo, maxBytes });
-  } else {
-    // auto: treat inputs as images by default; if one item and --frames set, treat as video
-    const input = (inputs.length === 1 && frames > 0) ? { videos: inputs } : { images: inputs };
-    res = await tm.classify({ input, frames, topK, turboMode: !!opts.turbo, mediaType: 'auto', maxBytes });
+const OUTPUT_FORMATS = ['json', 'jsonl', 'csv'];
+
+// Fatal errors reported as a one-line `tmjs:` message instead of a stack trace
+class CliError extends Error {}
+
+async function main() {
+  const opts = parseArgs();
+  if (opts.command === 'serve' && !opts.help && opts.model) {
+    await serve(opts);
+    return;
+  }
+  if (opts.command === 'train' && !opts.help && opts.model && opts.dataset && opts.out) {
+    await train(opts);
+    return;
+  }
+  if (opts.command === 'quantize' && !opts.help && opts.model && opts.out) {
+    await quantize(opts);
+    return;
+  }
+  if (opts.command === 'cache' && !opts.help && ['list', 'verify', 'prune'].includes(opts.positional[0]) && opts.positional.length > 1) {
+    await cache(opts);
+    return;
+  }
+  if (opts.command === 'eval' && !opts.help && opts.model && opts.dataset) {
+    await evaluate(opts);
+    return;
+  }
+  if (opts.command === 'stream' && !opts.help && opts.model && opts.positional.length === 1) {
+    await stream(opts);
+    return;
+  }
+  if (opts.help || !opts.model || opts.positional.length === 0) {
+    printHelp();
+    return;
+  }
+  const format = opts.format || 'json';
+  if (!OUTPUT_FORMATS.includes(format)) throw new Error(`--format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+  // Opened first so an unwritable --out fails before the model is loaded
+  const sink = await openOutputSink(opts.out).catch((e) => { throw new CliError(e.message); });
+  const tm = await loadModel(opts);
+  const { inputs, unmatched } = await expandInputs(opts.positional, { extensions: inputExtensions(tm, opts.media) });
+  for (const arg of unmatched) console.error(`tmjs: no inputs found for ${arg}`);
+  let failed = unmatched.length;
+  if (format === 'csv' && !opts.subtitles) sink.write(csvRow(CSV_COLUMNS));
+  const records = [];
+  const bar = progressBar(opts);
+  let completed = 0;
+  try {
+    for await (const record of classifyInputs(tm, inputs, opts, interruptSignal())) {
+      if (record.result.error) failed++;
+      bar.onProgress?.({ type: 'item', completed: ++completed, total: inputs.length });
+      // --subtitles prints only the subtitle tracks so the output can be redirected to a .vtt/.srt file
+      if (opts.subtitles) { if (record.result.subtitles) sink.write(`${record.result.subtitles}\n`); }
+      else if (format === 'jsonl') sink.write(`${JSON.stringify({ index: record.index, ...record.result })}\n`);
+      else if (format === 'csv') sink.write(csvRecord(record));
+      else records.push(record);
+    }
+  } finally {
+    bar.done();
+  }
+  if (format === 'json' && !opts.subtitles) {
+    const results = records.sort((a, b) => a.index - b.index).map(r => r.result);
+    sink.write(`${JSON.stringify(results.length === 1 && unmatched.length === 0 ? results[0] : { count: results.length, failed, results }, null, 2)}\n`);
+  }
+  await sink.close().catch((e) => { throw new CliError(e.message); });
+  if (opts.out) console.error(`tmjs: wrote ${inputs.length} ${format} results to ${opts.out}`);
+  await tm.dispose();
+  // Exit code 2: the run finished but some items failed (or some arguments matched no inputs)
+  if (failed > 0 || inputs.length === 0) {
+    if (inputs.length === 0) console.error('tmjs: no inputs to classify');
+    process.exitCode = 2;
   }
-  console.log(JSON.stringify(res, null, 2));
 }
 
-main().catch((err) => { console.error(err?.stack || err?.message || String(err)); exit(1); });
+main().catch((err) => {
+  if (err instanceof AbortError) { console.error('tmjs: aborted'); exit(130); }
+  if (err instanceof TimeoutError || err instanceof CliError) { console.error(`tmjs: ${err.message}`); exit(1); }
+  console.error(err?.stack || err?.message || String(err));
+  exit(1);
+});
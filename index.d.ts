@@ -3,12 +3,165 @@
 export interface CreateOptions {
   modelUrl?: string;
   modelDir?: string;
+  /** Teachable Machine export zip (path or contents), read in memory; extracted into `saveToDir` when given. */
+  modelZip?: string | Buffer;
   loadFrom?: 'auto' | 'dir';
   saveToDir?: string;
   warmup?: boolean;
   ioMode?: 'ram' | 'disk';
   backend?: 'tfjs' | 'tfjs-node';
+  /** Preprocess in a worker pool shared by all such instances; it stops when the last one is disposed. */
   preprocessUseWorkers?: boolean;
+  /** Worker threads in the preprocessing pool. Default min(4, CPUs - 1). */
+  preprocessPoolSize?: number;
+  /** Directory with a local PoseNet graph model (model.json + shards); required for pose models. */
+  poseNetDir?: string;
+  /** Default open-set rejection checks applied to image, batch and video results. */
+  openSet?: OpenSetOptions;
+  /** Prediction cache: `true` for defaults, options, or a shared instance. */
+  cache?: boolean | PredictionCacheOptions | PredictionCache;
+  /** Default per-stage timeouts for every call; per-call `timeouts` override them. */
+  timeouts?: StageTimeouts;
+  /** `auto` loads tfjs-converter graph models with loadGraphModel and everything else with loadLayersModel. */
+  modelFormat?: 'auto' | 'layers' | 'graph';
+  /** Class names; makes metadata.json optional (and is written next to a cached copy). */
+  labels?: string[];
+  /** Pixel normalization applied before inference. Default 'mobilenet' ([-1, 1]). */
+  normalization?: 'mobilenet' | 'unit' | 'raw' | 'imagenet' | { mean: number | number[]; std: number | number[] };
+  /** Channel order the model expects. Default 'rgb'. */
+  channelOrder?: 'rgb' | 'bgr';
+  /** Input size when the model's input shape leaves it open (or to override it). */
+  inputSize?: number | { width: number; height: number };
+  /** When to re-download a model from `modelUrl` whose copy is in `saveToDir` (or `modelDir`). Default 'if-changed'. */
+  refresh?: 'never' | 'if-changed' | 'always';
+  /** Use the cached copy without any network request; fails when there is none. */
+  offline?: boolean;
+  /** Classifier head; `examples` loads a kNN example set saved with saveExamples(). */
+  head?: HeadOptions & { examples?: string };
+}
+
+/** Resolved input preprocessing of an instance; `mean`/`std` are in the model's channel order. */
+export interface InputSpec {
+  mean: number[];
+  std: number[];
+  channelOrder: 'rgb' | 'bgr';
+  size: { width: number; height: number } | null;
+}
+
+/** Milliseconds allowed per pipeline stage; unset stages are unlimited. */
+export interface StageTimeouts {
+  download?: number;
+  probe?: number;
+  extract?: number;
+  preprocess?: number;
+  inference?: number;
+}
+
+/** Cancellation options accepted by every classification method. */
+export interface CancelOptions {
+  signal?: AbortSignal;
+  timeouts?: StageTimeouts;
+}
+
+/** Events passed to `onProgress`; `completed` / `total` count finished inputs of the call. */
+export type ProgressEvent =
+  | { type: 'stage'; stage: keyof StageTimeouts; completed: number; total: number; index?: number }
+  | { type: 'frames'; framesExtracted: number; framesTotal?: number; completed: number; total: number; index?: number }
+  | { type: 'item'; index: number; result: any; completed: number; total: number };
+
+export interface ProgressOptions {
+  onProgress?: (event: ProgressEvent) => void;
+}
+
+/** Rejected when the caller's AbortSignal fires; `cause` holds the signal's reason. */
+export class AbortError extends Error {
+  name: 'AbortError';
+  code: 'ABORT_ERR';
+}
+
+/** Rejected when a pipeline stage exceeds its timeout. */
+export class TimeoutError extends Error {
+  constructor(stage: keyof StageTimeouts, timeoutMs: number);
+  name: 'TimeoutError';
+  code: 'ETIMEDOUT';
+  stage: keyof StageTimeouts;
+  timeoutMs: number;
+}
+
+export interface PredictionCacheOptions {
+  /** Default 1000. */
+  maxEntries?: number;
+  /** Summed JSON size of in-memory entries. Default 64 MB. */
+  maxBytes?: number;
+  /** Optional on-disk store. */
+  dir?: string;
+}
+
+export interface CacheInfo {
+  hit: boolean;
+  key: string;
+}
+
+export class PredictionCache {
+  constructor(options?: PredictionCacheOptions);
+  get(key: string): Promise<any | undefined>;
+  set(key: string, value: any): Promise<void>;
+  clear(options?: { disk?: boolean }): Promise<void>;
+  stats(): { entries: number; bytes: number; maxEntries: number; maxBytes: number; dir: string | null; hits: number; misses: number; diskHits: number; evictions: number };
+}
+
+/** `cache-manifest.json`, written next to `metadata.json` in a downloaded model's directory. */
+export interface ModelCacheManifest {
+  version: 1;
+  sourceUrl: string;
+  etag: string | null;
+  lastModified: string | null;
+  /** SHA-256 of the remote model.json. */
+  remoteHash: string | null;
+  /** SHA-256 over the cached files' hashes. */
+  contentHash: string;
+  downloadedAt: string;
+  /** Last time the server confirmed the copy is current. */
+  checkedAt: string;
+  files: Record<string, { bytes: number; sha256: string }>;
+}
+
+export interface ModelCacheState {
+  dir: string;
+  status: 'downloaded' | 'unchanged' | 'unreachable' | 'cached' | 'offline';
+  manifest: ModelCacheManifest | null;
+}
+
+export function listModelCaches(dirs: string[]): Promise<Array<{ dir: string; manifest: ModelCacheManifest; bytes: number }>>;
+export function verifyModelCache(dir: string): Promise<{ dir: string; ok: boolean; problems: string[] }>;
+export function pruneModelCaches(dirs: string[], options?: { olderThanDays?: number; dryRun?: boolean }): Promise<Array<{ path: string; reason: string; files?: string[] }>>;
+
+export interface OpenSetOptions {
+  /** Minimum top-1 score: global, or per class with an optional `default`. */
+  threshold?: number | Record<string, number>;
+  /** Minimum gap between the top-1 and top-2 scores. */
+  minMargin?: number;
+  /** Maximum normalized entropy of the scores (0 = certain, 1 = uniform). */
+  maxEntropy?: number;
+  /** Class reported when a check fails. Default 'unknown'. */
+  unknownLabel?: string;
+}
+
+export interface OpenSetOutcome {
+  class: string;
+  known: boolean;
+  score: number;
+  margin: number;
+  entropy: number;
+  reasons: Array<'threshold' | 'margin' | 'entropy'>;
+}
+
+export interface Calibration {
+  temperature: number;
+  samples: number;
+  nllBefore: number;
+  nllAfter: number;
+  fittedAt: string;
 }
 
 export interface TimingInfo {
@@ -28,13 +181,230 @@ export interface IOInfo {
   maxBytes?: number;
 }
 
+/** Preprocessing worker pool counters; present on results when `preprocessUseWorkers` is enabled. */
+export interface WorkerPoolStats {
+  size: number;
+  busy: number;
+  queued: number;
+  completed: number;
+  failed: number;
+  restarts: number;
+}
+
+export interface PoseKeypoint {
+  part: string;
+  score: number;
+  /** Pixel position in the source image (or video frame), mapped back from the PoseNet input. */
+  position: { x: number; y: number };
+}
+
+export interface Pose {
+  score: number;
+  keypoints: PoseKeypoint[];
+}
+
+export interface Prediction {
+  class: string;
+  score: number;
+  rank: number;
+  /** Variance of this class's score across test-time augmentation views. */
+  variance?: number;
+}
+
+export interface TtaOptions {
+  /** Horizontal flip view. Default true. */
+  flip?: boolean;
+  /** Center and four corner crops (80% of each side). Default true. */
+  crops?: boolean;
+  /** Zoom factors; >1 zooms in, <1 zooms out with gray padding. Default [0.9, 1.1]. */
+  scales?: number[];
+  /** How view scores are combined; `max` is renormalized to sum to 1. Default 'mean'. */
+  combine?: 'mean' | 'max';
+}
+
+export interface TtaSummary {
+  views: string[];
+  combine: 'mean' | 'max';
+  /** Variance of the top-1 class score across views. */
+  variance: number | null;
+}
+
 export interface ImageResult {
   input: { imageUrl: any };
   backend: string;
   modelInfo?: { classesCount: number };
-  preprocess?: { target: { width: number; height: number }; centerCrop?: boolean; resizeOnCPU?: boolean };
+  preprocess?: PreprocessInfo;
   timings: TimingInfo;
-  predictions?: Array<{ class: string; score: number; rank: number }>;
+  predictions?: Prediction[];
+  /** Present with test-time augmentation. */
+  tta?: TtaSummary;
+  /** Present when open-set checks are configured. */
+  outcome?: OpenSetOutcome;
+  /** Present for pose models. */
+  pose?: Pose;
+  /** Present when the prediction cache is enabled. */
+  cache?: CacheInfo;
+  error?: string;
+}
+
+export interface ClassifyIterOptions extends CancelOptions {
+  /** Inputs per micro-batch. Default 16. */
+  batchSize?: number;
+  /** Micro-batches in flight (downloads overlap inference). Default 2. */
+  concurrency?: number;
+  /** Yield in input order (default) or as batches complete. */
+  ordered?: boolean;
+  /** Download size limit per input, in bytes. */
+  maxBytes?: number;
+  tta?: boolean | TtaOptions;
+  topK?: number;
+  centerCrop?: boolean;
+  resizeOnCPU?: boolean;
+  openSet?: OpenSetOptions | null;
+  temperature?: number;
+}
+
+export interface ExplainOptions extends CancelOptions {
+  /** Class name or index to explain; defaults to the top prediction. */
+  class?: string | number;
+  /** `auto` uses Grad-CAM when the model is a replayable layer chain with a spatial layer, else saliency. */
+  method?: 'auto' | 'gradcam' | 'saliency';
+  /** Grad-CAM layer name; defaults to the last layer with a spatial output. */
+  layer?: string;
+  centerCrop?: boolean;
+  /** Overlay opacity, 0..1. Default 0.5. */
+  alpha?: number;
+}
+
+export interface Explanation {
+  class: string;
+  classIndex: number;
+  score: number;
+  method: 'gradcam' | 'saliency';
+  layer: string | null;
+  /** Values 0..1 at the model input size, `data[y][x]`. */
+  heatmap: { width: number; height: number; data: number[][] };
+  /** PNG of the heatmap blended over the original image. */
+  overlay: Buffer;
+}
+
+export interface EmbedOptions extends CancelOptions, ProgressOptions {
+  /** Images (or video frames) per forward pass. Default 16. */
+  batchSize?: number;
+  centerCrop?: boolean;
+  /** Frames sampled per video. Default 10. */
+  frames?: number;
+  sampling?: string | number[] | SamplingOptions;
+}
+
+export interface EmbedResult {
+  backend: string;
+  /** Length of every embedding. */
+  dims: number;
+  images: Array<{ input: { imageUrl: any }; embedding: number[] } | { input: { imageUrl: any }; error: string }>;
+  /** `embedding` is the mean of the frame embeddings. */
+  videos: Array<{ input: { videoUrl: any }; frames: Array<{ frameIndex: number; timestampSec: number; embedding: number[] }>; embedding: number[] } | { input: { videoUrl: any }; error: string }>;
+  timings: { totalMs: number };
+}
+
+/** Exact cosine-distance nearest-neighbour index persisted as one JSON file. */
+export class VectorIndex {
+  constructor(options?: { file?: string; dims?: number });
+  /** Loads a saved index, or an empty one bound to `file` when it does not exist yet. */
+  static open(file: string): Promise<VectorIndex>;
+  file: string | null;
+  dims: number | null;
+  readonly size: number;
+  /** Replaces any entry with the same id. */
+  add(id: string | number, vector: number[] | Float32Array, metadata?: object): this;
+  remove(id: string | number): boolean;
+  has(id: string | number): boolean;
+  /** Nearest first; `distance` is 1 - cosine similarity. */
+  query(vector: number[] | Float32Array, k?: number, options?: { filter?: (id: string | number, metadata: any) => boolean; maxDistance?: number }): Array<{ id: string | number; distance: number; metadata: any }>;
+  save(file?: string): Promise<void>;
+}
+
+export interface HeadOptions {
+  /** `softmax` is the model's own head (default); `knn` scores by nearest examples; `hybrid` blends both. */
+  mode?: 'softmax' | 'knn' | 'hybrid';
+  /** Neighbours that vote. Default 5. */
+  k?: number;
+  /** Share of the kNN scores in `hybrid` mode, 0..1. Default 0.5. */
+  weight?: number;
+}
+
+export interface AddExampleResult {
+  label: string;
+  /** Example ids; re-adding an identical image keeps a single example. */
+  added: string[];
+  failed: Array<{ input: { imageUrl: any }; error: string }>;
+  /** Examples in the set after the call. */
+  examples: number;
+}
+
+export interface ClassifyTilesOptions extends CancelOptions, ProgressOptions {
+  /** Tile side in source pixels; defaults to the model input width. */
+  tileSize?: number;
+  /** Step between tiles in source pixels; defaults to half the tile (50% overlap). */
+  stride?: number;
+  /** How tile scores combine into `aggregate`. Default 'mean'. */
+  aggregate?: 'max' | 'mean' | 'vote';
+  /** Tiles per forward pass. Default 16. */
+  batchSize?: number;
+  /** Report the tiles where these classes score at least `threshold` (default 0.5). */
+  boxes?: { class: string | string[]; threshold?: number };
+  topK?: number;
+  temperature?: number;
+}
+
+export interface TileBox { x: number; y: number; width: number; height: number }
+
+export interface TilesResult {
+  input: { imageUrl: any };
+  backend: string;
+  image: { width: number; height: number };
+  tiling: { tileSize: number; stride: number; rows: number; cols: number; count: number; target: { width: number; height: number } };
+  /** Row-major, one entry per tile. */
+  tiles: Array<{ row: number; col: number; box: TileBox; predictions: Prediction[] }>;
+  /** Top class per tile, `grid[row][col]`. */
+  grid: string[][];
+  /** Per class, the tile scores as a `[row][col]` matrix. */
+  heatmaps: Record<string, number[][]>;
+  aggregate: { method: 'max' | 'mean' | 'vote'; predictions: Prediction[] };
+  /** Highest score first; present when `boxes` was requested. */
+  boxes?: Array<TileBox & { class: string; score: number; row: number; col: number }>;
+  timings: { downloadMs: number; decodeMs: number; preprocessMs: number; inferenceMs: number; totalMs: number };
+}
+
+export interface Region {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  /** Defaults to the region's position in its list. */
+  id?: string | number;
+}
+
+export interface RegionResult {
+  id: string | number;
+  /** The box as given (original image pixels). */
+  region: { x: number; y: number; width: number; height: number };
+  /** The pixel box actually classified, after `regionMargin` and clamping to the image. */
+  crop?: { x: number; y: number; width: number; height: number };
+  predictions?: Prediction[];
+  outcome?: OpenSetOutcome;
+  pose?: Pose;
+  error?: string;
+}
+
+export interface RegionsImageResult {
+  input: { imageUrl: any };
+  backend: string;
+  modelInfo: { classesCount: number };
+  image?: { width: number; height: number };
+  preprocess?: { target: { width: number; height: number }; margin: number; padding: boolean };
+  timings?: { downloadMs: number; decodeCropMs: number; inferenceMs: number; totalMs: number };
+  regions?: RegionResult[];
   error?: string;
 }
 
@@ -43,44 +413,300 @@ export interface BatchImageResult {
   count: number;
   modelInfo?: { classesCount: number };
   timings: { endToEndMs: number };
+  workerPool?: WorkerPoolStats;
   results: ImageResult[];
 }
 
 export interface FramePrediction {
   frameIndex: number;
   timestampSec: number | null;
-  predictions: Array<{ class: string; score: number; rank: number }>;
+  predictions: Prediction[];
+  /** Present with test-time augmentation. */
+  tta?: TtaSummary;
+  /** Present when open-set checks are configured. */
+  outcome?: OpenSetOutcome;
+  /** Present for pose models. */
+  pose?: Pose;
+}
+
+export interface Segment {
+  class: string;
+  startSec: number;
+  endSec: number;
+  meanScore: number;
+}
+
+export interface SegmentOptions {
+  /** Frames in the centered moving average. Default 3. */
+  window?: number;
+  /** Smoothed score needed to open a segment. Default 0.6. */
+  enter?: number;
+  /** Smoothed score below which an open segment closes. Default 0.4. */
+  exit?: number;
+  minDurationSec?: number;
+  /** Also render the segments as a subtitle track in `subtitles`. */
+  format?: 'vtt' | 'srt';
+}
+
+export function segmentTimeline(frameScores: number[][], timestamps: number[], classes: string[], options?: SegmentOptions & { durationSec?: number }): Segment[];
+export function segmentsToWebVTT(segments: Segment[]): string;
+export function segmentsToSRT(segments: Segment[]): string;
+
+export interface StreamOptions {
+  /** RTSP/HLS/MJPEG URL, local file, or a Readable (e.g. process.stdin). */
+  source: string | NodeJS.ReadableStream;
+  fps?: number;
+  topK?: number;
+  centerCrop?: boolean;
+  signal?: AbortSignal;
+  /** Frames buffered ahead of the consumer. Default 4. */
+  maxQueue?: number;
+  /** Drop the oldest queued frame instead of pausing the source. */
+  dropFrames?: boolean;
+  /** Extra FFmpeg input arguments placed before `-i`. */
+  inputArgs?: string[];
+  openSet?: OpenSetOptions | null;
+}
+
+export interface StreamFrameResult {
+  frameIndex: number;
+  /** Presentation timestamp FFmpeg reports for the frame, in seconds; null if it was not reported. */
+  timestampSec: number | null;
+  receivedAt: string;
+  predictions?: Array<{ class: string; score: number; rank: number }>;
+  outcome?: OpenSetOutcome;
+  pose?: Pose;
+  timings?: { totalMs: number };
+  droppedFrames: number;
+  error?: string;
+}
+
+export type SamplingStrategy = 'uniform' | 'fps' | 'keyframes' | 'scene' | 'timestamps' | 'ranges';
+
+export type SamplingOptions =
+  | { strategy: 'uniform'; frames?: number }
+  | { strategy: 'fps'; fps: number; maxFrames?: number }
+  | { strategy: 'keyframes'; maxFrames?: number }
+  | { strategy: 'scene'; threshold?: number; maxFrames?: number }
+  | { strategy: 'timestamps'; timestamps: number[]; maxFrames?: number }
+  | { strategy: 'ranges'; ranges: Array<{ startSec?: number; endSec?: number }>; fps?: number; maxFrames?: number };
+
+export interface SamplingPlan {
+  strategy: SamplingStrategy;
+  timestamps?: number[];
+  filter?: string | null;
+  inputArgs?: string[];
+  maxFrames: number;
+}
+
+/** Compact string form: `uniform`, `fps:2`, `keyframes`, `scene[:0.4]`, `at:1.5,3,10`, `range:10-20,30-35[@fps]`. */
+export function parseSamplingSpec(spec: string): SamplingOptions;
+export function planSampling(sampling: string | number[] | SamplingOptions | undefined, video: { frames: number; durationSec: number }): SamplingPlan;
+
+/** `target` is the model input size; with TTA, `ttaSource` is the larger size inputs are decoded to before the views are cut. */
+export interface PreprocessInfo {
+  target: { width: number; height: number };
+  ttaSource?: { width: number; height: number };
+  centerCrop?: boolean;
+  resizeOnCPU?: boolean;
+  workerPool?: WorkerPoolStats;
 }
 
 export interface VideoResult {
-  input: { videoUrl: any; frames: number; turboMode?: boolean };
+  input: { videoUrl: any; frames: number; sampling?: SamplingStrategy; turboMode?: boolean };
   backend: string;
   modelInfo?: { classesCount: number };
+  preprocess?: PreprocessInfo;
   timings: Record<string, number>;
   frames?: FramePrediction[];
-  aggregate: { predictions: Array<{ class: string; score: number; rank: number }> };
+  aggregate: { predictions: Array<{ class: string; score: number; rank: number }>; outcome?: OpenSetOutcome };
+  io?: IOInfo;
+  workerPool?: WorkerPoolStats;
+  cache?: CacheInfo;
+  /** null when some sampled frame has no known timestamp (keyframe or scene sampling). */
+  segments?: Segment[] | null;
+  subtitles?: string;
+  error?: string;
+}
+
+export interface AudioResult {
+  input: { audioUrl: any; windows?: number; overlap?: number; sampleRate?: number };
+  backend: string;
+  modelInfo?: { classesCount: number; kind?: 'audio' };
+  audio?: { durationSec: number; windowSec: number; fftSize: number; numFrames: number; numBins: number };
+  timings?: Record<string, number>;
+  /** One entry per spectrogram window; `timestampSec` is the window start. */
+  results?: FramePrediction[];
+  aggregate?: { predictions: Array<{ class: string; score: number; rank: number }> };
   io?: IOInfo;
   error?: string;
 }
 
+export interface AudioOptions {
+  topK?: number;
+  overlap?: number;
+  sampleRate?: number;
+  fftSize?: number;
+  maxConcurrent?: number;
+  maxBytes?: number;
+  signal?: AbortSignal;
+  timeouts?: StageTimeouts;
+}
+
+export interface ServerOptions {
+  /** Request body limit in bytes; also applied to media downloaded from URLs. Default 10 MB. */
+  maxBytes?: number;
+  /** Maximum classifications running at the same time. Default 2. */
+  concurrency?: number;
+  /** Accept server-side file paths as JSON inputs. Default false. */
+  allowLocalPaths?: boolean;
+}
+
+export function createServer(tm: TeachableMachine, options?: ServerOptions): import('http').Server;
+
+export interface TrainOptions {
+  /** Dataset laid out as `<datasetDir>/<label>/<image>`; each sub-directory becomes a class. */
+  datasetDir: string;
+  /** Directory of the model whose feature-extractor layers are reused. */
+  baseModelDir: string;
+  /** Where the trained model and metadata are written. */
+  outDir: string;
+  epochs?: number;
+  batchSize?: number;
+  learningRate?: number;
+  hiddenUnits?: number;
+  validationSplit?: number;
+  centerCrop?: boolean;
+  onEpochEnd?: (log: TrainEpochLog) => void | Promise<void>;
+  /** Stops at the next batch or epoch; nothing is written. */
+  signal?: AbortSignal;
+}
+
+export interface TrainEpochLog {
+  epoch: number;
+  loss: number;
+  acc: number;
+  valLoss?: number;
+  valAcc?: number;
+}
+
+export interface TrainResult {
+  outDir: string;
+  labels: string[];
+  counts: Record<string, number>;
+  skipped: Array<{ file: string; error: string }>;
+  history: TrainEpochLog[];
+  timings: { featuresMs: number; trainMs: number; totalMs: number };
+}
+
+export interface QuantizeOptions extends Pick<CreateOptions, 'labels' | 'normalization' | 'channelOrder' | 'inputSize'> {
+  /** Saved model directory (layers or graph model). */
+  modelDir: string;
+  /** Where the quantized copy is written; must differ from `modelDir`. */
+  outDir: string;
+  /** Default 'uint8'. */
+  dtype?: 'float16' | 'uint8';
+  /** Images to compare the original and quantized models on (searched recursively). */
+  sampleDir?: string;
+  batchSize?: number;
+  signal?: AbortSignal;
+}
+
+export interface QuantizeResult {
+  dtype: 'float16' | 'uint8';
+  /** Weight tensors in the model, and how many of them (the float32 ones) were quantized. */
+  weights: { count: number; quantized: number };
+  /** Bytes on disk (model.json + weight files); `reduction` is the saved fraction. */
+  size: { before: number; after: number; reduction: number };
+  agreement?: {
+    images: number;
+    compared: number;
+    top1Agreement: number | null;
+    meanTop1ScoreDelta: number | null;
+    disagreements: Array<{ file: string; original: Prediction; quantized: Prediction }>;
+  };
+  timings: { totalMs: number };
+}
+
+export interface EvaluationReport {
+  datasetDir: string;
+  backend: string;
+  count: { images: number; evaluated: number; failed: number; skippedUnknownLabel: number };
+  accuracy: number;
+  topKAccuracy: { k: number; value: number };
+  macro: { precision: number; recall: number; f1: number };
+  perClass: Array<{ label: string; precision: number; recall: number; f1: number; support: number }>;
+  /** matrix[actual][predicted], indexed like `labels` (the model classes). */
+  confusionMatrix: { labels: string[]; matrix: number[][] };
+  worstMisclassified: Array<{ file: string; actual: string; predicted: string; score: number; trueScore: number }>;
+  /** Dataset labels that are not in model.classes; their images are excluded from the metrics. */
+  missingFromModel: Array<{ label: string; count: number }>;
+  errors: Array<{ file: string; label: string; error: string }>;
+  timings: { totalMs: number };
+}
+
 export default class TeachableMachine {
   static create(options?: CreateOptions): Promise<TeachableMachine>;
+  static train(options: TrainOptions): Promise<TrainResult>;
+  static quantize(options: QuantizeOptions): Promise<QuantizeResult>;
   constructor(model: any);
   backend: 'tfjs' | 'tfjs-node';
   ioMode: 'ram' | 'disk';
+  modelFormat: 'layers' | 'graph';
+  /**
+   * The loaded tfjs model. `model.classes` is reassigned in place by setHead(), addExample(),
+   * removeExamples() and loadExamples() to the classes of the active head.
+   */
+  model: any & { classes: string[]; kind: 'image' | 'pose' | 'audio' };
+  /** Classes of the model's own head; `model.classes` lists the classes predictions use under the current head. */
+  modelClasses: string[];
+  head: Required<HeadOptions>;
+  inputSpec: InputSpec;
+  poseNet: { model: any; architecture: string; outputStride: number; inputResolution: number } | null;
+  modelDir: string | null;
+  /** How the copy of a `modelUrl` model was obtained; null for local models and uncached downloads. */
+  modelCache: ModelCacheState | null;
+  calibration: Calibration | null;
+  openSet: OpenSetOptions | null;
+  cache: PredictionCache | null;
+  timeouts: StageTimeouts;
 
-  classify(options: {
-    input: any | any[] | { images?: any[]; videos?: any[] };
-    mediaType?: 'auto' | 'image' | 'video';
+  classify(options: CancelOptions & ProgressOptions & {
+    input: any | any[] | { images?: any[]; videos?: any[]; audios?: any[] };
+    mediaType?: 'auto' | 'image' | 'video' | 'audio';
     frames?: number; topK?: number; centerCrop?: boolean; resizeOnCPU?: boolean;
     turboMode?: boolean; extractionConcurrency?: number; preprocessConcurrency?: number; maxConcurrent?: number; maxBytes?: number; batchSize?: number;
-  }): Promise<BatchImageResult | VideoResult | { images: BatchImageResult | ImageResult; videos: VideoResult[] | VideoResult | null } | ImageResult>;
+    overlap?: number; openSet?: OpenSetOptions | null; segments?: boolean | SegmentOptions; sampling?: string | number[] | SamplingOptions;
+    tta?: boolean | TtaOptions;
+  }): Promise<BatchImageResult | VideoResult | { images: BatchImageResult | ImageResult; videos: VideoResult[] | VideoResult | null } | ImageResult | AudioResult | AudioResult[]>;
+
+  classifyImages(options: CancelOptions & ProgressOptions & { images: any[]; regions: Region[][]; regionMargin?: number; regionPadding?: boolean; topK?: number; batchSize?: number; openSet?: OpenSetOptions | null; maxBytes?: number }): Promise<{ backend: string; count: number; modelInfo: { classesCount: number }; timings: { endToEndMs: number }; results: RegionsImageResult[] }>;
+  classifyImages(options: CancelOptions & ProgressOptions & { images: any; regions: Region[]; regionMargin?: number; regionPadding?: boolean; topK?: number; batchSize?: number; openSet?: OpenSetOptions | null; maxBytes?: number }): Promise<RegionsImageResult>;
+  classifyImages(options: CancelOptions & ProgressOptions & { images: any | any[]; topK?: number; centerCrop?: boolean; resizeOnCPU?: boolean; batchSize?: number; openSet?: OpenSetOptions | null; tta?: boolean | TtaOptions; maxBytes?: number }): Promise<ImageResult | BatchImageResult>;
+  classifyBatch(options: CancelOptions & ProgressOptions & { imageUrls: any[]; topK?: number; centerCrop?: boolean; resizeOnCPU?: boolean; batchSize?: number; openSet?: OpenSetOptions | null; temperature?: number; tta?: boolean | TtaOptions; maxBytes?: number }): Promise<BatchImageResult>;
+  classifyIter(inputs: Iterable<any> | AsyncIterable<any>, options?: ClassifyIterOptions): AsyncGenerator<ImageResult & { index: number }, void, undefined>;
+  classifyTiles(input: any, options?: ClassifyTilesOptions): Promise<TilesResult>;
+  embed(inputs: any | any[] | { images?: any[]; videos?: any[] }, options?: EmbedOptions): Promise<EmbedResult>;
+  setHead(options: HeadOptions): Required<HeadOptions>;
+  addExample(label: string, images: any | any[], options?: CancelOptions & { centerCrop?: boolean }): Promise<AddExampleResult>;
+  removeExamples(label: string): number;
+  saveExamples(file?: string): Promise<void>;
+  /** Replaces the example set; returns its size. */
+  loadExamples(file: string): Promise<number>;
+  explain(input: any, options: ExplainOptions & { timestamps: number[] }): Promise<{ input: { videoUrl: any; timestamps: number[] }; backend: string; frames: Array<Explanation & { timestampSec: number }>; timings: { totalMs: number } }>;
+  explain(input: any, options?: ExplainOptions): Promise<Explanation & { input: { imageUrl: any }; backend: string; timings: { totalMs: number } }>;
+  batchImageClassify(options: CancelOptions & { imageUrls: any[]; topK?: number; centerCrop?: boolean; resizeOnCPU?: boolean; batchSize?: number }): Promise<BatchImageResult>;
+
+  classifyVideos(options: CancelOptions & ProgressOptions & { videos: any | any[]; frames?: number; topK?: number; centerCrop?: boolean; resizeOnCPU?: boolean; turboMode?: boolean; extractionConcurrency?: number; preprocessConcurrency?: number; maxConcurrent?: number; maxBytes?: number; openSet?: OpenSetOptions | null; segments?: boolean | SegmentOptions; sampling?: string | number[] | SamplingOptions; tta?: boolean | TtaOptions }): Promise<VideoResult | VideoResult[]>;
+
+  classifyStream(options: StreamOptions): AsyncGenerator<StreamFrameResult, void, undefined>;
 
-  classifyImages(options: { images: any | any[]; topK?: number; centerCrop?: boolean; resizeOnCPU?: boolean; batchSize?: number }): Promise<ImageResult | BatchImageResult>;
-  classifyBatch(options: { imageUrls: any[]; topK?: number; centerCrop?: boolean; resizeOnCPU?: boolean; batchSize?: number }): Promise<BatchImageResult>;
-  batchImageClassify(options: { imageUrls: any[]; topK?: number; centerCrop?: boolean; resizeOnCPU?: boolean; batchSize?: number }): Promise<BatchImageResult>;
+  classifyAudio(options: AudioOptions & { audioUrl: any | any[] }): Promise<AudioResult | AudioResult[]>;
+  classifyAudios(options: AudioOptions & { audios: any | any[] }): Promise<AudioResult | AudioResult[]>;
 
-  classifyVideos(options: { videos: any | any[]; frames?: number; topK?: number; centerCrop?: boolean; resizeOnCPU?: boolean; turboMode?: boolean; extractionConcurrency?: number; preprocessConcurrency?: number; maxConcurrent?: number; maxBytes?: number }): Promise<VideoResult | VideoResult[]>;
+  calibrate(options: CancelOptions & { datasetDir: string; batchSize?: number; centerCrop?: boolean; save?: boolean }): Promise<Calibration>;
+  evaluate(options: CancelOptions & ProgressOptions & { datasetDir: string; topK?: number; batchSize?: number; worst?: number; centerCrop?: boolean }): Promise<EvaluationReport>;
 
-  dispose(): void;
+  /** Releases the model and shuts down the preprocessing worker pool. */
+  dispose(): Promise<void>;
 }
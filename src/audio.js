@@ -0,0 +1,118 @@
+/**
+ * Spectrogram features for Teachable Machine audio (speech-commands) models.
+ * Mirrors the browser-FFT pipeline those models are trained on: Blackman-windowed FFT
+ * frames in dB, truncated to the model's frequency bins and normalized per window.
+ */
+
+export const AUDIO_DEFAULTS = { sampleRate: 44100, fftSize: 1024, overlap: 0.5 };
+
+// Floor used instead of -Infinity dB for silent bins (WebAudio reports -Infinity there).
+const MIN_DB = -140;
+
+/**
+ * Returns true when metadata describes a Teachable Machine audio project.
+ */
+export function isAudioMetadata(metadata) {
+  return !!metadata && Array.isArray(metadata.wordLabels);
+}
+
+function blackmanWindow(size) {
+  const w = new Float32Array(size);
+  const a0 = 0.42; const a1 = 0.5; const a2 = 0.08;
+  for (let n = 0; n < size; n++) {
+    const x = (2 * Math.PI * n) / size;
+    w[n] = a0 - a1 * Math.cos(x) + a2 * Math.cos(2 * x);
+  }
+  return w;
+}
+
+/**
+ * In-place iterative radix-2 FFT. `re.length` must be a power of two.
+ */
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * Math.PI) / len;
+    const wRe = Math.cos(ang); const wIm = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let curRe = 1; let curIm = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const aRe = re[i + k]; const aIm = im[i + k];
+        const bRe = re[i + k + len / 2] * curRe - im[i + k + len / 2] * curIm;
+        const bIm = re[i + k + len / 2] * curIm + im[i + k + len / 2] * curRe;
+        re[i + k] = aRe + bRe; im[i + k] = aIm + bIm;
+        re[i + k + len / 2] = aRe - bRe; im[i + k + len / 2] = aIm - bIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+/**
+ * Converts mono PCM samples into dB spectrogram frames (one frame per `fftSize` samples).
+ * @param {Float32Array} samples
+ * @param {{fftSize?: number, numBins?: number}} [options]
+ * @returns {Float32Array[]} frames, each of length numBins
+ */
+export function computeSpectrogram(samples, { fftSize = AUDIO_DEFAULTS.fftSize, numBins } = {}) {
+  if ((fftSize & (fftSize - 1)) !== 0) throw new Error('fftSize must be a power of two');
+  const bins = Math.min(numBins ?? fftSize / 2, fftSize / 2);
+  const win = blackmanWindow(fftSize);
+  const re = new Float32Array(fftSize);
+  const im = new Float32Array(fftSize);
+  const frames = [];
+  for (let start = 0; start + fftSize <= samples.length; start += fftSize) {
+    for (let i = 0; i < fftSize; i++) { re[i] = samples[start + i] * win[i]; im[i] = 0; }
+    fft(re, im);
+    const frame = new Float32Array(bins);
+    for (let b = 0; b < bins; b++) {
+      const mag = Math.hypot(re[b], im[b]) / fftSize;
+      frame[b] = mag > 0 ? Math.max(MIN_DB, 20 * Math.log10(mag)) : MIN_DB;
+    }
+    frames.push(frame);
+  }
+  return frames;
+}
+
+/**
+ * Groups spectrogram frames into model-sized windows and normalizes each window.
+ * Short inputs are padded with silence so that at least one window is produced.
+ * @param {Float32Array[]} frames
+ * @param {{numFrames: number, numBins: number, overlap?: number}} options
+ * @returns {{startFrame: number, data: Float32Array}[]}
+ */
+export function frameWindows(frames, { numFrames, numBins, overlap = AUDIO_DEFAULTS.overlap }) {
+  const hop = Math.max(1, Math.round(numFrames * (1 - Math.min(Math.max(overlap, 0), 0.95))));
+  const starts = [];
+  if (frames.length <= numFrames) {
+    starts.push(0);
+  } else {
+    for (let s = 0; s + numFrames <= frames.length; s += hop) starts.push(s);
+  }
+  return starts.map((startFrame) => {
+    const data = new Float32Array(numFrames * numBins).fill(MIN_DB);
+    for (let f = 0; f < numFrames; f++) {
+      const frame = frames[startFrame + f];
+      if (frame) data.set(frame.subarray(0, numBins), f * numBins);
+    }
+    let mean = 0;
+    for (let i = 0; i < data.length; i++) mean += data[i];
+    mean /= data.length;
+    let variance = 0;
+    for (let i = 0; i < data.length; i++) variance += (data[i] - mean) ** 2;
+    const std = Math.sqrt(variance / data.length) || 1;
+    for (let i = 0; i < data.length; i++) data[i] = (data[i] - mean) / std;
+    return { startFrame, data };
+  });
+}
@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { writeFileAtomic } from './utils/io.js';
+
+/**
+ * SHA-256 of a Buffer/Uint8Array, hex encoded.
+ */
+export function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * SHA-256 of a local file, streamed so large videos are not read into memory.
+ */
+export function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    createReadStream(file).on('error', reject).on('data', d => hash.update(d)).on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Identifies a loaded model by its topology, weights, classes and input/output shapes, plus any
+ * `extra` settings that change its predictions (e.g. input normalization), so cached predictions
+ * are never reused across different models. Handles layers and graph models.
+ * @param {import('@tensorflow/tfjs').LayersModel|import('@tensorflow/tfjs').GraphModel} model
+ * @param {object} [extra]
+ */
+export async function hashModel(model, extra = {}) {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify({ classes: model.classes, kind: model.kind, input: model.inputs?.[0]?.shape, output: model.outputs?.[0]?.shape, ...extra }));
+  let weights;
+  if (typeof model.toJSON === 'function') {
+    hash.update(JSON.stringify(model.toJSON(null, false)));
+    weights = model.getWeights();
+  } else {
+    // Graph model: the converted topology and its named weight map
+    hash.update(JSON.stringify(model.artifacts?.modelTopology ?? null));
+    weights = Object.keys(model.weights).sort().flatMap(name => model.weights[name]);
+  }
+  for (const w of weights) {
+    const data = await w.data();
+    hash.update(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Cache key for one input: content hash + model identity + every option that changes the result.
+ * Undefined options are dropped so `{ topK: undefined }` and `{}` share a key.
+ */
+export function predictionKey(kind, modelId, contentHash, options) {
+  const opts = Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined).sort(([a], [b]) => a.localeCompare(b)));
+  // v2: pose keypoints are stored in source image pixels
+  return hashBuffer(Buffer.from(JSON.stringify({ v: 2, kind, model: modelId, input: contentHash, opts })));
+}
+
+/**
+ * Content-addressed store for prediction results: an in-memory LRU bounded by entry count and
+ * approximate JSON size, optionally backed by a directory of JSON files that survives restarts.
+ * Disk hits are promoted into memory. Values must be JSON-serializable.
+ */
+export class PredictionCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxEntries=1000]
+   * @param {number} [options.maxBytes=64*MB] - Limit on the summed JSON size of in-memory entries.
+   * @param {string} [options.dir] - Optional on-disk store (`<dir>/<ab>/<key>.json`).
+   */
+  constructor({ maxEntries = 1000, maxBytes = 64 * 1024 * 1024, dir } = {}) {
+    this.maxEntries = Math.max(1, maxEntries);
+    this.maxBytes = maxBytes;
+    this.dir = dir ?? null;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.counters = { hits: 0, misses: 0, diskHits: 0, evictions: 0 };
+  }
+
+  _file(key) {
+    return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+  }
+
+  _remember(key, json) {
+    if (this.entries.has(key)) this.bytes -= this.entries.get(key).length;
+    this.entries.delete(key);
+    if (json.length > this.maxBytes) return;
+    this.entries.set(key, json);
+    this.bytes += json.length;
+    // Map iteration order is insertion order, so the first key is the least recently used
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const [oldest, value] = this.entries.entries().next().value;
+      this.entries.delete(oldest);
+      this.bytes -= value.length;
+      this.counters.evictions++;
+    }
+  }
+
+  /**
+   * Returns a fresh copy of the cached value, or undefined.
+   */
+  async get(key) {
+    let json = this.entries.get(key);
+    if (json !== undefined) {
+      this._remember(key, json);
+    } else if (this.dir) {
+      json = await fs.readFile(this._file(key), 'utf-8').catch(() => undefined);
+      if (json !== undefined) {
+        this.counters.diskHits++;
+        this._remember(key, json);
+      }
+    }
+    if (json === undefined) {
+      this.counters.misses++;
+      return undefined;
+    }
+    this.counters.hits++;
+    return JSON.parse(json);
+  }
+
+  async set(key, value) {
+    const json = JSON.stringify(value);
+    this._remember(key, json);
+    if (this.dir) {
+      const file = this._file(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await writeFileAtomic(file, json);
+    }
+  }
+
+  /**
+   * Empties the in-memory LRU and, with `{ disk: true }`, the on-disk store.
+   */
+  async clear({ disk = false } = {}) {
+    this.entries.clear();
+    this.bytes = 0;
+    if (disk && this.dir) await fs.rm(this.dir, { recursive: true, force: true });
+  }
+
+  stats() {
+    return { entries: this.entries.size, bytes: this.bytes, maxEntries: this.maxEntries, maxBytes: this.maxBytes, dir: this.dir, ...this.counters };
+  }
+}
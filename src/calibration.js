@@ -0,0 +1,90 @@
+import * as tf from '@tensorflow/tfjs';
+
+const EPS = 1e-7;
+
+/**
+ * Re-scales softmax probabilities with temperature T: softmax(log(p) / T).
+ * T > 1 softens over-confident scores, T < 1 sharpens them. Disposes the input tensor.
+ * @param {tf.Tensor2D} probs
+ * @param {number} temperature
+ * @returns {tf.Tensor2D}
+ */
+export function applyTemperature(probs, temperature) {
+  if (!temperature || temperature === 1) return probs;
+  const out = tf.tidy(() => tf.softmax(tf.log(tf.clipByValue(probs, EPS, 1)).div(temperature)));
+  probs.dispose();
+  return out;
+}
+
+function temperedNll(probs, labelIdx, temperature) {
+  let nll = 0;
+  for (let i = 0; i < probs.length; i++) {
+    const logits = probs[i].map(p => Math.log(Math.max(p, EPS)) / temperature);
+    const max = Math.max(...logits);
+    const logSum = max + Math.log(logits.reduce((a, l) => a + Math.exp(l - max), 0));
+    nll -= logits[labelIdx[i]] - logSum;
+  }
+  return nll / probs.length;
+}
+
+/**
+ * Fits the temperature minimizing negative log-likelihood on labeled predictions
+ * (golden-section search over log T).
+ * @param {number[][]} probs - Uncalibrated class probabilities, one row per sample.
+ * @param {number[]} labelIdx - True class index per sample.
+ * @returns {{temperature: number, nllBefore: number, nllAfter: number}}
+ */
+export function fitTemperature(probs, labelIdx) {
+  if (!probs.length) throw new Error('Calibration needs at least one labeled sample.');
+  const f = (logT) => temperedNll(probs, labelIdx, Math.exp(logT));
+  let a = Math.log(0.05); let b = Math.log(20);
+  const g = (Math.sqrt(5) - 1) / 2;
+  let c = b - g * (b - a); let d = a + g * (b - a);
+  let fc = f(c); let fd = f(d);
+  for (let i = 0; i < 60 && Math.abs(b - a) > 1e-4; i++) {
+    if (fc < fd) { b = d; d = c; fd = fc; c = b - g * (b - a); fc = f(c); }
+    else { a = c; c = d; fc = fd; d = a + g * (b - a); fd = f(d); }
+  }
+  const temperature = Math.exp((a + b) / 2);
+  return { temperature, nllBefore: temperedNll(probs, labelIdx, 1), nllAfter: temperedNll(probs, labelIdx, temperature) };
+}
+
+/**
+ * Returns true when any open-set check is configured.
+ */
+export function hasOpenSetChecks(openSet) {
+  return !!openSet && (openSet.threshold !== undefined || openSet.minMargin !== undefined || openSet.maxEntropy !== undefined);
+}
+
+/**
+ * Decides whether a full class-probability vector belongs to a known class.
+ * Checks, when configured:
+ * - `threshold`: minimum top-1 score, either a number or `{ [class]: number, default?: number }`
+ * - `minMargin`: minimum gap between the top-1 and top-2 scores
+ * - `maxEntropy`: maximum normalized entropy (0 = certain, 1 = uniform)
+ * @param {ArrayLike<number>} scores
+ * @param {string[]} classes
+ * @param {{threshold?: number|Object<string, number>, minMargin?: number, maxEntropy?: number, unknownLabel?: string}} openSet
+ * @returns {{class: string, known: boolean, score: number, margin: number, entropy: number, reasons: string[]}}
+ */
+export function assessOpenSet(scores, classes, openSet) {
+  const { threshold, minMargin, maxEntropy, unknownLabel = 'unknown' } = openSet;
+  let top1 = 0; let top2 = -1;
+  for (let i = 1; i < scores.length; i++) {
+    if (scores[i] > scores[top1]) { top2 = top1; top1 = i; }
+    else if (top2 === -1 || scores[i] > scores[top2]) top2 = i;
+  }
+  const score = scores[top1];
+  const margin = top2 === -1 ? score : score - scores[top2];
+  let entropy = 0;
+  for (let i = 0; i < scores.length; i++) if (scores[i] > 0) entropy -= scores[i] * Math.log(scores[i]);
+  entropy = scores.length > 1 ? entropy / Math.log(scores.length) : 0;
+
+  const reasons = [];
+  const minScore = typeof threshold === 'object' && threshold !== null ? (threshold[classes[top1]] ?? threshold.default) : threshold;
+  if (minScore !== undefined && score < minScore) reasons.push('threshold');
+  if (minMargin !== undefined && margin < minMargin) reasons.push('margin');
+  if (maxEntropy !== undefined && entropy > maxEntropy) reasons.push('entropy');
+  const known = reasons.length === 0;
+  return { class: known ? classes[top1] : unknownLabel, known, score, margin, entropy, reasons };
+}
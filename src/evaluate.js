@@ -0,0 +1,166 @@
+import { listLabeledImages } from './utils/io.js';
+
+/**
+ * Runs the model over a labeled dataset (`datasetDir/<label>/<image>`) and computes
+ * accuracy, top-k accuracy, per-class precision/recall/F1 and a confusion matrix.
+ * Dataset labels that the model does not know are reported in `missingFromModel`
+ * and excluded from the metrics.
+ * @param {import('./index.js').default} tm
+ * @param {object} options
+ * @param {string} options.datasetDir
+ * @param {number} [options.topK=5] - k used for top-k accuracy.
+ * @param {number} [options.batchSize=32]
+ * @param {number} [options.worst=10] - How many misclassified files to list.
+ * @param {boolean} [options.centerCrop=true]
+ * @param {AbortSignal} [options.signal]
+ * @param {object} [options.timeouts] - Per-stage timeouts, see classifyBatch().
+ * @param {(event: object) => void} [options.onProgress] - Forwarded to classifyBatch().
+ */
+export async function evaluateDataset(tm, { datasetDir, topK = 5, batchSize = 32, worst = 10, centerCrop = true, signal, timeouts, onProgress } = {}) {
+  if (!datasetDir) throw new Error('datasetDir is required');
+  const tStart = Date.now();
+  const classes = tm.model.classes;
+  const { labels, items } = await listLabeledImages(datasetDir);
+
+  const missing = labels.filter(l => !classes.includes(l));
+  const missingFromModel = missing.map(label => ({ label, count: items.filter(it => it.label === label).length }));
+  const evalItems = items.filter(it => classes.includes(it.label));
+  if (evalItems.length === 0) throw new Error('No dataset images belong to classes known by the model.');
+
+  const batch = await tm.classifyBatch({ imageUrls: evalItems.map(it => it.file), batchSize, centerCrop, signal, timeouts, onProgress });
+  const byFile = new Map(batch.results.map(r => [r.input.imageUrl, r]));
+
+  const n = classes.length;
+  const k = Math.max(1, Math.min(topK, n));
+  const matrix = Array.from({ length: n }, () => new Array(n).fill(0));
+  const errors = [];
+  const misclassified = [];
+  let correct = 0; let topKCorrect = 0; let total = 0;
+
+  for (const it of evalItems) {
+    const res = byFile.get(it.file);
+    if (!res || res.error) {
+      errors.push({ file: it.file, label: it.label, error: res?.error ?? 'No result' });
+      continue;
+    }
+    const actual = classes.indexOf(it.label);
+    const top1 = res.predictions[0];
+    const predicted = classes.indexOf(top1.class);
+    matrix[actual][predicted] += 1;
+    total += 1;
+    if (actual === predicted) correct += 1;
+    else {
+      const trueScore = res.predictions.find(p => p.class === it.label)?.score ?? 0;
+      misclassified.push({ file: it.file, actual: it.label, predicted: top1.class, score: top1.score, trueScore });
+    }
+    if (res.predictions.slice(0, k).some(p => p.class === it.label)) topKCorrect += 1;
+  }
+
+  const perClass = classes.map((label, c) => {
+    const tp = matrix[c][c];
+    const support = matrix[c].reduce((a, v) => a + v, 0);
+    const predictedCount = matrix.reduce((a, row) => a + row[c], 0);
+    const precision = predictedCount ? tp / predictedCount : 0;
+    const recall = support ? tp / support : 0;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+    return { label, precision, recall, f1, support };
+  });
+  const withSupport = perClass.filter(p => p.support > 0);
+  const macro = (key) => withSupport.length ? withSupport.reduce((a, p) => a + p[key], 0) / withSupport.length : 0;
+
+  return {
+    datasetDir,
+    backend: batch.backend,
+    count: { images: items.length, evaluated: total, failed: errors.length, skippedUnknownLabel: items.length - evalItems.length },
+    accuracy: total ? correct / total : 0,
+    topKAccuracy: { k, value: total ? topKCorrect / total : 0 },
+    macro: { precision: macro('precision'), recall: macro('recall'), f1: macro('f1') },
+    perClass,
+    confusionMatrix: { labels: classes, matrix },
+    worstMisclassified: misclassified.sort((a, b) => a.trueScore - b.trueScore || b.score - a.score).slice(0, worst),
+    missingFromModel,
+    errors,
+    timings: { totalMs: Date.now() - tStart }
+  };
+}
+
+const pct = (v) => `${(v * 100).toFixed(1)}%`;
+
+function padTable(rows) {
+  const widths = rows[0].map((_, c) => Math.max(...rows.map(r => String(r[c]).length)));
+  return rows.map(r => r.map((cell, c) => (c === 0 ? String(cell).padEnd(widths[c]) : String(cell).padStart(widths[c]))).join('  ')).join('\n');
+}
+
+/**
+ * Renders an evaluation report as plain-text tables.
+ */
+export function formatEvaluationTable(report) {
+  const lines = [];
+  lines.push(`Dataset: ${report.datasetDir}`);
+  lines.push(`Images: ${report.count.evaluated} evaluated, ${report.count.failed} failed, ${report.count.skippedUnknownLabel} with unknown labels`);
+  lines.push(`Accuracy: ${pct(report.accuracy)}   Top-${report.topKAccuracy.k}: ${pct(report.topKAccuracy.value)}   Macro F1: ${report.macro.f1.toFixed(3)}`);
+  lines.push('');
+  lines.push(padTable([
+    ['class', 'precision', 'recall', 'f1', 'support'],
+    ...report.perClass.map(p => [p.label, p.precision.toFixed(3), p.recall.toFixed(3), p.f1.toFixed(3), p.support])
+  ]));
+  lines.push('');
+  lines.push('Confusion matrix (rows = actual, columns = predicted):');
+  const { labels, matrix } = report.confusionMatrix;
+  lines.push(padTable([['', ...labels], ...matrix.map((row, i) => [labels[i], ...row])]));
+  if (report.worstMisclassified.length) {
+    lines.push('');
+    lines.push('Worst misclassified:');
+    for (const m of report.worstMisclassified) {
+      lines.push(`  ${m.file}: ${m.actual} -> ${m.predicted} (${pct(m.score)}, true class ${pct(m.trueScore)})`);
+    }
+  }
+  if (report.missingFromModel.length) {
+    lines.push('');
+    lines.push(`Labels missing from model.classes (excluded): ${report.missingFromModel.map(m => `${m.label} (${m.count})`).join(', ')}`);
+  }
+  if (report.errors.length) {
+    lines.push('');
+    lines.push(`Failed images: ${report.errors.length}`);
+    for (const e of report.errors.slice(0, 10)) lines.push(`  ${e.file}: ${e.error}`);
+  }
+  return lines.join('\n');
+}
+
+const escapeHtml = (v) => String(v).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+/**
+ * Renders an evaluation report as a standalone HTML page.
+ */
+export function renderEvaluationHtml(report) {
+  const { labels, matrix } = report.confusionMatrix;
+  const maxCell = Math.max(1, ...matrix.flat());
+  const cell = (v, diag) => {
+    const alpha = (v / maxCell).toFixed(2);
+    const color = diag ? `rgba(46,160,67,${alpha})` : `rgba(218,54,51,${alpha})`;
+    return `<td style="background:${color}">${v}</td>`;
+  };
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>Evaluation report</title>
+<style>body{font-family:system-ui,sans-serif;margin:2rem}table{border-collapse:collapse;margin:1rem 0}td,th{border:1px solid #ccc;padding:4px 8px;text-align:right}th:first-child,td:first-child{text-align:left}.warn{color:#b35900}</style>
+</head><body>
+<h1>Evaluation report</h1>
+<p>Dataset: <code>${escapeHtml(report.datasetDir)}</code> — ${report.count.evaluated} evaluated, ${report.count.failed} failed</p>
+<p><b>Accuracy:</b> ${pct(report.accuracy)} &nbsp; <b>Top-${report.topKAccuracy.k}:</b> ${pct(report.topKAccuracy.value)} &nbsp; <b>Macro F1:</b> ${report.macro.f1.toFixed(3)}</p>
+${report.missingFromModel.length ? `<p class="warn">Labels missing from model.classes (excluded): ${report.missingFromModel.map(m => `${escapeHtml(m.label)} (${m.count})`).join(', ')}</p>` : ''}
+<h2>Per-class metrics</h2>
+<table><tr><th>class</th><th>precision</th><th>recall</th><th>f1</th><th>support</th></tr>
+${report.perClass.map(p => `<tr><td>${escapeHtml(p.label)}</td><td>${p.precision.toFixed(3)}</td><td>${p.recall.toFixed(3)}</td><td>${p.f1.toFixed(3)}</td><td>${p.support}</td></tr>`).join('\n')}
+</table>
+<h2>Confusion matrix</h2>
+<p>Rows are actual classes, columns are predicted classes.</p>
+<table><tr><th></th>${labels.map(l => `<th>${escapeHtml(l)}</th>`).join('')}</tr>
+${matrix.map((row, i) => `<tr><th>${escapeHtml(labels[i])}</th>${row.map((v, j) => cell(v, i === j)).join('')}</tr>`).join('\n')}
+</table>
+<h2>Worst misclassified</h2>
+<table><tr><th>file</th><th>actual</th><th>predicted</th><th>score</th><th>true class score</th></tr>
+${report.worstMisclassified.map(m => `<tr><td>${escapeHtml(m.file)}</td><td>${escapeHtml(m.actual)}</td><td>${escapeHtml(m.predicted)}</td><td>${pct(m.score)}</td><td>${pct(m.trueScore)}</td></tr>`).join('\n')}
+</table>
+</body></html>
+`;
+}
@@ -0,0 +1,162 @@
+import * as tf from '@tensorflow/tfjs';
+import sharp from 'sharp';
+import { normalizeBatch } from './features.js';
+
+export const EXPLAIN_METHODS = ['auto', 'gradcam', 'saliency'];
+
+const isInputLayer = (layer) => layer.getClassName() === 'InputLayer';
+const isContainer = (layer) => Array.isArray(layer.layers);
+
+/**
+ * Flattens nested Sequential / functional models into the chain of leaf layers they apply in
+ * order. Returns null when any model in the tree branches or merges (e.g. residual blocks), since
+ * the chain could not be replayed layer by layer.
+ * @param {tf.LayersModel} model
+ * @returns {tf.layers.Layer[]|null}
+ */
+export function flattenLayers(model) {
+  if (model.inputs.length !== 1 || model.outputs.length !== 1) return null;
+  const sequential = model.getClassName() === 'Sequential';
+  const out = [];
+  let prev = null;
+  for (const layer of model.layers) {
+    if (isInputLayer(layer)) { prev = layer; continue; }
+    if (!sequential) {
+      // Functional model: each layer must be fed by exactly the previous one
+      const linear = layer.inboundNodes.some(n => n.inboundLayers.length === 1 && n.inboundLayers[0] === prev);
+      if (!linear) return null;
+    }
+    if (isContainer(layer)) {
+      const inner = flattenLayers(layer);
+      if (!inner) return null;
+      out.push(...inner);
+    } else {
+      out.push(layer);
+    }
+    prev = layer;
+  }
+  return out;
+}
+
+/**
+ * Index of the last layer in `chain` with a spatial (rank-4, H and W > 1) output, or of the
+ * layer named `name` when given; -1 when there is none.
+ */
+export function findConvLayerIndex(chain, name) {
+  if (name) return chain.findIndex(l => l.name === name);
+  for (let i = chain.length - 1; i >= 0; i--) {
+    const shape = chain[i].outputShape;
+    if (Array.isArray(shape) && shape.length === 4 && shape[1] > 1 && shape[2] > 1) return i;
+  }
+  return -1;
+}
+
+const applyChain = (layers, x) => layers.reduce((t, layer) => layer.apply(t, { training: false }), x);
+
+const normalizeMap = (map) => {
+  const max = map.max();
+  return map.div(tf.maximum(max, tf.scalar(1e-8)));
+};
+
+/**
+ * Computes a class-discriminative heatmap for one sized image.
+ * Grad-CAM weights the activations of the last convolutional layer by the mean gradient of the
+ * class score; when the model cannot be replayed layer by layer or has no spatial layer (or
+ * `method: 'saliency'`), the absolute input gradient (max over channels) is used instead.
+ * The heatmap is ReLU'd (Grad-CAM), scaled to 0..1 and resized to the model input resolution.
+ * @param {tf.LayersModel} model
+ * @param {tf.Tensor3D} image - int32 [H, W, 3] at the model input size.
+ * @param {number} classIndex
+ * @param {{method?: 'auto'|'gradcam'|'saliency', layer?: string, inputSpec?: object}} [options] - `inputSpec` as for normalizeBatch().
+ * @returns {Promise<{method: string, layer: string|null, width: number, height: number, data: Float32Array}>}
+ */
+export async function computeHeatmap(model, image, classIndex, { method = 'auto', layer, inputSpec } = {}) {
+  if (!EXPLAIN_METHODS.includes(method)) throw new Error(`Unknown explain method '${method}' (expected ${EXPLAIN_METHODS.join(', ')})`);
+  const [height, width] = image.shape;
+  const classScore = (out) => (Array.isArray(out) ? out[0] : out).gather([classIndex], 1).sum();
+
+  // Split the layer chain after the target layer: head -> activations, tail -> class scores
+  let split = null;
+  if (method !== 'saliency') {
+    const chain = flattenLayers(model);
+    const idx = chain ? findConvLayerIndex(chain, layer) : -1;
+    if (idx === -1 && (method === 'gradcam' || layer)) {
+      throw new Error(layer ? `Layer '${layer}' not found in a replayable layer chain` : 'Grad-CAM needs a convolutional layer in a sequential layer chain');
+    }
+    if (idx !== -1) split = { name: chain[idx].name, head: chain.slice(0, idx + 1), tail: chain.slice(idx + 1) };
+  }
+
+  const map = tf.tidy(() => {
+    const input = normalizeBatch([image], inputSpec);
+    let cam;
+    if (split) {
+      const activations = applyChain(split.head, input);
+      const grads = tf.grad(a => classScore(applyChain(split.tail, a)))(activations);
+      const weights = grads.mean([0, 1, 2]);
+      cam = tf.relu(activations.mul(weights).sum(-1)).squeeze([0]);
+    } else {
+      const grads = tf.grad(x => classScore(model.apply(x, { training: false })))(input);
+      cam = grads.abs().max(-1).squeeze([0]);
+    }
+    const resized = tf.image.resizeBilinear(cam.expandDims(-1), [height, width]).squeeze([2]);
+    return normalizeMap(resized);
+  });
+  const data = await map.data();
+  map.dispose();
+  return { method: split ? 'gradcam' : 'saliency', layer: split?.name ?? null, width, height, data };
+}
+
+// Piecewise-linear "jet" colormap: blue (0) -> cyan -> yellow -> red (1)
+function jet(v) {
+  const c = (x) => Math.round(255 * Math.min(1, Math.max(0, x)));
+  return [c(1.5 - Math.abs(4 * v - 3)), c(1.5 - Math.abs(4 * v - 2)), c(1.5 - Math.abs(4 * v - 1))];
+}
+
+/**
+ * Converts a heatmap to a row-major number matrix (`data[y][x]`).
+ */
+export function heatmapToMatrix({ width, height, data }) {
+  return Array.from({ length: height }, (_, y) => Array.from(data.subarray(y * width, (y + 1) * width)));
+}
+
+/**
+ * Renders a heatmap as a colored PNG overlay on the original image. With `centerCrop` the heatmap
+ * covers only the centered region the model saw (matching toSizedRGBTensor's `cover` resize);
+ * otherwise it is stretched over the whole image.
+ * @param {Buffer} imageBuffer - Original encoded image.
+ * @param {{width: number, height: number, data: Float32Array}} heatmap
+ * @param {{centerCrop?: boolean, alpha?: number}} [options]
+ * @returns {Promise<Buffer>} PNG
+ */
+export async function renderHeatmapOverlay(imageBuffer, heatmap, { centerCrop = true, alpha = 0.5 } = {}) {
+  const { width, height, data } = heatmap;
+  const rgba = Buffer.alloc(width * height * 4);
+  const a = Math.round(255 * Math.min(1, Math.max(0, alpha)));
+  for (let i = 0; i < data.length; i++) {
+    const [r, g, b] = jet(data[i]);
+    rgba[i * 4] = r; rgba[i * 4 + 1] = g; rgba[i * 4 + 2] = b; rgba[i * 4 + 3] = a;
+  }
+  const meta = await sharp(imageBuffer).metadata();
+  let region = { left: 0, top: 0, width: meta.width, height: meta.height };
+  if (centerCrop) {
+    const scale = Math.max(width / meta.width, height / meta.height);
+    const w = Math.min(meta.width, Math.round(width / scale));
+    const h = Math.min(meta.height, Math.round(height / scale));
+    region = { left: Math.floor((meta.width - w) / 2), top: Math.floor((meta.height - h) / 2), width: w, height: h };
+  }
+  const overlay = await sharp(rgba, { raw: { width, height, channels: 4 } })
+    .resize(region.width, region.height, { fit: 'fill' })
+    .png()
+    .toBuffer();
+  return sharp(imageBuffer).composite([{ input: overlay, left: region.left, top: region.top }]).png().toBuffer();
+}
+
+/**
+ * Resolves the class to explain: a class name, an index, or (when undefined) the top-scoring class.
+ */
+export function resolveClassIndex(target, classes, scores) {
+  if (target === undefined || target === null) return scores.indexOf(Math.max(...scores));
+  const idx = typeof target === 'number' ? target : classes.indexOf(target);
+  if (!Number.isInteger(idx) || idx < 0 || idx >= classes.length) throw new Error(`Unknown class '${target}' (model classes: ${classes.join(', ')})`);
+  return idx;
+}
@@ -0,0 +1,71 @@
+import * as tf from '@tensorflow/tfjs';
+
+/**
+ * Builds a model sharing the loaded model's weights that outputs the activations of the
+ * layer feeding the classifier head (the second-to-last top-level layer). For Teachable
+ * Machine image exports this is the truncated MobileNet feature extractor. With `withOutput`,
+ * the model's own output is returned too (`[features, output]`), from the same forward pass.
+ * @param {tf.LayersModel} model
+ * @param {{withOutput?: boolean}} [options]
+ * @returns {tf.LayersModel}
+ */
+export function createFeatureExtractor(model, { withOutput = false } = {}) {
+  const layers = model?.layers;
+  if (!Array.isArray(layers) || layers.length < 2) throw new Error('Model has no separable feature-extractor layers.');
+  const penultimate = layers[layers.length - 2];
+  return tf.model({ inputs: model.inputs, outputs: withOutput ? [penultimate.output, model.outputs[0]] : penultimate.output });
+}
+
+/**
+ * Named input normalizations: `x' = (x - mean) / std` per channel on 0..255 pixels.
+ * `mobilenet` maps to [-1, 1] (Teachable Machine), `unit` to [0, 1], `raw` keeps 0..255 and
+ * `imagenet` applies the usual ImageNet mean/std.
+ */
+export const NORMALIZATIONS = {
+  mobilenet: { mean: [127.5, 127.5, 127.5], std: [127.5, 127.5, 127.5] },
+  unit: { mean: [0, 0, 0], std: [255, 255, 255] },
+  raw: { mean: [0, 0, 0], std: [1, 1, 1] },
+  imagenet: { mean: [123.675, 116.28, 103.53], std: [58.395, 57.12, 57.375] }
+};
+
+const perChannel = (v, name) => {
+  const arr = typeof v === 'number' ? [v, v, v] : v;
+  if (!Array.isArray(arr) || arr.length !== 3 || !arr.every(Number.isFinite)) throw new Error(`normalization.${name} must be a number or an array of 3 numbers`);
+  return arr;
+};
+
+/**
+ * Resolves the input options of a model into `{ mean, std, channelOrder, size }`; normalizeBatch()
+ * uses the first three. `mean`/`std` are given in the model's channel order. `size` (a number for
+ * square inputs, or `{ width, height }`) overrides the model's input shape; null when not given.
+ * @param {{normalization?: string|{mean: number|number[], std: number|number[]}, channelOrder?: 'rgb'|'bgr', size?: number|{width: number, height: number}}} [options]
+ */
+export function resolveInputSpec({ normalization = 'mobilenet', channelOrder = 'rgb', size } = {}) {
+  if (!['rgb', 'bgr'].includes(channelOrder)) throw new Error(`channelOrder must be 'rgb' or 'bgr'`);
+  let norm = normalization;
+  if (typeof norm === 'string') {
+    norm = NORMALIZATIONS[norm];
+    if (!norm) throw new Error(`Unknown normalization '${normalization}' (expected ${Object.keys(NORMALIZATIONS).join(', ')} or { mean, std })`);
+  }
+  const std = perChannel(norm?.std, 'std');
+  if (std.some(v => v === 0)) throw new Error('normalization.std must not be 0');
+  let dims = null;
+  if (size !== undefined && size !== null) {
+    dims = typeof size === 'number' ? { width: size, height: size } : { width: size.width, height: size.height };
+    if (![dims.width, dims.height].every(d => Number.isInteger(d) && d > 0)) throw new Error('inputSize must be a positive integer or { width, height }');
+  }
+  return { mean: perChannel(norm?.mean, 'mean'), std, channelOrder, size: dims };
+}
+
+const DEFAULT_INPUT_SPEC = resolveInputSpec();
+
+/**
+ * Normalizes a batch of int32 RGB tensors ([H, W, 3]) and stacks them: to [-1, 1] by default,
+ * or as described by `spec` (see resolveInputSpec), reordering channels to BGR when asked.
+ * Must be called inside tf.tidy().
+ */
+export function normalizeBatch(tensors, spec = DEFAULT_INPUT_SPEC) {
+  const batch = tf.stack(tensors.map(t => t.toFloat()));
+  const ordered = spec.channelOrder === 'bgr' ? tf.reverse(batch, -1) : batch;
+  return ordered.sub(tf.tensor1d(spec.mean)).div(tf.tensor1d(spec.std));
+}
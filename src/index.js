@@ -1,18 +1,66 @@
 import * as tf from '@tensorflow/tfjs';
 import os from 'os';
 import { http } from './utils/net.js';
-import { dirExists, ioFromDir, readMetadata, writeMetadata } from './utils/io.js';
-import { getImageBuffer, toSizedRGBTensor, setPreprocessOptions } from './preprocess.js';
-import { ensureFFmpeg, ensureLocalPathWithCleanup, probeDurationSec, sampleTimestamps, safeTimestamps, extractFrames, getMediaBuffer, probeDurationSecFromBuffer, extractFramesFromBuffer, extractFramesAutoFromBuffer } from './utils/ffmpeg.js';
+import { dirExists, ioFromDir, ioFromFiles, ioFromUrl, readModelZip, writeModelFiles, readModelJson, isGraphModelJson, readMetadata, writeMetadata, getMetadataLabels, readCalibration, writeCalibration, listLabeledImages, listImages } from './utils/io.js';
+import { getImageBuffer, toSizedRGBTensor, decodeRGB, cropRGB, setPreprocessOptions, retainPreprocessPool, getPreprocessStats } from './preprocess.js';
+import { ensureFFmpeg, ensureLocalPathWithCleanup, probeDurationSec, extractFrames, getMediaBuffer, probeDurationSecFromBuffer, extractFramesFromBuffer, extractFramesFiltered, extractAudioSamples, extractAudioSamplesFromBuffer, streamFrames } from './utils/ffmpeg.js';
+import { AUDIO_DEFAULTS, isAudioMetadata, computeSpectrogram, frameWindows } from './audio.js';
+import { isPoseMetadata, loadPoseNet, estimatePoses, mapPoseToSource } from './pose.js';
+import { createFeatureExtractor, normalizeBatch, resolveInputSpec } from './features.js';
+import { KnnHead, normalizeHead } from './knn.js';
+import { trainModel } from './train.js';
+import { quantizeModel, measureAgreement } from './quantize.js';
+import { REFRESH_POLICIES, readCacheManifest, checkRemoteModel, fetchModelJson, writeModelCache, touchModelCache } from './modelCache.js';
+import { evaluateDataset } from './evaluate.js';
+import { applyTemperature, fitTemperature, hasOpenSetChecks, assessOpenSet } from './calibration.js';
+import { segmentTimeline, segmentsToWebVTT, segmentsToSRT } from './segments.js';
+import { planSampling } from './sampling.js';
+import { PredictionCache, hashBuffer, hashFile, hashModel, predictionKey } from './cache.js';
+import { runStage, throwIfAborted } from './utils/abort.js';
+import { createProgress } from './utils/progress.js';
+import { computeHeatmap, heatmapToMatrix, renderHeatmapOverlay, resolveClassIndex } from './explain.js';
+import { normalizeTta, ttaSourceSize, buildTtaViews, combineViewScores } from './tta.js';
+import { TILE_AGGREGATES, planTiles, aggregateTileScores, tileHeatmaps, tileBoxes } from './tiles.js';
+import { normalizeRegions, regionCropBox } from './regions.js';
 
 tf.env().set('DEBUG', false);
 
-const getTopKClasses = async (logits, classes, topK) => {
+export { createServer } from './server.js';
+export { segmentTimeline, segmentsToWebVTT, segmentsToSRT } from './segments.js';
+export { planSampling, parseSamplingSpec } from './sampling.js';
+export { PredictionCache } from './cache.js';
+export { VectorIndex } from './vectorIndex.js';
+export { listModelCaches, verifyModelCache, pruneModelCaches } from './modelCache.js';
+export { AbortError, TimeoutError } from './utils/abort.js';
+
+const MODEL_FORMATS = ['auto', 'layers', 'graph'];
+
+// First output of a predict() call, whether it returned a tensor, an array or a named map
+const firstOutput = (out) => (out instanceof tf.Tensor ? out : Object.values(out)[0]);
+
+// Ranked top-k predictions for one row of class scores; equal scores keep class order, as tf.topk does
+const getTopKClasses = (scores, classes, topK) => {
   const k = Math.min(topK ?? classes.length, classes.length);
-  const { values, indices } = tf.topk(logits, k);
-  const [v, i] = await Promise.all([values.data(), indices.data()]);
-  values.dispose(); indices.dispose(); logits.dispose();
-  return Array.from(i).map((idx, j) => ({ class: classes[idx], score: v[j] }));
+  return Array.from(scores, (_, ci) => ci)
+    .sort((a, b) => scores[b] - scores[a] || a - b)
+    .slice(0, k)
+    .map((ci, j) => ({ class: classes[ci], score: scores[ci], rank: j + 1 }));
+};
+
+// Test-time augmentation summary for a result: view names, combine mode and the top-1 variance
+const ttaSummary = (tta, predictions) => ({ views: tta.views.map(v => v.name), combine: tta.combine, variance: predictions[0]?.variance ?? null });
+
+// Drops per-run diagnostics (timings, I/O, pool counters, the raw input) before a result is cached
+const cacheableResult = ({ input, timings, io, workerPool, cache, ...rest }) => {
+  const out = { ...rest };
+  if (out.preprocess) { const { workerPool: _w, ...preprocess } = out.preprocess; out.preprocess = preprocess; }
+  return out;
+};
+
+// Worker pool counters for result diagnostics; omitted when preprocessing runs on the main thread
+const workerPoolInfo = () => {
+  const stats = getPreprocessStats();
+  return stats ? { workerPool: stats } : {};
 };
 
 export default class TeachableMachine {
@@ -20,8 +68,16 @@ export default class TeachableMachine {
     this.model = model;
   }
 
-  static async create({ modelUrl, modelDir, loadFrom = 'auto', saveToDir, warmup = true, ioMode = 'ram', backend = 'tfjs', preprocessUseWorkers = false } = {}) {
+  static async create({ modelUrl, modelDir, modelZip, loadFrom = 'auto', saveToDir, warmup = true, ioMode = 'ram', backend = 'tfjs', preprocessUseWorkers = false, preprocessPoolSize, poseNetDir, openSet, cache, timeouts, modelFormat = 'auto', labels, normalization, channelOrder, inputSize, refresh = 'if-changed', offline = false, head } = {}) {
     try {
+      if (!REFRESH_POLICIES.includes(refresh)) throw new Error(`refresh must be one of ${REFRESH_POLICIES.join(', ')}`);
+      if (!MODEL_FORMATS.includes(modelFormat)) throw new Error(`modelFormat must be one of ${MODEL_FORMATS.join(', ')}`);
+      if (labels !== undefined && (!Array.isArray(labels) || labels.length === 0)) throw new Error('labels must be a non-empty array');
+      const inputSpec = resolveInputSpec({ normalization, channelOrder, size: inputSize });
+      // Graph models come from tfjs-converter; `auto` tells them apart by their model.json
+      const loadModel = (source, json) => (modelFormat === 'graph' || (modelFormat === 'auto' && isGraphModelJson(json)) ? tf.loadGraphModel(source) : tf.loadLayersModel(source));
+      // Without explicit labels, metadata.json is required for the class names
+      const optionalMetadata = (e) => { if (labels) return {}; throw e; };
       if (backend === 'tfjs-node') {
         try {
           // Dynamically register tfjs-node backend if available
@@ -35,185 +91,1120 @@ export default class TeachableMachine {
           throw new Error("Requested backend 'tfjs-node' but '@tensorflow/tfjs-node' is not installed. Install it with: npm i @tensorflow/tfjs-node");
         }
       }
-      let model; let classes;
+      let model; let classes; let metadata; let cacheDir;
+
+      // A remote model's local copy is refreshed per `refresh` (see modelCache.js); `offline` never
+      // touches the network, and an unreachable server falls back to the cached copy
+      const cacheTarget = modelUrl && !modelZip && loadFrom !== 'dir' ? (saveToDir ?? modelDir) : null;
+      let cacheStatus = null;
+      let localDir = null;
+      // model.json fetched by the freshness check, reused for loading and the manifest
+      let remote = null;
+      if (modelZip) {
+        // Read from the archive below
+      } else if (loadFrom === 'dir') {
+        localDir = modelDir;
+      } else if (cacheTarget && await dirExists(cacheTarget)) {
+        if (offline) cacheStatus = 'offline';
+        else if (refresh === 'never') cacheStatus = 'cached';
+        else if (refresh === 'if-changed') {
+          const check = await checkRemoteModel(modelUrl, await readCacheManifest(cacheTarget));
+          if (check.status === 'unchanged') await touchModelCache(cacheTarget);
+          if (check.status !== 'changed') cacheStatus = check.status;
+          remote = check.remote ?? null;
+        }
+        if (cacheStatus) localDir = cacheTarget;
+      } else if (loadFrom === 'auto' && modelDir && modelDir !== cacheTarget && await dirExists(modelDir)) {
+        localDir = modelDir;
+      }
+      if (!localDir && !modelZip && offline) throw new Error(`offline: no cached model in ${cacheTarget ?? modelDir ?? '(no directory given)'}`);
 
-      if (loadFrom === 'dir' || (loadFrom === 'auto' && modelDir && await dirExists(modelDir))) {
-        model = await tf.loadLayersModel(ioFromDir(modelDir));
-        const metadata = await readMetadata(modelDir);
-        if (!metadata.labels || !Array.isArray(metadata.labels)) throw new Error('Invalid metadata in local dir.');
-        classes = metadata.labels;
+      if (modelZip) {
+        // A Teachable Machine export zip, read in memory; `saveToDir` keeps an extracted copy
+        const files = await readModelZip(modelZip);
+        model = await loadModel(ioFromFiles(files), JSON.parse(files.get('model.json').toString('utf-8')));
+        metadata = files.has('metadata.json') ? JSON.parse(files.get('metadata.json').toString('utf-8')) : optionalMetadata(new Error('metadata.json not found in the zip archive'));
+        classes = labels ?? getMetadataLabels(metadata);
+        if (!classes) throw new Error("Invalid metadata in model zip: neither 'labels' nor 'wordLabels' is an array.");
+        const units = model.outputs?.[0]?.shape?.at(-1);
+        if (Number.isInteger(units) && units > 0 && units !== classes.length) throw new Error(`Invalid metadata in model zip: ${classes.length} labels for a model with ${units} outputs`);
+        if (saveToDir) {
+          await writeModelFiles(saveToDir, files);
+          if (!getMetadataLabels(metadata)) await writeMetadata(saveToDir, { ...metadata, labels: classes });
+          cacheDir = saveToDir;
+        }
+      } else if (localDir) {
+        model = await loadModel(ioFromDir(localDir), modelFormat === 'auto' ? await readModelJson(localDir) : null);
+        metadata = await readMetadata(localDir).catch(optionalMetadata);
+        cacheDir = localDir;
+        classes = labels ?? getMetadataLabels(metadata);
+        if (!classes) throw new Error('Invalid metadata in local dir.');
       } else {
         if (!modelUrl) throw new Error('Model URL is missing!');
-        const modelURL = `${modelUrl}model.json`;
-        const metadataResponse = await http(`${modelUrl}metadata.json`).buffer();
-        const metadata = JSON.parse(metadataResponse.toString());
-        if (!metadata.labels || !Array.isArray(metadata.labels)) throw new Error("Invalid metadata: 'labels' field not found or is not an array.");
-        classes = metadata.labels;
-        model = await tf.loadLayersModel(modelURL);
-        const targetDir = saveToDir ?? modelDir;
-        if (targetDir) {
-          await model.save(ioFromDir(targetDir));
-          await writeMetadata(targetDir, { labels: classes });
+        metadata = await http(`${modelUrl}metadata.json`).json().catch(optionalMetadata);
+        classes = labels ?? getMetadataLabels(metadata);
+        if (!classes) throw new Error("Invalid metadata: neither 'labels' nor 'wordLabels' is an array.");
+        remote ??= await fetchModelJson(modelUrl);
+        model = await loadModel(ioFromUrl(modelUrl, remote.body), remote.json);
+        if (cacheTarget) {
+          const { body: _body, json: _json, ...validators } = remote;
+          await writeModelCache(cacheTarget, async (staging) => {
+            await model.save(ioFromDir(staging));
+            // Keep explicit labels with the cached copy so it loads without them next time
+            await writeMetadata(staging, getMetadataLabels(metadata) ? metadata : { ...metadata, labels: classes });
+          }, { sourceUrl: modelUrl, ...validators });
+          cacheDir = cacheTarget;
+          cacheStatus = 'downloaded';
         }
       }
 
       model.classes = classes;
+      model.kind = isAudioMetadata(metadata) ? 'audio' : (isPoseMetadata(metadata) ? 'pose' : 'image');
+      const poseNet = model.kind === 'pose' ? await loadPoseNet(poseNetDir, metadata.modelSettings?.posenet) : null;
       if (warmup && model.inputs?.[0]?.shape) {
-        const h = model.inputs[0].shape[1];
-        const w = model.inputs[0].shape[2];
-        if (typeof h === 'number' && typeof w === 'number') {
-          const dummy = tf.zeros([1, h, w, 3]);
-          const out = model.predict(dummy);
-          if (Array.isArray(out)) out.forEach(t => t.dispose()); else out.dispose();
+        const h = inputSpec.size?.height ?? model.inputs[0].shape[1];
+        const w = inputSpec.size?.width ?? model.inputs[0].shape[2];
+        const c = model.inputs[0].shape[3] ?? 3;
+        // Graph models report unknown dimensions as -1
+        if ([h, w, c].every(d => Number.isInteger(d) && d > 0)) {
+          const dummy = tf.zeros([1, h, w, c]);
+          tf.dispose(model.predict(dummy));
           dummy.dispose();
         }
       }
 
       const tm = new TeachableMachine(model);
+      tm.poseNet = poseNet;
+      tm.modelDir = cacheDir ?? null;
+      tm.modelCache = cacheStatus ? { dir: cacheTarget, status: cacheStatus, manifest: await readCacheManifest(cacheTarget) } : null;
+      tm.modelFormat = model instanceof tf.GraphModel ? 'graph' : 'layers';
+      tm.inputSpec = inputSpec;
+      tm.calibration = cacheDir ? await readCalibration(cacheDir) : null;
+      tm.openSet = openSet ?? null;
+      tm.timeouts = timeouts ?? {};
+      tm.modelClasses = classes;
+      tm.head = normalizeHead();
+      tm.knn = new KnnHead();
+      if (head) {
+        if (head.examples) await tm.loadExamples(head.examples);
+        tm.setHead(head);
+      }
+      tm.cache = !cache ? null : (cache instanceof PredictionCache ? cache : new PredictionCache(cache === true ? {} : cache));
       tm.ioMode = ioMode === 'disk' ? 'disk' : 'ram';
       tm.backend = backend === 'tfjs-node' ? 'tfjs-node' : 'tfjs';
-      // optional: enable worker-threaded preprocessing
-      try { setPreprocessOptions({ useWorkers: !!preprocessUseWorkers }); } catch {}
+      // optional: worker-threaded preprocessing; the pool is shared by every instance that asks for
+      // it and starts lazily on the first image
+      if (preprocessPoolSize !== undefined) setPreprocessOptions({ poolSize: preprocessPoolSize });
+      if (preprocessUseWorkers) tm._releasePreprocessPool = retainPreprocessPool();
       return tm;
     } catch (e) {
       throw new Error(`Model loading failed: ${e.message}`);
     }
   }
 
-  async _decodeAndPredict(imageBuffer, { topK, centerCrop = true, resizeOnCPU = true } = {}) {
+  /**
+   * Trains a new classifier head on `datasetDir/<label>/*` images on top of the feature-extractor
+   * layers of the model in `baseModelDir`, and saves the result to `outDir` so that
+   * `create({ modelDir: outDir })` can load it. See trainModel() in train.js for all options.
+   * @returns {Promise<object>} Labels, per-class image counts, per-epoch history and timings.
+   */
+  static async train(options = {}) {
+    return trainModel(options);
+  }
+
+  /**
+   * Writes a copy of the model in `modelDir` with float16 or uint8 quantized weights to `outDir`
+   * (see quantizeModel) and reports the size reduction. With `sampleDir`, both models classify
+   * every image in it and the report adds their top-1 agreement (see measureAgreement).
+   * `labels`, `normalization`, `channelOrder` and `inputSize` are passed to create() for that check.
+   * @param {object} options
+   * @param {string} options.modelDir
+   * @param {string} options.outDir
+   * @param {'float16'|'uint8'} [options.dtype='uint8']
+   * @param {string} [options.sampleDir]
+   * @param {number} [options.batchSize=32]
+   * @param {AbortSignal} [options.signal]
+   */
+  static async quantize({ modelDir, outDir, dtype, sampleDir, batchSize, signal, labels, normalization, channelOrder, inputSize } = {}) {
+    const tStart = Date.now();
+    const report = await quantizeModel({ modelDir, outDir, dtype });
+    if (sampleDir) {
+      const files = await listImages(sampleDir);
+      const load = (dir) => TeachableMachine.create({ modelDir: dir, loadFrom: 'dir', labels, normalization, channelOrder, inputSize });
+      const original = await load(modelDir);
+      try {
+        const quantized = await load(outDir);
+        try {
+          report.agreement = await measureAgreement(original, quantized, files, { batchSize, signal });
+        } finally {
+          quantized.model.dispose();
+        }
+      } finally {
+        original.model.dispose();
+      }
+    }
+    report.timings = { totalMs: Date.now() - tStart };
+    return report;
+  }
+
+  /**
+   * Returns the pixel size images are resized to before inference: the `inputSize` given to
+   * create(), else the model's input shape. Pose models are fed through PoseNet, so its input
+   * resolution applies.
+   */
+  _inputSize() {
+    if (this.model.kind === 'pose') return { width: this.poseNet.inputResolution, height: this.poseNet.inputResolution };
+    if (this.inputSpec?.size) return this.inputSpec.size;
     const inShape = this.model?.inputs?.[0]?.shape;
-    const targetH = inShape?.[1];
-    const targetW = inShape?.[2];
-    if (typeof targetH !== 'number' || typeof targetW !== 'number') throw new Error('Model input shape is not fully defined.');
+    const height = inShape?.[1];
+    const width = inShape?.[2];
+    if (!(height > 0) || !(width > 0)) throw new Error('Model input shape is not fully defined; pass inputSize to create().');
+    return { width, height };
+  }
+
+  /**
+   * Runs the model on sized [H, W, 3] int32 tensors, normalized per the instance `inputSpec`.
+   * Returns batched class scores and, for pose models, the detected pose per input. Scores are
+   * temperature-scaled when the model is calibrated. Input tensors are not disposed.
+   */
+  _forward(tensors, { temperature = this.calibration?.temperature } = {}) {
+    let features = null;
+    let poses;
+    if (this.model.kind === 'pose') ({ features, poses } = estimatePoses(this.poseNet, tensors, this.model.inputs[0].shape.slice(1)));
+    try {
+      if (this._knnActive()) return { logits: this._forwardKnn(features, tensors, temperature), ...(poses ? { poses } : {}) };
+      const logits = tf.tidy(() => {
+        return firstOutput(this.model.predict(features ?? normalizeBatch(tensors, this.inputSpec ?? undefined)));
+      });
+      return { logits: applyTemperature(logits, temperature), ...(poses ? { poses } : {}) };
+    } finally {
+      features?.dispose();
+    }
+  }
+
+  // A pose from _forward() in the pixels of the image it was decoded from (`source` from toSizedRGBTensor)
+  _sourcePose(pose, source, centerCrop) {
+    return mapPoseToSource(pose, this.poseNet.inputResolution, { ...source, fit: centerCrop ? 'cover' : 'fill' });
+  }
+
+  /**
+   * Scores of the kNN head (see KnnHead.scores) over `model.classes`: features and softmax come
+   * from one forward pass; the temperature applies to the softmax part of `hybrid` scores.
+   */
+  _forwardKnn(poseFeatures, tensors, temperature) {
+    this._featureModel ??= createFeatureExtractor(this.model, { withOutput: true });
+    const [features, probs] = tf.tidy(() => {
+      const [f, p] = this._featureModel.predict(poseFeatures ?? normalizeBatch(tensors, this.inputSpec ?? undefined));
+      return [f.reshape([f.shape[0], -1]), p];
+    });
+    const softmax = applyTemperature(probs, this.head.mode === 'hybrid' ? temperature : undefined);
+    try {
+      return this.knn.scores(features, softmax, this.head, this.modelClasses, this.model.classes);
+    } finally {
+      tf.dispose([features, softmax]);
+    }
+  }
+
+  /**
+   * Pixel size inputs are decoded to: the model input size, or the larger test-time augmentation
+   * source the views are cut from (see ttaSourceSize).
+   */
+  _decodeSize(tta) {
+    const size = this._inputSize();
+    return tta ? ttaSourceSize(size) : size;
+  }
+
+  /**
+   * _forward() for decoded images. With `tta` (see normalizeTta) every image is expanded into its
+   * augmented views, all views run in a single predict call and their scores are combined per image;
+   * `variance` ([images][classes]) holds the spread across views. Input tensors are not disposed.
+   */
+  async _forwardImages(tensors, { tta, temperature } = {}) {
+    if (!tta) return this._forward(tensors, { temperature });
+    if (this.model.kind === 'pose') throw new Error('Test-time augmentation is not supported for pose models.');
+    const size = this._inputSize();
+    const views = tf.tidy(() => tensors.flatMap(t => buildTtaViews(t, size, tta)));
+    let rows;
+    try {
+      const { logits } = this._forward(views, { temperature });
+      rows = await logits.array();
+      logits.dispose();
+    } finally {
+      views.forEach(v => v.dispose());
+    }
+    const n = tta.views.length;
+    const combined = tensors.map((_, i) => combineViewScores(rows.slice(i * n, (i + 1) * n), tta.combine));
+    return { logits: tf.tensor2d(combined.map(c => c.scores)), variance: combined.map(c => c.variance) };
+  }
+
+  /**
+   * Returns a `(stage, fn) => Promise` runner applying the caller's AbortSignal and the per-stage
+   * timeout (call options override the instance `timeouts`). Stages: download, probe, extract,
+   * preprocess, inference. Entering a stage is reported to `progress` (see createProgress).
+   */
+  _stages({ signal, timeouts, progress } = {}) {
+    const limits = { ...this.timeouts, ...timeouts };
+    return (stage, fn) => {
+      progress?.stage(stage);
+      return runStage(stage, { signal, timeoutMs: limits[stage] }, fn);
+    };
+  }
+
+  /**
+   * Wraps a _stages() runner for the items of a batch: a failed stage resolves to
+   * `{ ok: false, err }` so the item's error can be recorded, but a caller abort always propagates.
+   * Successful stages resolve to `{ ok: true, value }`.
+   */
+  _itemStages(stage, signal) {
+    return async (name, fn) => {
+      try {
+        return { ok: true, value: await stage(name, fn) };
+      } catch (e) {
+        throwIfAborted(signal);
+        return { ok: false, err: e };
+      }
+    };
+  }
+
+  /**
+   * Model identity for prediction cache keys (topology + weights + input spec + PoseNet + kNN head
+   * hash). The weights are hashed once; a head change only re-fingerprints the kNN examples.
+   */
+  _modelIdentity() {
+    this._baseModelId ??= (async () => {
+      // Pose models classify PoseNet features, so the PoseNet weights and settings matter as well
+      const { model: poseNetModel, ...poseNetSettings } = this.poseNet ?? {};
+      return hashModel(this.model, {
+        // model.classes follows the head mode; the head part below covers that
+        classes: this.modelClasses ?? this.model.classes,
+        inputSpec: this.inputSpec,
+        ...(this.poseNet ? { poseNet: await hashModel(poseNetModel, poseNetSettings) } : {})
+      });
+    })();
+    if (!this._modelId) {
+      // The kNN head's settings and examples change predictions too; read them now, before any await
+      const head = this._knnActive() ? JSON.stringify({ ...this.head, examples: this.knn.fingerprint() }) : null;
+      this._modelId = this._baseModelId.then(base => head ? hashBuffer(Buffer.from(`${base}\n${head}`)) : base);
+    }
+    return this._modelId;
+  }
+
+  /**
+   * Cache key for an image: content hash plus model identity and every option affecting the result.
+   */
+  async _imageCacheKey(imageBuffer, { topK, centerCrop, openSet, tta, temperature = this.calibration?.temperature }) {
+    return predictionKey('image', await this._modelIdentity(), hashBuffer(imageBuffer), { topK, centerCrop, openSet, tta: tta ?? undefined, temperature });
+  }
+
+  async _decodeAndPredict(imageBuffer, { topK, centerCrop = true, resizeOnCPU = true, openSet = this.openSet, tta, signal, timeouts } = {}) {
+    if (this.model.kind === 'audio') throw new Error('Audio models cannot classify images or video frames; use classifyAudio().');
+    const { width: targetW, height: targetH } = this._inputSize();
+    const decode = this._decodeSize(tta);
+    const stage = this._stages({ signal, timeouts });
 
     const t0 = Date.now();
-    const sized = await toSizedRGBTensor(imageBuffer, targetW, targetH, { centerCrop });
-    const imageTensor = tf.tensor3d(sized.data, [targetH, targetW, 3], 'int32');
+    const sized = await stage('preprocess', s => toSizedRGBTensor(imageBuffer, decode.width, decode.height, { centerCrop, signal: s }));
     const t1 = Date.now();
 
-    const logits = tf.tidy(() => {
-      const offset = tf.scalar(127.5);
-      const normalized = imageTensor.toFloat().sub(offset).div(offset);
-      const batched = normalized.expandDims(0);
-      return this.model.predict(batched);
+    let t2;
+    const { top, outcome, poses, variance } = await stage('inference', async () => {
+      const imageTensor = tf.tensor3d(sized.data, [decode.height, decode.width, 3], 'int32');
+      let forward;
+      try {
+        forward = await this._forwardImages([imageTensor], { tta });
+      } finally {
+        imageTensor.dispose();
+      }
+      const { logits, poses, variance } = forward;
+      t2 = Date.now();
+      const scores = await logits.data();
+      logits.dispose();
+      const outcome = hasOpenSetChecks(openSet) ? assessOpenSet(scores, this.model.classes, openSet) : null;
+      return { top: getTopKClasses(scores, this.model.classes, topK), outcome, poses, variance: variance?.[0] };
     });
-    const t2 = Date.now();
-    imageTensor.dispose();
-
-    const top = await getTopKClasses(logits, this.model.classes, topK);
     const t3 = Date.now();
+    const predictions = variance ? top.map(p => ({ ...p, variance: variance[this.model.classes.indexOf(p.class)] })) : top;
 
     return {
       backend: tf.getBackend(),
       modelInfo: { classesCount: this.model.classes.length },
-      preprocess: { target: { width: targetW, height: targetH }, centerCrop, resizeOnCPU },
+      preprocess: { target: { width: targetW, height: targetH }, centerCrop, resizeOnCPU, ...(tta ? { ttaSource: decode } : {}), ...workerPoolInfo() },
       timings: { decodeResizeMs: t1 - t0, inferenceMs: t2 - t1, postprocessMs: t3 - t2, totalMs: t3 - t0 },
-      predictions: top.map((p, idx) => ({ ...p, rank: idx + 1 }))
+      predictions,
+      ...(tta ? { tta: ttaSummary(tta, predictions) } : {}),
+      ...(outcome ? { outcome } : {}),
+      ...(poses ? { pose: this._sourcePose(poses[0], sized.source, centerCrop) } : {})
     };
   }
 
-  async _classifyImage({ imageUrl, topK, centerCrop = true, resizeOnCPU = true }) {
+  async _classifyImage({ imageUrl, topK, centerCrop = true, resizeOnCPU = true, openSet = this.openSet, tta, maxBytes, signal, timeouts }) {
     const tStart = Date.now();
-    const imageBuffer = await getImageBuffer(imageUrl);
+    const imageBuffer = await this._stages({ signal, timeouts })('download', s => getImageBuffer(imageUrl, { signal: s, maxBytes }));
     const downloadEnd = Date.now();
-    const inner = await this._decodeAndPredict(imageBuffer, { topK, centerCrop, resizeOnCPU });
-    return {
+    const key = this.cache ? await this._imageCacheKey(imageBuffer, { topK, centerCrop, openSet, tta }) : null;
+    const cached = key && await this.cache.get(key);
+    if (cached) {
+      const totalMs = Date.now() - downloadEnd;
+      return {
+        input: { imageUrl },
+        ...cached,
+        backend: tf.getBackend(),
+        timings: { downloadMs: downloadEnd - tStart, decodeResizeMs: 0, inferenceMs: 0, postprocessMs: 0, totalMs, endToEndMs: (downloadEnd - tStart) + totalMs },
+        cache: { hit: true, key }
+      };
+    }
+    const inner = await this._decodeAndPredict(imageBuffer, { topK, centerCrop, resizeOnCPU, openSet, tta, signal, timeouts });
+    const out = {
       input: { imageUrl },
       ...inner,
       timings: { downloadMs: downloadEnd - tStart, ...inner.timings, endToEndMs: (downloadEnd - tStart) + inner.timings.totalMs }
     };
+    if (key) {
+      await this.cache.set(key, cacheableResult(out));
+      out.cache = { hit: false, key };
+    }
+    return out;
   }
 
-  async classifyImages({ images, topK, centerCrop = true, resizeOnCPU = true, batchSize } = {}) {
+  /**
+   * Classifies one image (detailed result) or an array of images (batch summary, see classifyBatch).
+   * `tta: true | { flip, crops, scales, combine }` runs test-time augmentation: several augmented views
+   * per image in one predict call, combined by mean or max, with the per-class `variance` across views.
+   * `regions` classifies boxes within the image instead of the whole image (see _classifyRegions):
+   * a list of `{ x, y, width, height, id }` for one image, or one such list per image for an array.
+   * `maxBytes` limits the size of each image downloaded from a URL.
+   */
+  async classifyImages({ images, topK, centerCrop = true, resizeOnCPU = true, batchSize, openSet, tta, regions, regionMargin = 0, regionPadding = false, maxBytes, signal, timeouts, onProgress } = {}) {
     if (!images) throw new Error('images is required');
+    if (regions) {
+      if (tta) throw new Error('tta is not supported with regions');
+      const many = Array.isArray(images);
+      if (many && (!Array.isArray(regions) || regions.length !== images.length || !regions.every(Array.isArray))) {
+        throw new Error('With an array of images, regions must hold one region list per image');
+      }
+      const res = await this._classifyRegions(many ? images : [images], many ? regions : [regions], { topK, batchSize, openSet, margin: regionMargin, pad: regionPadding, failFast: !many, maxBytes, signal, timeouts, onProgress });
+      return many ? res : res.results[0];
+    }
     if (Array.isArray(images)) {
-      return this.classifyBatch({ imageUrls: images, topK, centerCrop, resizeOnCPU, batchSize });
+      return this.classifyBatch({ imageUrls: images, topK, centerCrop, resizeOnCPU, batchSize, openSet, tta, maxBytes, signal, timeouts, onProgress });
     }
-    return this._classifyImage({ imageUrl: images, topK, centerCrop, resizeOnCPU });
+    return this._classifyImage({ imageUrl: images, topK, centerCrop, resizeOnCPU, openSet, tta: normalizeTta(tta), maxBytes, signal, timeouts });
   }
 
-  async classifyBatch({ imageUrls, topK, centerCrop = true, resizeOnCPU = true, batchSize }) {
+  /**
+   * Classifies many images in batched forward passes. Download and preprocess timeouts fail the
+   * affected image only (reported in its `error`); an abort or inference timeout rejects the batch.
+   * `onProgress` receives stage transitions per chunk and an `item` event with each image's result
+   * as soon as its chunk finishes (see createProgress for the event shapes).
+   */
+  async classifyBatch({ imageUrls, topK, centerCrop = true, resizeOnCPU = true, batchSize, openSet = this.openSet, temperature = this.calibration?.temperature, tta: ttaOption, maxBytes, signal, timeouts, onProgress }) {
     if (!Array.isArray(imageUrls) || imageUrls.length === 0) throw new Error('imageUrls must be a non-empty array');
+    if (this.model.kind === 'audio') throw new Error('Audio models cannot classify images or video frames; use classifyAudio().');
 
-    const inShape = this.model?.inputs?.[0]?.shape;
-    const targetH = inShape?.[1];
-    const targetW = inShape?.[2];
-    if (typeof targetH !== 'number' || typeof targetW !== 'number') throw new Error('Model input shape is not fully defined.');
+    const tta = normalizeTta(ttaOption);
+    const { width: targetW, height: targetH } = this._inputSize();
+    const decode = this._decodeSize(tta);
+    const progress = createProgress(onProgress, { total: imageUrls.length });
+    const stage = this._stages({ signal, timeouts, progress });
+    const itemStage = this._itemStages(stage, signal);
 
     const results = [];
     const tBatchStart = Date.now();
 
-    const processChunk = async (urls) => {
+    const record = (index, result) => {
+      results.push(result);
+      progress?.item(index, result);
+    };
+
+    const processChunk = async (urls, offset) => {
       const t0 = Date.now();
-      const dlResults = await Promise.all(urls.map(async (u) => {
-        try {
-          const buf = await getImageBuffer(u);
-          return { ok: true, buf };
-        } catch (e) {
-          return { ok: false, err: e, url: u };
-        }
-      }));
-      const okPairs = dlResults.map((r, i) => ({ idx: i, r })).filter(x => x.r.ok);
-      const failPairs = dlResults.map((r, i) => ({ idx: i, r })).filter(x => !x.r.ok);
-      // Immediately record failures so batch remains responsive
-      for (const { idx, r } of failPairs) {
-        results.push({
+      throwIfAborted(signal);
+      const dlResults = (await Promise.all(urls.map(u => itemStage('download', s => getImageBuffer(u, { signal: s, maxBytes })))))
+        .map(r => (r.ok ? { ok: true, buf: r.value } : r));
+      const recordFailure = (idx, err) => {
+        record(offset + idx, {
           input: { imageUrl: urls[idx] },
-          error: r.err?.message || String(r.err),
+          error: err?.message || String(err),
           backend: tf.getBackend(),
           modelInfo: { classesCount: this.model.classes.length },
           timings: { downloadMs: 0, decodeResizeMs: 0, inferenceMs: 0, postprocessMs: 0, totalMs: 0 }
         });
-      }
-      const buffers = okPairs.map(p => p.r.buf);
+      };
+      let downloaded = dlResults.map((r, i) => ({ idx: i, r })).filter(x => x.r.ok);
+      const failPairs = dlResults.map((r, i) => ({ idx: i, r })).filter(x => !x.r.ok);
+      // Immediately record failures so batch remains responsive
+      for (const { idx, r } of failPairs) recordFailure(idx, r.err);
       const tDownloadEnd = Date.now();
-      const tensors = [];
-      for (const buf of buffers) {
-        const sized = await toSizedRGBTensor(buf, targetW, targetH, { centerCrop });
-        tensors.push(tf.tensor3d(sized.data, [targetH, targetW, 3], 'int32'));
+      if (this.cache) {
+        const misses = [];
+        for (const pair of downloaded) {
+          pair.key = await this._imageCacheKey(pair.r.buf, { topK, centerCrop, openSet, tta, temperature });
+          const cached = await this.cache.get(pair.key);
+          if (!cached) { misses.push(pair); continue; }
+          record(offset + pair.idx, {
+            input: { imageUrl: urls[pair.idx] },
+            ...cached,
+            backend: tf.getBackend(),
+            timings: { downloadMs: tDownloadEnd - t0, decodeResizeMs: 0, inferenceMs: 0, postprocessMs: 0, totalMs: Date.now() - t0 },
+            cache: { hit: true, key: pair.key }
+          });
+        }
+        downloaded = misses;
       }
-      const tPrepEnd = Date.now();
-      const logits = tf.tidy(() => {
-        const offset = tf.scalar(127.5);
-        const batch = tf.stack(tensors.map(t => t.toFloat().sub(offset).div(offset)));
-        const out = this.model.predict(batch);
-        return Array.isArray(out) ? out[0] : out;
+      const tensors = [];
+      const okPairs = [];
+      // Resize in parallel (bounded by the worker pool queue when workers are enabled)
+      const sizedAll = await Promise.all(downloaded.map(pair => itemStage('preprocess', s => toSizedRGBTensor(pair.r.buf, decode.width, decode.height, { centerCrop, signal: s }))));
+      sizedAll.forEach((sized, i) => {
+        if (sized.ok) {
+          tensors.push(tf.tensor3d(sized.value.data, [decode.height, decode.width, 3], 'int32'));
+          okPairs.push({ ...downloaded[i], source: sized.value.source });
+        } else {
+          // Undecodable images fail individually instead of aborting the batch
+          recordFailure(downloaded[i].idx, sized.err);
+        }
       });
-      tensors.forEach(t => t.dispose());
-      const tInferEnd = Date.now();
-
-      const k = Math.min(topK ?? this.model.classes.length, this.model.classes.length);
-      const { values, indices } = tf.topk(logits, k);
-      const [vals, inds] = await Promise.all([values.array(), indices.array()]);
-      values.dispose(); indices.dispose(); logits.dispose();
+      if (tensors.length === 0) return;
+      const tPrepEnd = Date.now();
+      const checkOpenSet = hasOpenSetChecks(openSet);
+      let tInferEnd;
+      let inferred;
+      try {
+        inferred = await stage('inference', async () => {
+          const { logits, poses, variance } = await this._forwardImages(tensors, { temperature, tta });
+          tInferEnd = Date.now();
+          const rows = await logits.array();
+          logits.dispose();
+          return { poses, variance, rows };
+        });
+      } finally {
+        tensors.forEach(t => t.dispose());
+      }
+      const { poses, variance, rows } = inferred;
       const tPostEnd = Date.now();
 
       // Map predictions back onto successful indices only
-      okPairs.forEach(({ idx: okIdx }, row) => {
+      for (const [row, { idx: okIdx, key, source }] of okPairs.entries()) {
         const u = urls[okIdx];
-        const preds = inds[row].map((clsIdx, j) => ({ class: this.model.classes[clsIdx], score: vals[row][j], rank: j + 1 }));
-        results.push({
+        const top = getTopKClasses(rows[row], this.model.classes, topK);
+        const preds = variance ? top.map(p => ({ ...p, variance: variance[row][this.model.classes.indexOf(p.class)] })) : top;
+        const result = {
           input: { imageUrl: u },
           backend: tf.getBackend(),
           modelInfo: { classesCount: this.model.classes.length },
-          preprocess: { target: { width: targetW, height: targetH }, centerCrop, resizeOnCPU: true },
+          preprocess: { target: { width: targetW, height: targetH }, centerCrop, resizeOnCPU: true, ...(tta ? { ttaSource: decode } : {}) },
           timings: { downloadMs: tDownloadEnd - t0, decodeResizeMs: tPrepEnd - tDownloadEnd, inferenceMs: tInferEnd - tPrepEnd, postprocessMs: tPostEnd - tInferEnd, totalMs: tPostEnd - t0 },
-          predictions: preds
-        });
-      });
+          predictions: preds,
+          ...(tta ? { tta: ttaSummary(tta, preds) } : {}),
+          ...(checkOpenSet ? { outcome: assessOpenSet(rows[row], this.model.classes, openSet) } : {}),
+          ...(poses ? { pose: this._sourcePose(poses[row], source, centerCrop) } : {})
+        };
+        if (key) {
+          await this.cache.set(key, cacheableResult(result));
+          result.cache = { hit: false, key };
+        }
+        record(offset + okIdx, result);
+      }
     };
 
     if (batchSize && batchSize > 0 && batchSize < imageUrls.length) {
       for (let i = 0; i < imageUrls.length; i += batchSize) {
         const chunk = imageUrls.slice(i, i + batchSize);
-        await processChunk(chunk);
+        await processChunk(chunk, i);
       }
     } else {
-      await processChunk(imageUrls);
+      await processChunk(imageUrls, 0);
     }
 
     const tBatchEnd = Date.now();
-    return { backend: tf.getBackend(), count: imageUrls.length, modelInfo: { classesCount: this.model.classes.length }, timings: { endToEndMs: tBatchEnd - tBatchStart }, results };
+    return { backend: tf.getBackend(), count: imageUrls.length, modelInfo: { classesCount: this.model.classes.length }, timings: { endToEndMs: tBatchEnd - tBatchStart }, ...workerPoolInfo(), results };
+  }
+
+  /**
+   * Classifies explicit regions of interest. Each image is downloaded and decoded once at full
+   * resolution; every region is grown by `margin` (fraction of its size per side), clamped to the
+   * image, cropped and resized to the model input (stretched, or letterboxed with `pad`). The crops
+   * of all images then run together in forward passes of up to `batchSize` (default: all at once).
+   * Each image result lists its regions in input order with their `id`, original box, the `crop`
+   * actually classified and the predictions; a region outside the image carries an `error`, as does
+   * an image that fails to download or decode (with `failFast`, that error is thrown instead).
+   */
+  async _classifyRegions(images, regionLists, { topK, batchSize, openSet = this.openSet, temperature = this.calibration?.temperature, margin = 0, pad = false, failFast = false, maxBytes, signal, timeouts, onProgress }) {
+    if (this.model.kind === 'audio') throw new Error('Audio models cannot classify images or video frames; use classifyAudio().');
+    if (!Number.isFinite(margin) || margin < 0) throw new Error('regionMargin must be a non-negative number');
+    const lists = regionLists.map(normalizeRegions);
+    const { width: targetW, height: targetH } = this._inputSize();
+    const classes = this.model.classes;
+    const progress = createProgress(onProgress, { total: images.length });
+    const stage = this._stages({ signal, timeouts, progress });
+    const tStart = Date.now();
+
+    // Download, decode and crop per image; the full-resolution decode is dropped once cropped
+    const prepared = await Promise.all(images.map(async (imageUrl, i) => {
+      const t0 = Date.now();
+      try {
+        const buf = await stage('download', s => getImageBuffer(imageUrl, { signal: s, maxBytes }));
+        const t1 = Date.now();
+        const image = await stage('preprocess', () => decodeRGB(buf));
+        const regions = await stage('preprocess', () => Promise.all(lists[i].map(async (region) => {
+          const crop = regionCropBox(region, image, margin);
+          if (!crop) return { region, error: 'Region lies outside the image' };
+          return { region, crop, sized: await cropRGB(image, crop, targetW, targetH, { pad }) };
+        })));
+        return { image: { width: image.width, height: image.height }, regions, timings: { downloadMs: t1 - t0, decodeCropMs: Date.now() - t1 } };
+      } catch (e) {
+        throwIfAborted(signal);
+        if (failFast) throw e;
+        return { error: e?.message || String(e) };
+      }
+    }));
+
+    const pending = prepared.flatMap(p => (p.regions ?? []).filter(r => r.sized));
+    const size = batchSize > 0 ? Math.floor(batchSize) : Math.max(1, pending.length);
+    const checkOpenSet = hasOpenSetChecks(openSet);
+    const tInfer = Date.now();
+    for (let start = 0; start < pending.length; start += size) {
+      const chunk = pending.slice(start, start + size);
+      const { rows, poses } = await stage('inference', async () => {
+        const tensors = chunk.map(r => tf.tensor3d(r.sized.data, [targetH, targetW, 3], 'int32'));
+        try {
+          const { logits, poses } = this._forward(tensors, { temperature });
+          const rows = await logits.array();
+          logits.dispose();
+          return { rows, poses };
+        } finally {
+          tensors.forEach(t => t.dispose());
+        }
+      });
+      chunk.forEach((r, i) => {
+        const scores = rows[i];
+        r.predictions = getTopKClasses(scores, classes, topK);
+        if (checkOpenSet) r.outcome = assessOpenSet(scores, classes, openSet);
+        if (poses) r.pose = mapPoseToSource(poses[i], this.poseNet.inputResolution, { ...r.crop, fit: pad ? 'contain' : 'fill' });
+      });
+    }
+    const inferenceMs = Date.now() - tInfer;
+
+    const results = prepared.map((p, i) => {
+      const base = { input: { imageUrl: images[i] }, backend: tf.getBackend(), modelInfo: { classesCount: classes.length } };
+      const result = p.error ? { ...base, error: p.error } : {
+        ...base,
+        image: p.image,
+        preprocess: { target: { width: targetW, height: targetH }, margin, padding: pad },
+        timings: { ...p.timings, inferenceMs, totalMs: Date.now() - tStart },
+        regions: p.regions.map(({ region: { id, ...box }, crop, error, predictions, outcome, pose }) => (
+          error ? { id, region: box, error } : { id, region: box, crop, predictions, ...(outcome ? { outcome } : {}), ...(pose ? { pose } : {}) }
+        ))
+      };
+      progress?.item(i, result);
+      return result;
+    });
+    return { backend: tf.getBackend(), count: images.length, modelInfo: { classesCount: classes.length }, timings: { endToEndMs: Date.now() - tStart }, results };
+  }
+
+  /**
+   * Classifies an iterable or async iterable of images lazily, for inputs too large to hold in memory
+   * (e.g. a directory walk). Inputs are pulled in micro-batches of `batchSize`; up to `concurrency`
+   * batches are in flight, so the next batch downloads while the current one runs inference.
+   * Yields one result per input with its `index`, in input order or, with `ordered: false`, as
+   * batches complete. Per-item failures are yielded as error results, as in classifyBatch(); so is
+   * a failure of a whole batch (e.g. an inference timeout), once per input it had not finished.
+   * Only an abort of `signal` ends the iteration early. Breaking out of the loop cancels the
+   * batches in flight.
+   * @param {Iterable<any>|AsyncIterable<any>} inputs
+   * @param {object} [options]
+   * @param {number} [options.batchSize=16]
+   * @param {number} [options.concurrency=2] - Micro-batches in flight; bounds memory to concurrency * batchSize inputs.
+   * @param {boolean} [options.ordered=true]
+   * @param {number} [options.maxBytes] - Download size limit per input.
+   * @param {AbortSignal} [options.signal]
+   * @param {object} [options.timeouts]
+   * @returns {AsyncGenerator<object>}
+   */
+  async *classifyIter(inputs, { batchSize = 16, concurrency = 2, ordered = true, topK, centerCrop = true, resizeOnCPU = true, openSet = this.openSet, temperature = this.calibration?.temperature, tta, maxBytes, signal, timeouts } = {}) {
+    const iterator = inputs?.[Symbol.asyncIterator]?.() ?? inputs?.[Symbol.iterator]?.();
+    if (!iterator) throw new Error('inputs must be an iterable or async iterable');
+    const size = Math.max(1, Math.floor(batchSize));
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (signal?.aborted) onAbort();
+
+    const runChunk = async (items, start) => {
+      const slots = new Array(items.length);
+      try {
+        await this.classifyBatch({
+          imageUrls: items, topK, centerCrop, resizeOnCPU, batchSize: items.length, openSet, temperature, tta, maxBytes, timeouts,
+          signal: controller.signal,
+          // Item events carry the position within the chunk, which restores input order
+          onProgress: (e) => { if (e.type === 'item') slots[e.index] = { index: start + e.index, ...e.result }; }
+        });
+      } catch (e) {
+        if (controller.signal.aborted) throw e;
+        // A failed batch stage fails the items it had not recorded yet; the iteration goes on
+        items.forEach((item, i) => { slots[i] ??= { index: start + i, input: { imageUrl: item }, error: e?.message || String(e) }; });
+      }
+      return { start, results: slots };
+    };
+
+    // Keyed by the chunk's first index; Map iteration order is launch order, i.e. input order
+    const inFlight = new Map();
+    let nextIndex = 0;
+    let exhausted = false;
+    const launch = async () => {
+      const items = [];
+      while (items.length < size) {
+        const { value, done } = await iterator.next();
+        if (done) { exhausted = true; break; }
+        items.push(value);
+      }
+      if (items.length === 0) return;
+      const promise = runChunk(items, nextIndex);
+      promise.catch(() => {});
+      inFlight.set(nextIndex, promise);
+      nextIndex += items.length;
+    };
+
+    try {
+      for (;;) {
+        throwIfAborted(controller.signal);
+        while (!exhausted && inFlight.size < Math.max(1, concurrency)) await launch();
+        if (inFlight.size === 0) return;
+        const { start, results } = ordered
+          ? await inFlight.values().next().value
+          : await Promise.race(inFlight.values());
+        inFlight.delete(start);
+        for (const r of results) yield r;
+      }
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      if (inFlight.size) {
+        controller.abort();
+        await Promise.allSettled(inFlight.values());
+      }
+      if (!exhausted) await iterator.return?.();
+    }
+  }
+
+  /**
+   * Classifies a high-resolution image as a grid of overlapping tiles instead of shrinking it to the
+   * model input size. Tiles are cut from one full-resolution decode, resized to the model input and
+   * run in batches. Returns each tile's predictions and source box, the top class per tile as a
+   * `rows` x `cols` grid, a coarse score heatmap per class, the scores aggregated over all tiles
+   * (`max`, `mean` or `vote`, see aggregateTileScores) and, with `boxes`, the tiles where the given
+   * class(es) score at least `threshold`.
+   * @param {any} input - Image URL/path, Buffer, data URI or base64.
+   * @param {object} [options]
+   * @param {number} [options.tileSize] - Tile side in source pixels; defaults to the model input width.
+   * @param {number} [options.stride] - Step between tiles in source pixels; defaults to half the tile.
+   * @param {'max'|'mean'|'vote'} [options.aggregate='mean']
+   * @param {number} [options.batchSize=16] - Tiles per forward pass.
+   * @param {{class: string|string[], threshold?: number}} [options.boxes] - `threshold` defaults to 0.5.
+   * @param {AbortSignal} [options.signal]
+   * @param {object} [options.timeouts]
+   * @param {(event: object) => void} [options.onProgress] - Stage events per batch and an `item` event per tile.
+   */
+  async classifyTiles(input, { tileSize, stride, aggregate = 'mean', batchSize = 16, topK, boxes, temperature = this.calibration?.temperature, signal, timeouts, onProgress } = {}) {
+    if (!input) throw new Error('input is required');
+    if (this.model.kind !== 'image') throw new Error('classifyTiles() supports image models only.');
+    if (!TILE_AGGREGATES.includes(aggregate)) throw new Error(`aggregate must be one of ${TILE_AGGREGATES.join(', ')}`);
+    if (boxes && !boxes.class) throw new Error('boxes.class is required');
+    for (const name of boxes ? [].concat(boxes.class) : []) {
+      if (!this.model.classes.includes(name)) throw new Error(`Unknown class '${name}' (model classes: ${this.model.classes.join(', ')})`);
+    }
+    const { width: targetW, height: targetH } = this._inputSize();
+    const classes = this.model.classes;
+    const tStart = Date.now();
+    const imageBuffer = await this._stages({ signal, timeouts })('download', s => getImageBuffer(input, { signal: s }));
+    const tDownload = Date.now();
+    const image = await this._stages({ signal, timeouts })('preprocess', () => decodeRGB(imageBuffer));
+    const tDecode = Date.now();
+    const plan = planTiles(image.width, image.height, { tileSize: tileSize ?? targetW, stride });
+    const progress = createProgress(onProgress, { total: plan.tiles.length });
+    const stage = this._stages({ signal, timeouts, progress });
+    const size = Math.max(1, Math.floor(batchSize));
+
+    const tileScores = [];
+    const tiles = [];
+    let preprocessMs = 0;
+    let inferenceMs = 0;
+    for (let start = 0; start < plan.tiles.length; start += size) {
+      const chunk = plan.tiles.slice(start, start + size);
+      const t0 = Date.now();
+      const sized = await stage('preprocess', () => Promise.all(chunk.map(t => cropRGB(image, t, targetW, targetH))));
+      const t1 = Date.now();
+      const rows = await stage('inference', async () => {
+        const tensors = sized.map(s => tf.tensor3d(s.data, [targetH, targetW, 3], 'int32'));
+        try {
+          const { logits } = this._forward(tensors, { temperature });
+          const out = await logits.array();
+          logits.dispose();
+          return out;
+        } finally {
+          tensors.forEach(t => t.dispose());
+        }
+      });
+      preprocessMs += t1 - t0;
+      inferenceMs += Date.now() - t1;
+      rows.forEach((scores, i) => {
+        const { row, col, x, y, width, height } = chunk[i];
+        const tile = { row, col, box: { x, y, width, height }, predictions: getTopKClasses(scores, classes, topK) };
+        tileScores.push(scores);
+        tiles.push(tile);
+        progress?.item(start + i, tile);
+      });
+    }
+
+    const agg = aggregateTileScores(tileScores, aggregate);
+    const grid = Array.from({ length: plan.rows }, () => new Array(plan.cols).fill(null));
+    for (const t of tiles) grid[t.row][t.col] = t.predictions[0].class;
+    const tEnd = Date.now();
+    return {
+      input: { imageUrl: input },
+      backend: tf.getBackend(),
+      image: { width: image.width, height: image.height },
+      tiling: { tileSize: plan.tileSize, stride: plan.stride, rows: plan.rows, cols: plan.cols, count: plan.tiles.length, target: { width: targetW, height: targetH } },
+      tiles,
+      grid,
+      heatmaps: tileHeatmaps(plan, tileScores, classes),
+      aggregate: { method: aggregate, predictions: getTopKClasses(agg, classes, topK) },
+      ...(boxes ? { boxes: tileBoxes(plan, tileScores, classes, boxes) } : {}),
+      timings: { downloadMs: tDownload - tStart, decodeMs: tDecode - tDownload, preprocessMs, inferenceMs, totalMs: tEnd - tStart }
+    };
+  }
+
+  /**
+   * Embeds images and video frames: the activations of the layer feeding the classifier head (see
+   * createFeatureExtractor), one vector per image or sampled frame, e.g. for similarity search with
+   * VectorIndex. `inputs` is one image, an array of images, or `{ images, videos }`. Images run in
+   * forward passes of `batchSize` like classifyBatch(); videos are sampled like classifyVideo()
+   * (`frames`, `sampling`) and also get the mean of their frame embeddings. Inputs that fail to
+   * download or decode carry an `error` instead.
+   * @param {any|any[]|{images?: any[], videos?: any[]}} inputs - URL/path, Buffer, data URI or base64.
+   * @param {object} [options]
+   * @param {number} [options.batchSize=16]
+   * @param {boolean} [options.centerCrop=true]
+   * @param {number} [options.frames=10]
+   * @param {string|number[]|object} [options.sampling='uniform'] - See classifyVideo().
+   * @param {AbortSignal} [options.signal]
+   * @param {object} [options.timeouts]
+   * @param {(event: object) => void} [options.onProgress] - Item events are indexed over images, then videos.
+   */
+  async embed(inputs, { batchSize = 16, centerCrop = true, frames = 10, sampling, signal, timeouts, onProgress } = {}) {
+    if (inputs === undefined || inputs === null) throw new Error('inputs is required');
+    if (this.model.kind === 'audio') throw new Error('embed() supports image and pose models only.');
+    if (this.modelFormat === 'graph') throw new Error('embed() needs a layers model; graph models have no separable feature layer.');
+    if (!Number.isInteger(batchSize) || batchSize <= 0) throw new Error('batchSize must be a positive integer');
+    const tStart = Date.now();
+    const mixed = typeof inputs === 'object' && !Array.isArray(inputs) && !ArrayBuffer.isView(inputs) && (inputs.images || inputs.videos);
+    const images = mixed ? [].concat(inputs.images ?? []) : [].concat(inputs);
+    const videos = mixed ? [].concat(inputs.videos ?? []) : [];
+    this._extractor ??= createFeatureExtractor(this.model);
+    const size = this._inputSize();
+    const progress = createProgress(onProgress, { total: images.length + videos.length });
+    const stage = this._stages({ signal, timeouts, progress });
+    const itemStage = this._itemStages(stage, signal);
+    const failure = (input, err) => ({ input, error: err?.message || String(err) });
+
+    const imageResults = [];
+    for (let i = 0; i < images.length; i += batchSize) {
+      const chunk = images.slice(i, i + batchSize);
+      const sized = await Promise.all(chunk.map(async (input) => {
+        const dl = await itemStage('download', s => getImageBuffer(input, { signal: s }));
+        return dl.ok ? itemStage('preprocess', s => toSizedRGBTensor(dl.value, size.width, size.height, { centerCrop, signal: s })) : dl;
+      }));
+      const ok = sized.filter(r => r.ok);
+      const vectors = ok.length ? await stage('inference', () => this._embedPixels(ok.map(r => r.value), size)) : [];
+      sized.forEach((r, j) => {
+        const result = r.ok ? { input: { imageUrl: chunk[j] }, embedding: vectors[ok.indexOf(r)] } : failure({ imageUrl: chunk[j] }, r.err);
+        imageResults.push(result);
+        progress?.item(i + j, result);
+      });
+    }
+
+    const videoResults = [];
+    for (const [v, input] of videos.entries()) {
+      let result;
+      try {
+        const sampled = await this._sampleFrames(input, { sampling, frames }, stage);
+        if (!sampled?.length) throw new Error('No frames could be extracted');
+        const pixels = await stage('preprocess', s => Promise.all(sampled.map(f => toSizedRGBTensor(f.buffer, size.width, size.height, { centerCrop, transfer: true, signal: s }))));
+        const vectors = [];
+        for (let j = 0; j < pixels.length; j += batchSize) vectors.push(...await stage('inference', () => this._embedPixels(pixels.slice(j, j + batchSize), size)));
+        result = {
+          input: { videoUrl: input },
+          frames: sampled.map((f, j) => ({ frameIndex: j, timestampSec: f.timestampSec, embedding: vectors[j] })),
+          embedding: vectors[0].map((_, d) => vectors.reduce((sum, row) => sum + row[d], 0) / vectors.length)
+        };
+      } catch (e) {
+        throwIfAborted(signal);
+        result = failure({ videoUrl: input }, e);
+      }
+      videoResults.push(result);
+      progress?.item(images.length + v, result);
+    }
+
+    const dims = this._extractor.outputs[0].shape.slice(1).reduce((a, b) => a * b, 1);
+    return { backend: tf.getBackend(), dims, images: imageResults, videos: videoResults, timings: { totalMs: Date.now() - tStart } };
+  }
+
+  /**
+   * Feature-extractor activations for sized RGB pixel data (from toSizedRGBTensor), one flat
+   * vector per image. Pose models embed the PoseNet keypoint features instead of pixels.
+   */
+  async _embedPixels(pixels, { width, height }) {
+    const tensors = pixels.map(p => tf.tensor3d(p.data, [height, width, 3], 'int32'));
+    let poseFeatures = null;
+    try {
+      if (this.model.kind === 'pose') ({ features: poseFeatures } = estimatePoses(this.poseNet, tensors, this.model.inputs[0].shape.slice(1)));
+      const out = tf.tidy(() => firstOutput(this._extractor.predict(poseFeatures ?? normalizeBatch(tensors, this.inputSpec ?? undefined))).reshape([tensors.length, -1]));
+      const rows = await out.array();
+      out.dispose();
+      return rows;
+    } finally {
+      tensors.forEach(t => t.dispose());
+      poseFeatures?.dispose();
+    }
+  }
+
+  /**
+   * Chooses how predictions are scored: `softmax` (the model's own head, the default), `knn`
+   * (nearest examples added with addExample(), over their labels) or `hybrid` (kNN scores blended
+   * into the softmax over `model.classes` plus any new example labels, with `weight` for kNN).
+   * `model.classes` follows the mode, so every classify method keeps its `predictions` shape.
+   * `knn` needs examples up front; `hybrid` scores with the softmax alone until there are some.
+   * @param {{mode?: 'softmax'|'knn'|'hybrid', k?: number, weight?: number}} options
+   */
+  setHead({ mode, k, weight } = {}) {
+    const head = normalizeHead({ mode, k, weight });
+    if (head.mode !== 'softmax') {
+      if (this.model.kind === 'audio') throw new Error('The kNN head supports image and pose models only.');
+      if (this.modelFormat === 'graph') throw new Error('The kNN head needs a layers model; graph models have no separable feature layer.');
+    }
+    if (head.mode === 'knn' && this.knn.size === 0) throw new Error("The kNN head has no examples; add some with addExample() or loadExamples() before setHead({ mode: 'knn' }).");
+    this.head = head;
+    this._applyHead();
+    return head;
+  }
+
+  /**
+   * Adds labeled examples for the kNN head without retraining: each image is embedded (see embed())
+   * and stored under `label`, which may be a new class. Re-adding an identical image is a no-op.
+   * A single image that cannot be read throws; with several, failures are listed in `failed`.
+   * @param {string} label
+   * @param {any|any[]} images - URL/path, Buffer, data URI or base64.
+   * @param {{centerCrop?: boolean, signal?: AbortSignal, timeouts?: object}} [options]
+   * @returns {Promise<{label: string, added: string[], failed: Array<{input: object, error: string}>, examples: number}>}
+   */
+  async addExample(label, images, { centerCrop = true, signal, timeouts } = {}) {
+    if (typeof label !== 'string' || label.length === 0) throw new Error('label must be a non-empty string');
+    const inputs = [].concat(images);
+    const res = await this.embed(inputs, { centerCrop, signal, timeouts });
+    const added = [];
+    const failed = [];
+    for (const r of res.images) {
+      if (r.error) { failed.push(r); continue; }
+      const id = `${label}:${hashBuffer(Buffer.from(Float32Array.from(r.embedding).buffer)).slice(0, 16)}`;
+      this.knn.add(id, label, r.embedding);
+      if (!added.includes(id)) added.push(id);
+    }
+    if (inputs.length === 1 && failed.length) throw new Error(failed[0].error);
+    this._applyHead();
+    return { label, added, failed, examples: this.knn.size };
+  }
+
+  /**
+   * Removes every kNN example of `label`; returns how many were removed.
+   */
+  removeExamples(label) {
+    const removed = this.knn.removeLabel(label);
+    this._applyHead();
+    return removed;
+  }
+
+  /**
+   * Saves the kNN example set as a VectorIndex file (default: the file it was loaded from).
+   */
+  async saveExamples(file) {
+    await this.knn.save(file);
+  }
+
+  /**
+   * Replaces the kNN example set with one saved by saveExamples(); a missing file gives an empty
+   * set bound to that path.
+   */
+  async loadExamples(file) {
+    const knn = await KnnHead.open(file);
+    this._extractor ??= createFeatureExtractor(this.model);
+    const dims = this._extractor.outputs[0].shape.slice(1).reduce((a, b) => a * b, 1);
+    if (knn.index.dims !== null && knn.index.dims !== dims) throw new Error(`Examples in ${file} have ${knn.index.dims} dimensions, this model's features ${dims}`);
+    this.knn.dispose();
+    this.knn = knn;
+    this._applyHead();
+    return knn.size;
+  }
+
+  // Whether predictions go through the kNN head: always in `knn` mode, in `hybrid` once there are examples
+  _knnActive() {
+    return this.head.mode === 'knn' || (this.head.mode === 'hybrid' && this.knn.size > 0);
+  }
+
+  // Output classes for the current head mode; also resets the head part of the prediction cache identity
+  _applyHead() {
+    const labels = this.knn.labels();
+    this.model.classes = this.head.mode === 'softmax' ? this.modelClasses
+      : this.head.mode === 'knn' ? labels
+        : [...this.modelClasses, ...labels.filter(l => !this.modelClasses.includes(l))];
+    this._modelId = null;
+  }
+
+  /**
+   * Explains a prediction with a heatmap over the model input: Grad-CAM on the last convolutional
+   * layer, or gradient saliency when the model cannot be split there (see computeHeatmap).
+   * Returns the heatmap as a 0..1 matrix at the model input size and as a PNG overlay on the
+   * original image. With `timestamps` the input is a video and each frame at those times is explained.
+   * @param {any} input - Image or video: URL/path, Buffer, data URI or base64.
+   * @param {object} [options]
+   * @param {string|number} [options.class] - Class name or index; defaults to the top prediction.
+   * @param {'auto'|'gradcam'|'saliency'} [options.method='auto']
+   * @param {string} [options.layer] - Grad-CAM layer name; defaults to the last spatial layer.
+   * @param {boolean} [options.centerCrop=true]
+   * @param {number} [options.alpha=0.5] - Overlay opacity.
+   * @param {number[]} [options.timestamps] - Video frame times in seconds.
+   * @param {AbortSignal} [options.signal]
+   * @param {object} [options.timeouts]
+   */
+  async explain(input, { class: target, method = 'auto', layer, centerCrop = true, alpha = 0.5, timestamps, signal, timeouts } = {}) {
+    if (!input) throw new Error('input is required');
+    if (this.model.kind === 'audio' || this.model.kind === 'pose') throw new Error('explain() supports image models only.');
+    if (this.modelFormat === 'graph') throw new Error('explain() needs a layers model; graph models cannot be replayed for gradients.');
+    if (this._knnActive()) throw new Error("explain() covers the model's own classes; switch back with setHead({ mode: 'softmax' }).");
+    const tStart = Date.now();
+    const stage = this._stages({ signal, timeouts });
+    const opts = { target, method, layer, centerCrop, alpha, stage };
+    if (timestamps) {
+      const sampled = await this._sampleFrames(input, { sampling: { strategy: 'timestamps', timestamps }, frames: timestamps.length }, stage);
+      const frames = [];
+      for (const frame of sampled) frames.push({ timestampSec: frame.timestampSec, ...await this._explainBuffer(frame.buffer, opts) });
+      return { input: { videoUrl: input, timestamps }, backend: tf.getBackend(), frames, timings: { totalMs: Date.now() - tStart } };
+    }
+    const imageBuffer = await stage('download', s => getImageBuffer(input, { signal: s }));
+    const out = await this._explainBuffer(imageBuffer, opts);
+    return { input: { imageUrl: input }, backend: tf.getBackend(), ...out, timings: { totalMs: Date.now() - tStart } };
+  }
+
+  async _explainBuffer(imageBuffer, { target, method, layer, centerCrop, alpha, stage }) {
+    const { width, height } = this._inputSize();
+    const sized = await stage('preprocess', s => toSizedRGBTensor(imageBuffer, width, height, { centerCrop, signal: s }));
+    const { classIndex, score, heatmap } = await stage('inference', async () => {
+      const image = tf.tensor3d(sized.data, [height, width, 3], 'int32');
+      try {
+        const { logits } = this._forward([image]);
+        const [scores] = await logits.array();
+        logits.dispose();
+        const classIndex = resolveClassIndex(target, this.model.classes, scores);
+        return { classIndex, score: scores[classIndex], heatmap: await computeHeatmap(this.model, image, classIndex, { method, layer, inputSpec: this.inputSpec ?? undefined }) };
+      } finally {
+        image.dispose();
+      }
+    });
+    return {
+      class: this.model.classes[classIndex],
+      classIndex,
+      score,
+      method: heatmap.method,
+      layer: heatmap.layer,
+      heatmap: { width, height, data: heatmapToMatrix(heatmap) },
+      overlay: await renderHeatmapOverlay(imageBuffer, heatmap, { centerCrop, alpha })
+    };
+  }
+
+  /**
+   * Local copy of a media input for FFmpeg, fetched under the `download` stage. A download that
+   * finishes after its stage was aborted removes its own temp dir.
+   * @returns {Promise<{path: string, cleanup: () => Promise<void>}>}
+   */
+  _downloadToDisk(input, stage, { maxBytes } = {}) {
+    return stage('download', async (s) => {
+      const loc = await ensureLocalPathWithCleanup(input, { signal: s, maxBytes });
+      if (s?.aborted) { await loc.cleanup(); throw s.reason; }
+      return loc;
+    });
+  }
+
+  /**
+   * Extracts video frames as planned by planSampling() from `sampling` and `frames`, honoring the I/O mode.
+   */
+  async _sampleFrames(videoUrl, { sampling, frames }, stage) {
+    const ffmpegPath = await ensureFFmpeg();
+    const planFor = (durationSec) => {
+      if (!durationSec || durationSec <= 0) throw new Error('Unable to determine video duration');
+      return planSampling(sampling, { frames, durationSec });
+    };
+    const extract = (source, plan, fromBuffer) => stage('extract', s => (plan.timestamps
+      ? (fromBuffer ? extractFramesFromBuffer : extractFrames)(ffmpegPath, source, plan.timestamps, { signal: s })
+      : extractFramesFiltered(ffmpegPath, source, { ...plan, signal: s })));
+    if (this.ioMode === 'ram') {
+      const buf = await stage('download', s => getMediaBuffer(videoUrl, { signal: s }));
+      return extract(buf, planFor(await stage('probe', s => probeDurationSecFromBuffer(ffmpegPath, buf, { signal: s }))), true);
+    }
+    const loc = await this._downloadToDisk(videoUrl, stage);
+    try {
+      return await extract(loc.path, planFor(await stage('probe', s => probeDurationSec(ffmpegPath, loc.path, { signal: s }))), false);
+    } finally {
+      await loc.cleanup();
+    }
+  }
+
+  /**
+   * Measures model quality on a labeled dataset laid out as `datasetDir/<label>/<image>`.
+   * Runs classifyBatch() over every image and returns accuracy, top-k accuracy, per-class
+   * precision/recall/F1, a confusion matrix and the worst misclassified files.
+   * @param {object} options
+   * @param {string} options.datasetDir
+   * @param {number} [options.topK=5]
+   * @param {number} [options.batchSize=32]
+   * @param {number} [options.worst=10]
+   */
+  async evaluate(options = {}) {
+    return evaluateDataset(this, options);
+  }
+
+  /**
+   * Fits temperature scaling on a labeled calibration folder (`datasetDir/<label>/<image>`).
+   * The fitted temperature is applied to all subsequent image, batch and video scores and, unless
+   * `save` is false, written to `calibration.json` next to `metadata.json` where create() loads it.
+   * @param {object} options
+   * @param {string} options.datasetDir
+   * @param {number} [options.batchSize=32]
+   * @param {boolean} [options.centerCrop=true]
+   * @param {boolean} [options.save=true]
+   * @param {AbortSignal} [options.signal]
+   * @param {object} [options.timeouts] - Per-stage timeouts, see classifyBatch().
+   * @returns {Promise<{temperature: number, samples: number, nllBefore: number, nllAfter: number, fittedAt: string}>}
+   */
+  async calibrate({ datasetDir, batchSize = 32, centerCrop = true, save = true, signal, timeouts } = {}) {
+    if (!datasetDir) throw new Error('datasetDir is required');
+    if (save && !this.modelDir) throw new Error('No model directory to save calibration to; load the model with modelDir/saveToDir or pass save: false.');
+    const classes = this.model.classes;
+    const { items } = await listLabeledImages(datasetDir);
+    const known = items.filter(it => classes.includes(it.label));
+    if (known.length === 0) throw new Error('No calibration images belong to classes known by the model.');
+
+    const batch = await this.classifyBatch({ imageUrls: known.map(it => it.file), batchSize, centerCrop, openSet: null, temperature: 1, signal, timeouts });
+    const labelOf = new Map(known.map(it => [it.file, it.label]));
+    const probs = []; const labelIdx = [];
+    for (const r of batch.results) {
+      if (r.error) continue;
+      const row = new Array(classes.length).fill(0);
+      for (const p of r.predictions) row[classes.indexOf(p.class)] = p.score;
+      probs.push(row);
+      labelIdx.push(classes.indexOf(labelOf.get(r.input.imageUrl)));
+    }
+    const fit = fitTemperature(probs, labelIdx);
+    this.calibration = { temperature: fit.temperature, samples: probs.length, nllBefore: fit.nllBefore, nllAfter: fit.nllAfter, fittedAt: new Date().toISOString() };
+    if (save) await writeCalibration(this.modelDir, this.calibration);
+    return this.calibration;
   }
 
   /**
@@ -228,20 +1219,24 @@ export default class TeachableMachine {
    * Unified classify entry. Routes to image or video classification.
    * @param {object} options
    * @param {any|any[]} options.input - Image(s) or video(s)
-   * @param {'auto'|'image'|'video'} [options.mediaType='auto']
+   * @param {'auto'|'image'|'video'|'audio'} [options.mediaType='auto'] - 'auto' routes to audio when an audio model is loaded.
    * @param {number} [options.frames=10]
    */
-  async classify({ input, mediaType = 'auto', frames = 10, topK, centerCrop = true, resizeOnCPU = true, turboMode = false, extractionConcurrency, preprocessConcurrency, maxConcurrent = 2, maxBytes = 10 * 1024 * 1024, batchSize } = {}) {
+  async classify({ input, mediaType = 'auto', frames = 10, topK, centerCrop = true, resizeOnCPU = true, turboMode = false, extractionConcurrency, preprocessConcurrency, maxConcurrent = 2, maxBytes = 10 * 1024 * 1024, batchSize, overlap, openSet, segments, sampling, tta, signal, timeouts, onProgress } = {}) {
+    if (mediaType === 'audio' || (mediaType === 'auto' && this.model.kind === 'audio')) {
+      const audios = (input && typeof input === 'object' && !Array.isArray(input) && input.audios) ? input.audios : input;
+      return this.classifyAudios({ audios, topK, overlap, maxConcurrent, maxBytes, signal, timeouts });
+    }
     // Mixed object form: { images: [...], videos: [...] }
     if (input && typeof input === 'object' && !Array.isArray(input) && (input.images || input.videos)) {
       const tasks = [];
       if (input.images && input.images.length) {
-        tasks.push(this.classifyImages({ images: input.images, topK, centerCrop, resizeOnCPU, batchSize }));
+        tasks.push(this.classifyImages({ images: input.images, topK, centerCrop, resizeOnCPU, batchSize, openSet, tta, signal, timeouts, onProgress }));
       } else {
         tasks.push(Promise.resolve(null));
       }
       if (input.videos && input.videos.length) {
-        tasks.push(this.classifyVideos({ videos: input.videos, frames, topK, centerCrop, resizeOnCPU, turboMode, extractionConcurrency, preprocessConcurrency, maxConcurrent, maxBytes }));
+        tasks.push(this.classifyVideos({ videos: input.videos, frames, topK, centerCrop, resizeOnCPU, turboMode, extractionConcurrency, preprocessConcurrency, maxConcurrent, maxBytes, openSet, segments, sampling, tta, signal, timeouts, onProgress }));
       } else {
         tasks.push(Promise.resolve(null));
       }
@@ -252,9 +1247,9 @@ export default class TeachableMachine {
     // Legacy/array form: decide route
     const isVideo = mediaType === 'video' || (Number.isFinite(frames) && frames > 0 && mediaType !== 'image');
     if (isVideo) {
-      return this.classifyVideos({ videos: input, frames, topK, centerCrop, resizeOnCPU, turboMode, extractionConcurrency, preprocessConcurrency, maxConcurrent, maxBytes });
+      return this.classifyVideos({ videos: input, frames, topK, centerCrop, resizeOnCPU, turboMode, extractionConcurrency, preprocessConcurrency, maxConcurrent, maxBytes, openSet, segments, sampling, tta, signal, timeouts, onProgress });
     }
-    return this.classifyImages({ images: input, topK, centerCrop, resizeOnCPU, batchSize });
+    return this.classifyImages({ images: input, topK, centerCrop, resizeOnCPU, batchSize, openSet, tta, signal, timeouts, onProgress });
   }
 
   /**
@@ -264,10 +1259,20 @@ export default class TeachableMachine {
     return this.classifyVideo({ videoUrl: videos, ...rest });
   }
 
-  dispose() { if (this.model) this.model.dispose(); }
+  /**
+   * Releases the model weights and shuts down the preprocessing worker pool.
+   * @returns {Promise<void>} Resolves once the pool's workers have exited.
+   */
+  dispose() {
+    if (this.model) this.model.dispose();
+    if (this.poseNet) this.poseNet.model.dispose();
+    this.knn?.dispose();
+    // Other instances may still be using the shared worker pool
+    return this._releasePreprocessPool?.() ?? Promise.resolve();
+  }
 
   /**
-   * Classifies one or more videos/GIFs by sampling evenly spaced frames with FFmpeg and running the image pipeline.
+   * Classifies one or more videos/GIFs by sampling frames with FFmpeg and running the image pipeline.
    * Accepts URL/path, Buffer/Uint8Array, data URI or base64 for single input, or an array of such inputs.
    * @param {object} options
    * @param {string|Buffer|Uint8Array|(string|Buffer|Uint8Array)[]} options.videoUrl
@@ -276,11 +1281,20 @@ export default class TeachableMachine {
    * @param {boolean} [options.centerCrop=true]
    * @param {boolean} [options.resizeOnCPU=true]
    * @param {boolean} [options.turboMode=false]
+   * @param {boolean|object} [options.segments] - Adds a `segments` timeline; see segmentTimeline() for
+   *   `window`, `enter`, `exit`, `minDurationSec`. `format: 'vtt'|'srt'` also adds a `subtitles` track.
+   * @param {string|number[]|object} [options.sampling='uniform'] - Frame sampling strategy: `uniform` (`frames`
+   *   evenly spaced), `fps`, `keyframes`, `scene`, explicit `timestamps` or `ranges`; see planSampling().
+   *   `results[].timestampSec` is the real timestamp of each decoded frame.
+   * @param {(event: object) => void} [options.onProgress] - Stage transitions, frames extracted so far and
+   *   each video's result as soon as it finishes; events of a multi-video call carry the video `index`.
+   * @param {boolean|object} [options.tta] - Test-time augmentation per frame; see classifyImages().
    */
-  async classifyVideo({ videoUrl, frames = 10, topK, centerCrop = true, resizeOnCPU = true, turboMode = false, extractionConcurrency, preprocessConcurrency, maxConcurrent = 2, maxBytes = 10 * 1024 * 1024 } = {}) {
+  async classifyVideo({ videoUrl, frames = 10, topK, centerCrop = true, resizeOnCPU = true, turboMode = false, extractionConcurrency, preprocessConcurrency, maxConcurrent = 2, maxBytes = 10 * 1024 * 1024, openSet = this.openSet, segments, sampling, tta: ttaOption, signal, timeouts, onProgress } = {}) {
     // Support single or multiple inputs
     if (Array.isArray(videoUrl)) {
-      const tasks = videoUrl.map((u) => async () => this.classifyVideo({ videoUrl: u, frames, topK, centerCrop, resizeOnCPU, turboMode, extractionConcurrency, preprocessConcurrency, maxBytes }));
+      const progress = createProgress(onProgress, { total: videoUrl.length });
+      const tasks = videoUrl.map((u, index) => async () => this.classifyVideo({ videoUrl: u, frames, topK, centerCrop, resizeOnCPU, turboMode, extractionConcurrency, preprocessConcurrency, maxBytes, openSet, segments, sampling, tta: ttaOption, signal, timeouts, onProgress: progress?.child(index) }));
       const q = tasks.slice();
       const out = [];
       const runners = new Array(Math.max(1, Math.min(maxConcurrent, q.length))).fill(0).map(async function run() {
@@ -295,52 +1309,77 @@ export default class TeachableMachine {
     }
     if (!videoUrl) throw new Error('videoUrl is required');
     if (!Number.isFinite(frames) || frames <= 0) throw new Error('frames must be a positive number');
+    if (this.model.kind === 'audio') throw new Error('Audio models cannot classify images or video frames; use classifyAudio().');
     const tStart = Date.now();
-    // Determine target model input size
-    const inShape = this.model?.inputs?.[0]?.shape;
-    const targetH = inShape?.[1];
-    const targetW = inShape?.[2];
-    if (typeof targetH !== 'number' || typeof targetW !== 'number') throw new Error('Model input shape is not fully defined.');
+    const tta = normalizeTta(ttaOption);
+    // Frames are decoded at the model input size (or the larger TTA source size)
+    const { width: decodeW, height: decodeH } = this._decodeSize(tta);
+    const preprocessInfo = { target: this._inputSize(), centerCrop, resizeOnCPU, ...(tta ? { ttaSource: { width: decodeW, height: decodeH } } : {}) };
     const aggregateScores = new Array(this.model.classes.length).fill(0);
+    const checkOpenSet = hasOpenSetChecks(openSet);
+    const frameScores = [];
     let frameCount = 0;
     const ffmpegPath = await ensureFFmpeg();
+    const progress = createProgress(onProgress, { total: 1 });
+    const stage = this._stages({ signal, timeouts, progress });
+    const downloadToDisk = () => this._downloadToDisk(videoUrl, stage, { maxBytes });
     let cleanup = async () => {};
-    let durationSec; let framesSource; let usedMode = this.ioMode; let fallbackToDisk = false; let sizeBytes = 0; let tempCleaned = false;
+    let durationSec; let framesSource; let usedMode = this.ioMode; let fallbackToDisk = false; let sizeBytes = 0; let tempCleaned = false; let cacheKey = null;
     try {
       if (this.ioMode === 'ram') {
-        const mediaBuf = await getMediaBuffer(videoUrl);
+        const mediaBuf = await stage('download', s => getMediaBuffer(videoUrl, { signal: s, maxBytes }));
         sizeBytes = mediaBuf.length;
         if (maxBytes && sizeBytes > maxBytes) throw new Error(`Media exceeds maxBytes (${sizeBytes} > ${maxBytes})`);
-        durationSec = await probeDurationSecFromBuffer(ffmpegPath, mediaBuf);
         framesSource = mediaBuf;
       } else {
-        const loc = await ensureLocalPathWithCleanup(videoUrl);
+        const loc = await downloadToDisk();
         cleanup = loc.cleanup;
-        try {
-          const { default: fs } = await import('fs/promises');
-          const st = await fs.stat(loc.path).catch(() => null);
-          sizeBytes = st?.size ?? 0;
-          if (maxBytes && sizeBytes > maxBytes) throw new Error(`Media exceeds maxBytes (${sizeBytes} > ${maxBytes})`);
-        } catch {}
-        durationSec = await probeDurationSec(ffmpegPath, loc.path);
+        const { default: fs } = await import('fs/promises');
+        const st = await fs.stat(loc.path).catch(() => null);
+        sizeBytes = st?.size ?? 0;
+        if (maxBytes && sizeBytes > maxBytes) throw new Error(`Media exceeds maxBytes (${sizeBytes} > ${maxBytes})`);
         framesSource = loc.path;
       }
+      if (this.cache) {
+        const contentHash = usedMode === 'ram' ? hashBuffer(framesSource) : await hashFile(framesSource);
+        cacheKey = predictionKey('video', await this._modelIdentity(), contentHash, { frames: Math.floor(frames), sampling, topK, centerCrop, openSet, segments, tta: tta ?? undefined, temperature: this.calibration?.temperature });
+        const cached = await this.cache.get(cacheKey);
+        if (cached) {
+          const hit = {
+            ...cached,
+            input: { ...cached.input, videoUrl, turboMode },
+            backend: tf.getBackend(),
+            timings: { downloadPrepareMs: Date.now() - tStart, decodeResizeMs: 0, inferenceMs: 0, postprocessMs: 0, totalMs: Date.now() - tStart },
+            io: { mode: usedMode, fallbackToDisk: false, tempCleaned: true, sizeBytes, maxBytes },
+            cache: { hit: true, key: cacheKey }
+          };
+          progress?.item(0, hit);
+          return hit;
+        }
+      }
+      durationSec = await stage('probe', s => (usedMode === 'ram' ? probeDurationSecFromBuffer(ffmpegPath, framesSource, { signal: s }) : probeDurationSec(ffmpegPath, framesSource, { signal: s })));
       if (!durationSec || durationSec <= 0) throw new Error('Unable to determine video duration');
 
-      const stampsRaw = sampleTimestamps(durationSec, Math.floor(frames));
-      const stamps = safeTimestamps(durationSec, stampsRaw);
+      const plan = planSampling(sampling, { frames, durationSec });
       const tPrepEnd = Date.now();
       const cpuCount = (typeof os?.cpus === 'function' && Array.isArray(os.cpus())) ? os.cpus().length : 4;
       const extractConc = Math.max(1, Math.min(16, extractionConcurrency ?? (turboMode ? Math.min(8, cpuCount) : 1)));
-      let frameBuffers = usedMode === 'ram'
-        ? await extractFramesAutoFromBuffer(ffmpegPath, framesSource, Math.floor(frames), durationSec)
-        : await extractFrames(ffmpegPath, framesSource, stamps, { concurrency: extractConc });
-      if (usedMode === 'ram' && (!frameBuffers || frameBuffers.length === 0)) {
+      const onFrame = progress && (n => progress.frames(n, plan.timestamps?.length));
+      // RAM mode prefers one filtered pass over the buffer; disk mode prefers parallel seeks
+      const extractFromPath = (file) => stage('extract', s => (plan.timestamps
+        ? extractFrames(ffmpegPath, file, plan.timestamps, { concurrency: extractConc, signal: s, onFrame })
+        : extractFramesFiltered(ffmpegPath, file, { ...plan, signal: s, onFrame })));
+      let sampled = usedMode === 'ram'
+        ? await stage('extract', s => (plan.filter !== undefined
+          ? extractFramesFiltered(ffmpegPath, framesSource, { ...plan, signal: s, onFrame })
+          : extractFramesFromBuffer(ffmpegPath, framesSource, plan.timestamps, { concurrency: extractConc, signal: s, onFrame })))
+        : await extractFromPath(framesSource);
+      if (usedMode === 'ram' && (!sampled || sampled.length === 0)) {
         // Fallback to disk
-        const loc = await ensureLocalPathWithCleanup(videoUrl);
+        const loc = await downloadToDisk();
         fallbackToDisk = true; usedMode = 'disk';
         try {
-          frameBuffers = await extractFrames(ffmpegPath, loc.path, stamps, { concurrency: extractConc });
+          sampled = await extractFromPath(loc.path);
           const { default: fs } = await import('fs/promises');
           const st = await fs.stat(loc.path).catch(() => null);
           sizeBytes = st?.size ?? sizeBytes;
@@ -352,53 +1391,59 @@ export default class TeachableMachine {
       if (turboMode) {
         const t0 = Date.now();
         const prepConc = Math.max(1, Math.min(32, preprocessConcurrency ?? Math.min(8, cpuCount)));
-        const jobs = frameBuffers.map((buf, i) => async () => {
-          const sized = await toSizedRGBTensor(buf, targetW, targetH, { centerCrop });
-          return tf.tensor3d(sized.data, [targetH, targetW, 3], 'int32');
-        });
-        const queue = jobs.slice();
-        const tensors = new Array(jobs.length);
-        const runners = new Array(Math.max(1, Math.min(prepConc, queue.length))).fill(0).map(async function run() {
-          while (queue.length) {
-            const idx = jobs.length - queue.length;
-            const job = queue.shift();
-            if (!job) break;
-            tensors[idx] = await job();
-          }
+        const jobs = sampled.map((frame) => (s) => toSizedRGBTensor(frame.buffer, decodeW, decodeH, { centerCrop, transfer: true, signal: s }));
+        // Pixel data only: tensors are created inside the inference stage so an abort cannot leak them
+        const sizedFrames = await stage('preprocess', async (s) => {
+          const queue = jobs.slice();
+          const out = new Array(jobs.length);
+          const runners = new Array(Math.max(1, Math.min(prepConc, queue.length))).fill(0).map(async function run() {
+            while (queue.length && !s?.aborted) {
+              const idx = jobs.length - queue.length;
+              const job = queue.shift();
+              if (!job) break;
+              out[idx] = await job(s);
+            }
+          });
+          await Promise.all(runners);
+          return out;
         });
-        await Promise.all(runners);
         const t1 = Date.now();
-        const logits = tf.tidy(() => {
-          const offset = tf.scalar(127.5);
-          const batch = tf.stack(tensors.map(t => t.toFloat().sub(offset).div(offset)));
-          const out = this.model.predict(batch);
-          return Array.isArray(out) ? out[0] : out;
+        let t2;
+        const { probs, poses, variance } = await stage('inference', async () => {
+          const tensors = sizedFrames.map(sized => tf.tensor3d(sized.data, [decodeH, decodeW, 3], 'int32'));
+          let forward;
+          try {
+            forward = await this._forwardImages(tensors, { tta });
+          } finally {
+            tensors.forEach(t => t.dispose());
+          }
+          const { logits, poses, variance } = forward;
+          t2 = Date.now();
+          const probs = await logits.array();
+          logits.dispose();
+          return { probs, poses, variance };
         });
-        tensors.forEach(t => t.dispose());
-        const t2 = Date.now();
-        const [probs] = await Promise.all([logits.array()]);
-        logits.dispose();
         frameCount = probs.length;
+        frameScores.push(...probs);
         for (let f = 0; f < probs.length; f++) {
           for (let c = 0; c < probs[f].length; c++) aggregateScores[c] += probs[f][c];
         }
-        const k = Math.min(topK ?? this.model.classes.length, this.model.classes.length);
         const results = [];
         for (let i = 0; i < probs.length; i++) {
           const scores = probs[i];
-          const idxs = scores.map((s, ci) => ci).sort((a, b) => scores[b] - scores[a]).slice(0, k);
-          const preds = idxs.map((ci, j) => ({ class: this.model.classes[ci], score: scores[ci], rank: j + 1 }));
-          results.push({ frameIndex: i, timestampSec: stamps[i] ?? null, predictions: preds });
+          const top = getTopKClasses(scores, this.model.classes, topK);
+          const preds = variance ? top.map(p => ({ ...p, variance: variance[i][this.model.classes.indexOf(p.class)] })) : top;
+          results.push({ frameIndex: i, timestampSec: sampled[i].timestampSec, predictions: preds, ...(tta ? { tta: ttaSummary(tta, preds) } : {}), ...(checkOpenSet ? { outcome: assessOpenSet(scores, this.model.classes, openSet) } : {}), ...(poses ? { pose: this._sourcePose(poses[i], sizedFrames[i].source, centerCrop) } : {}) });
         }
         const t3 = Date.now();
         const tEnd = Date.now();
         const avg = aggregateScores.map(s => s / Math.max(1, frameCount));
-        const order = avg.map((s, i) => i).sort((a, b) => avg[b] - avg[a]);
-        const overall = order.map((ci, j) => ({ class: this.model.classes[ci], score: avg[ci], rank: j + 1 })).slice(0, k);
+        const overall = getTopKClasses(avg, this.model.classes, topK);
         const out = {
-          input: { videoUrl, frames: Math.floor(frames), turboMode: true },
+          input: { videoUrl, frames: Math.floor(frames), sampling: plan.strategy, turboMode: true },
           backend: tf.getBackend(),
           modelInfo: { classesCount: this.model.classes.length },
+          preprocess: preprocessInfo,
           timings: {
             downloadPrepareMs: tPrepEnd - tStart,
             decodeResizeMs: t1 - t0,
@@ -407,47 +1452,55 @@ export default class TeachableMachine {
             totalMs: tEnd - tStart
           },
           io: { mode: usedMode, fallbackToDisk, tempCleaned, sizeBytes, maxBytes },
+          ...workerPoolInfo(),
           results,
-          aggregate: { predictions: overall }
+          ...this._buildSegments(frameScores, results.map(r => r.timestampSec), durationSec, segments),
+          aggregate: { predictions: overall, ...(checkOpenSet ? { outcome: assessOpenSet(avg, this.model.classes, openSet) } : {}) }
         };
         await cleanup(); tempCleaned = true;
-        return out;
+        const stored = await this._storeVideoResult(cacheKey, out);
+        progress?.item(0, stored);
+        return stored;
       } else {
         const results = [];
         let decodeResizeMs = 0; let inferenceMs = 0; let postprocessMs = 0;
-        for (let i = 0; i < frameBuffers.length; i++) {
+        for (let i = 0; i < sampled.length; i++) {
           const tA = Date.now();
-          const sized = await toSizedRGBTensor(frameBuffers[i], targetW, targetH, { centerCrop });
-          const imageTensor = tf.tensor3d(sized.data, [targetH, targetW, 3], 'int32');
+          const sized = await stage('preprocess', s => toSizedRGBTensor(sampled[i].buffer, decodeW, decodeH, { centerCrop, transfer: true, signal: s }));
           const tB = Date.now();
-          const logits = tf.tidy(() => {
-            const offset = tf.scalar(127.5);
-            const norm = imageTensor.toFloat().sub(offset).div(offset).expandDims(0);
-            const out = this.model.predict(norm);
-            return Array.isArray(out) ? out[0] : out;
+          let tC;
+          const { probs, poses, variance } = await stage('inference', async () => {
+            const imageTensor = tf.tensor3d(sized.data, [decodeH, decodeW, 3], 'int32');
+            let forward;
+            try {
+              forward = await this._forwardImages([imageTensor], { tta });
+            } finally {
+              imageTensor.dispose();
+            }
+            const { logits, poses, variance } = forward;
+            tC = Date.now();
+            const probs = await logits.array();
+            logits.dispose();
+            return { probs, poses, variance };
           });
-          const tC = Date.now();
-          imageTensor.dispose();
-          const probs = await logits.array();
-          logits.dispose();
           frameCount += 1;
           for (let c = 0; c < probs[0].length; c++) aggregateScores[c] += probs[0][c];
-          const k = Math.min(topK ?? this.model.classes.length, this.model.classes.length);
+          frameScores.push(probs[0]);
           const scores = probs[0];
-          const idxs = scores.map((s, ci) => ci).sort((a, b) => scores[b] - scores[a]).slice(0, k);
-          const preds = idxs.map((ci, j) => ({ class: this.model.classes[ci], score: scores[ci], rank: j + 1 }));
+          const top = getTopKClasses(scores, this.model.classes, topK);
+          const preds = variance ? top.map(p => ({ ...p, variance: variance[0][this.model.classes.indexOf(p.class)] })) : top;
           const tD = Date.now();
-          results.push({ frameIndex: i, timestampSec: stamps[i] ?? null, predictions: preds });
+          results.push({ frameIndex: i, timestampSec: sampled[i].timestampSec, predictions: preds, ...(tta ? { tta: ttaSummary(tta, preds) } : {}), ...(checkOpenSet ? { outcome: assessOpenSet(scores, this.model.classes, openSet) } : {}), ...(poses ? { pose: this._sourcePose(poses[0], sized.source, centerCrop) } : {}) });
           decodeResizeMs += tB - tA; inferenceMs += tC - tB; postprocessMs += tD - tC;
         }
         const tEnd = Date.now();
         const avg = aggregateScores.map(s => s / Math.max(1, frameCount));
-        const order = avg.map((s, i) => i).sort((a, b) => avg[b] - avg[a]);
-        const overall = order.map((ci, j) => ({ class: this.model.classes[ci], score: avg[ci], rank: j + 1 })).slice(0, Math.min(topK ?? this.model.classes.length, this.model.classes.length));
+        const overall = getTopKClasses(avg, this.model.classes, topK);
         const out = {
-          input: { videoUrl, frames: Math.floor(frames), turboMode: false },
+          input: { videoUrl, frames: Math.floor(frames), sampling: plan.strategy, turboMode: false },
           backend: tf.getBackend(),
           modelInfo: { classesCount: this.model.classes.length },
+          preprocess: preprocessInfo,
           timings: {
             downloadPrepareMs: tPrepEnd - tStart,
             decodeResizeMs,
@@ -456,17 +1509,97 @@ export default class TeachableMachine {
             totalMs: tEnd - tStart
           },
           io: { mode: usedMode, fallbackToDisk, tempCleaned, sizeBytes, maxBytes },
+          ...workerPoolInfo(),
           results,
-          aggregate: { predictions: overall }
+          ...this._buildSegments(frameScores, results.map(r => r.timestampSec), durationSec, segments),
+          aggregate: { predictions: overall, ...(checkOpenSet ? { outcome: assessOpenSet(avg, this.model.classes, openSet) } : {}) }
         };
         await cleanup(); tempCleaned = true;
-        return out;
+        const stored = await this._storeVideoResult(cacheKey, out);
+        progress?.item(0, stored);
+        return stored;
       }
     } finally {
       try { await cleanup(); tempCleaned = true; } catch {}
     }
   }
 
+  async _storeVideoResult(cacheKey, out) {
+    if (!cacheKey) return out;
+    const { videoUrl: _v, ...input } = out.input;
+    await this.cache.set(cacheKey, { ...cacheableResult(out), input });
+    return { ...out, cache: { hit: false, key: cacheKey } };
+  }
+
+  /**
+   * Continuously classifies a live or piped source (RTSP/HLS/MJPEG URL, local file, or a Readable
+   * stream such as process.stdin) through a single long-running FFmpeg process.
+   * Returns an async iterator of timestamped frame predictions; frames are only decoded as fast as
+   * the consumer pulls them (see streamFrames for queueing). Stops when `signal` aborts, the
+   * consumer breaks out of the loop, or the source ends.
+   * @param {object} options
+   * @param {string|import('stream').Readable} options.source
+   * @param {number} [options.fps=1]
+   * @param {number} [options.topK]
+   * @param {boolean} [options.centerCrop=true]
+   * @param {AbortSignal} [options.signal]
+   * @param {number} [options.maxQueue=4]
+   * @param {boolean} [options.dropFrames=false] - Drop the oldest queued frames instead of pausing the source.
+   * @param {string[]} [options.inputArgs] - Extra FFmpeg input args, e.g. ['-rtsp_transport', 'tcp'].
+   * @returns {AsyncGenerator<{frameIndex: number, timestampSec: number, receivedAt: string, predictions: object[], droppedFrames: number}>}
+   */
+  async *classifyStream({ source, fps = 1, topK, centerCrop = true, signal, maxQueue = 4, dropFrames = false, inputArgs, openSet = this.openSet } = {}) {
+    if (!source) throw new Error('source is required');
+    if (!Number.isFinite(fps) || fps <= 0) throw new Error('fps must be a positive number');
+    if (this.model.kind === 'audio') throw new Error('Audio models cannot classify images or video frames; use classifyAudio().');
+    const { width: targetW, height: targetH } = this._inputSize();
+    const ffmpegPath = await ensureFFmpeg();
+    const classes = this.model.classes;
+    const checkOpenSet = hasOpenSetChecks(openSet);
+    for await (const frame of streamFrames(ffmpegPath, { source, fps, inputArgs, maxQueue, dropFrames, signal })) {
+      const receivedAt = new Date().toISOString();
+      const t0 = Date.now();
+      let sized;
+      try {
+        sized = await toSizedRGBTensor(frame.buffer, targetW, targetH, { centerCrop, transfer: true, signal });
+      } catch (e) {
+        throwIfAborted(signal);
+        yield { frameIndex: frame.index, timestampSec: frame.timestampSec, receivedAt, error: e?.message || String(e), droppedFrames: frame.dropped };
+        continue;
+      }
+      const imageTensor = tf.tensor3d(sized.data, [targetH, targetW, 3], 'int32');
+      const { logits, poses } = this._forward([imageTensor]);
+      imageTensor.dispose();
+      const [scores] = await logits.array();
+      logits.dispose();
+      yield {
+        frameIndex: frame.index,
+        timestampSec: frame.timestampSec,
+        receivedAt,
+        predictions: getTopKClasses(scores, classes, topK),
+        ...(checkOpenSet ? { outcome: assessOpenSet(scores, classes, openSet) } : {}),
+        ...(poses ? { pose: this._sourcePose(poses[0], sized.source, centerCrop) } : {}),
+        timings: { totalMs: Date.now() - t0 },
+        droppedFrames: frame.dropped
+      };
+    }
+  }
+
+  /**
+   * Builds the optional `segments` timeline (and `subtitles` track) for a video result.
+   */
+  _buildSegments(frameScores, timestamps, durationSec, segments) {
+    if (!segments) return {};
+    // Keyframe and scene sampling cannot place a frame FFmpeg did not report; no timeline then
+    if (!timestamps.every(Number.isFinite)) return { segments: null };
+    const opts = segments === true ? {} : segments;
+    const timeline = segmentTimeline(frameScores, timestamps, this.model.classes, { ...opts, durationSec });
+    const out = { segments: timeline };
+    if (opts.format === 'vtt') out.subtitles = segmentsToWebVTT(timeline);
+    else if (opts.format === 'srt') out.subtitles = segmentsToSRT(timeline);
+    return out;
+  }
+
   /**
    * Classifies multiple videos or GIFs. Processes videos sequentially by default to limit memory.
    * @param {object} options
@@ -485,4 +1618,125 @@ export default class TeachableMachine {
     if (!Array.isArray(videoUrls) || videoUrls.length === 0) throw new Error('videoUrls must be a non-empty array');
     return this.classifyVideo({ videoUrl: videoUrls, ...rest });
   }
+
+  /**
+   * Classifies one or more audio inputs with a Teachable Machine audio (speech-commands) model.
+   * The audio track is decoded with FFmpeg (WAV, MP3, or the audio stream of a video), converted to
+   * spectrogram windows of the model's input shape and classified window by window.
+   * Accepts URL/path, Buffer/Uint8Array, data URI or base64 for single input, or an array of such inputs.
+   * @param {object} options
+   * @param {string|Buffer|Uint8Array|(string|Buffer|Uint8Array)[]} options.audioUrl
+   * @param {number} [options.topK]
+   * @param {number} [options.overlap=0.5] - Fraction of overlap between consecutive windows (0..0.95).
+   * @param {number} [options.sampleRate=44100]
+   * @param {number} [options.fftSize=1024]
+   * @param {number} [options.maxConcurrent=2]
+   * @param {number} [options.maxBytes=10*MB]
+   * @returns {Promise<object|object[]>} Per-window `results` and an `aggregate`, shaped like video results.
+   */
+  async classifyAudio({ audioUrl, topK, overlap = AUDIO_DEFAULTS.overlap, sampleRate = AUDIO_DEFAULTS.sampleRate, fftSize = AUDIO_DEFAULTS.fftSize, maxConcurrent = 2, maxBytes = 10 * 1024 * 1024, signal, timeouts } = {}) {
+    if (Array.isArray(audioUrl)) {
+      const q = audioUrl.map((u, i) => ({ u, i }));
+      const out = new Array(audioUrl.length);
+      const runners = new Array(Math.max(1, Math.min(maxConcurrent, q.length))).fill(0).map(async () => {
+        while (q.length) {
+          const { u, i } = q.shift();
+          try {
+            out[i] = await this.classifyAudio({ audioUrl: u, topK, overlap, sampleRate, fftSize, maxBytes, signal, timeouts });
+          } catch (e) {
+            throwIfAborted(signal);
+            out[i] = { input: { audioUrl: u }, backend: tf.getBackend(), error: e?.message || String(e) };
+          }
+        }
+      });
+      await Promise.all(runners);
+      return out;
+    }
+    if (!audioUrl) throw new Error('audioUrl is required');
+    if (this.model.kind !== 'audio') throw new Error('classifyAudio requires an audio (speech-commands) model.');
+    const inShape = this.model?.inputs?.[0]?.shape;
+    const numFrames = inShape?.[1];
+    const numBins = inShape?.[2];
+    if (typeof numFrames !== 'number' || typeof numBins !== 'number') throw new Error('Model input shape is not fully defined.');
+
+    const tStart = Date.now();
+    const ffmpegPath = await ensureFFmpeg();
+    const stage = this._stages({ signal, timeouts });
+    let cleanup = async () => {};
+    let samples; let sizeBytes = 0; let tempCleaned = false;
+    try {
+      if (this.ioMode === 'ram') {
+        const mediaBuf = await stage('download', s => getMediaBuffer(audioUrl, { signal: s, maxBytes }));
+        sizeBytes = mediaBuf.length;
+        if (maxBytes && sizeBytes > maxBytes) throw new Error(`Media exceeds maxBytes (${sizeBytes} > ${maxBytes})`);
+        samples = await stage('extract', s => extractAudioSamplesFromBuffer(ffmpegPath, mediaBuf, { sampleRate, signal: s }));
+      } else {
+        const loc = await this._downloadToDisk(audioUrl, stage, { maxBytes });
+        cleanup = loc.cleanup;
+        const { default: fs } = await import('fs/promises');
+        const st = await fs.stat(loc.path).catch(() => null);
+        sizeBytes = st?.size ?? 0;
+        if (maxBytes && sizeBytes > maxBytes) throw new Error(`Media exceeds maxBytes (${sizeBytes} > ${maxBytes})`);
+        samples = await stage('extract', s => extractAudioSamples(ffmpegPath, loc.path, { sampleRate, signal: s }));
+      }
+      const tDecodeEnd = Date.now();
+
+      const spectrogram = computeSpectrogram(samples, { fftSize, numBins });
+      const windows = frameWindows(spectrogram, { numFrames, numBins, overlap });
+      const tFeatEnd = Date.now();
+
+      const flat = new Float32Array(windows.length * numFrames * numBins);
+      windows.forEach((w, i) => flat.set(w.data, i * numFrames * numBins));
+      let tInferEnd;
+      const probs = await stage('inference', async () => {
+        const logits = tf.tidy(() => {
+          const batch = tf.tensor4d(flat, [windows.length, numFrames, numBins, 1]);
+          const out = this.model.predict(batch);
+          return Array.isArray(out) ? out[0] : out;
+        });
+        tInferEnd = Date.now();
+        const probs = await logits.array();
+        logits.dispose();
+        return probs;
+      });
+
+      const classes = this.model.classes;
+      const aggregateScores = new Array(classes.length).fill(0);
+      const frameSec = fftSize / sampleRate;
+      const results = probs.map((scores, i) => {
+        for (let c = 0; c < scores.length; c++) aggregateScores[c] += scores[c];
+        return { frameIndex: i, timestampSec: windows[i].startFrame * frameSec, predictions: getTopKClasses(scores, classes, topK) };
+      });
+      const avg = aggregateScores.map(s => s / Math.max(1, probs.length));
+      const overall = getTopKClasses(avg, classes, topK);
+      const tEnd = Date.now();
+
+      await cleanup(); tempCleaned = true;
+      return {
+        input: { audioUrl, windows: windows.length, overlap, sampleRate },
+        backend: tf.getBackend(),
+        modelInfo: { classesCount: classes.length, kind: 'audio' },
+        audio: { durationSec: samples.length / sampleRate, windowSec: numFrames * frameSec, fftSize, numFrames, numBins },
+        timings: {
+          downloadDecodeMs: tDecodeEnd - tStart,
+          featuresMs: tFeatEnd - tDecodeEnd,
+          inferenceMs: tInferEnd - tFeatEnd,
+          postprocessMs: tEnd - tInferEnd,
+          totalMs: tEnd - tStart
+        },
+        io: { mode: this.ioMode, fallbackToDisk: false, tempCleaned, sizeBytes, maxBytes },
+        results,
+        aggregate: { predictions: overall }
+      };
+    } finally {
+      try { await cleanup(); tempCleaned = true; } catch {}
+    }
+  }
+
+  /**
+   * Public wrapper for single or multiple audio inputs.
+   */
+  async classifyAudios({ audios, ...rest } = {}) {
+    return this.classifyAudio({ audioUrl: audios, ...rest });
+  }
 }
@@ -0,0 +1,123 @@
+import * as tf from '@tensorflow/tfjs';
+import { VectorIndex } from './vectorIndex.js';
+import { hashBuffer } from './cache.js';
+
+export const HEAD_MODES = ['softmax', 'knn', 'hybrid'];
+
+/**
+ * Validates classifier head settings: `softmax` (the model's own head), `knn` (nearest labeled
+ * examples only) or `hybrid` (kNN scores blended into the softmax with `weight`).
+ * @param {{mode?: 'softmax'|'knn'|'hybrid', k?: number, weight?: number}} [options]
+ */
+export function normalizeHead({ mode = 'softmax', k = 5, weight = 0.5 } = {}) {
+  if (!HEAD_MODES.includes(mode)) throw new Error(`head.mode must be one of ${HEAD_MODES.join(', ')}`);
+  if (!Number.isInteger(k) || k <= 0) throw new Error('head.k must be a positive integer');
+  if (!Number.isFinite(weight) || weight < 0 || weight > 1) throw new Error('head.weight must be between 0 and 1');
+  return { mode, k, weight };
+}
+
+/**
+ * Labeled feature vectors (from tm.embed()) classified by their nearest neighbours. Examples are
+ * stored in a VectorIndex with their label as metadata, so an example set is saved and loaded as
+ * a vector index file.
+ */
+export class KnnHead {
+  constructor(index = new VectorIndex()) {
+    this.index = index;
+    this.cached = null;
+  }
+
+  static async open(file) {
+    return new KnnHead(await VectorIndex.open(file));
+  }
+
+  get size() {
+    return this.index.size;
+  }
+
+  /**
+   * Example labels in the order they were first added.
+   */
+  labels() {
+    return [...new Set([...this.index.items.values()].map(e => e.metadata.label))];
+  }
+
+  add(id, label, vector) {
+    this.index.add(id, vector, { label });
+    this._invalidate();
+  }
+
+  /**
+   * Removes every example of `label`; returns how many there were.
+   */
+  removeLabel(label) {
+    let removed = 0;
+    for (const [id, { metadata }] of this.index.items) {
+      if (metadata.label === label) { this.index.remove(id); removed++; }
+    }
+    if (removed) this._invalidate();
+    return removed;
+  }
+
+  save(file) {
+    return this.index.save(file);
+  }
+
+  /**
+   * Hash of the example set, for prediction cache keys.
+   */
+  fingerprint() {
+    const parts = [];
+    for (const [id, { vector, metadata }] of this.index.items) parts.push(Buffer.from(JSON.stringify([id, metadata.label])), Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength));
+    return hashBuffer(Buffer.concat(parts));
+  }
+
+  // Example matrix [examples, dims] and one-hot labels over `classes`, rebuilt when either changes
+  _tensors(classes) {
+    const key = classes.join('\u0000');
+    if (this.cached?.key === key) return this.cached;
+    this._invalidate();
+    const entries = [...this.index.items.values()];
+    const data = new Float32Array(entries.length * this.index.dims);
+    entries.forEach((e, i) => data.set(e.vector, i * this.index.dims));
+    const matrix = tf.tensor2d(data, [entries.length, this.index.dims]);
+    // Built by hand: tf.oneHot refuses a depth of 1, i.e. a single example label in `knn` mode
+    const oneHot = new Float32Array(entries.length * classes.length);
+    entries.forEach((e, i) => { oneHot[i * classes.length + classes.indexOf(e.metadata.label)] = 1; });
+    const labels = tf.tensor2d(oneHot, [entries.length, classes.length]);
+    this.cached = { key, matrix, labels };
+    return this.cached;
+  }
+
+  _invalidate() {
+    if (this.cached) tf.dispose([this.cached.matrix, this.cached.labels]);
+    this.cached = null;
+  }
+
+  /**
+   * Class scores [batch, classes.length] for feature vectors [batch, dims]: the `k` most
+   * cosine-similar examples vote with their similarity. In `hybrid` mode the model's softmax
+   * (`probs`, over `modelClasses`, which must prefix `classes`) is blended in as
+   * `(1 - weight) * softmax + weight * knn`. Inputs are not disposed.
+   */
+  scores(features, probs, head, modelClasses, classes) {
+    if (this.size === 0) throw new Error('The kNN head has no examples; add some with addExample().');
+    if (features.shape[1] !== this.index.dims) throw new Error(`Examples have ${this.index.dims} dimensions, the model features ${features.shape[1]}`);
+    const { matrix, labels } = this._tensors(classes);
+    return tf.tidy(() => {
+      const unit = features.div(tf.norm(features, 'euclidean', 1, true).add(1e-12));
+      const { values, indices } = tf.topk(unit.matMul(matrix, false, true), Math.min(head.k, this.size));
+      // The small floor turns all-negative similarities into a plain majority vote
+      const weights = tf.relu(values).add(1e-6);
+      const votes = tf.gather(labels, indices).mul(weights.expandDims(2)).sum(1);
+      const knn = votes.div(votes.sum(1, true));
+      if (head.mode === 'knn') return knn;
+      const softmax = probs.pad([[0, 0], [0, classes.length - modelClasses.length]]);
+      return softmax.mul(1 - head.weight).add(knn.mul(head.weight));
+    });
+  }
+
+  dispose() {
+    this._invalidate();
+  }
+}
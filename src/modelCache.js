@@ -0,0 +1,235 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { http } from './utils/net.js';
+import { dirExists, readModelJson, writeFileAtomic } from './utils/io.js';
+import { hashBuffer, hashFile } from './cache.js';
+
+export const CACHE_MANIFEST = 'cache-manifest.json';
+export const REFRESH_POLICIES = ['never', 'if-changed', 'always'];
+
+// Sibling directories left behind by an interrupted download: `<dir>.tmp-<pid>-<ts>`, and the
+// `<dir>.old-<pid>-<ts>` backups of versions that swapped whole directories
+const LEFTOVER = /\.(tmp|old)-\d+-\d+$/;
+
+/**
+ * Reads the cache manifest of a model directory, or null when there is none.
+ */
+export const readCacheManifest = async (dirPath) => {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dirPath, CACHE_MANIFEST), 'utf-8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+};
+
+const writeCacheManifest = (dirPath, manifest) => writeFileAtomic(path.join(dirPath, CACHE_MANIFEST), JSON.stringify(manifest, null, 2));
+
+// Manifest and model.json entries are relative names; anything reaching outside the directory is ignored
+const isRelativeName = (name) => typeof name === 'string' && !path.isAbsolute(name) && !name.split(/[\\/]/).includes('..');
+
+// Files making up a model in a directory: model.json, the weight files it lists and metadata.json
+const modelFileNames = (json) => ['model.json', ...(Array.isArray(json.weightsManifest) ? json.weightsManifest.flatMap(g => g.paths) : ['weights.bin']), 'metadata.json'];
+
+/**
+ * Size and SHA-256 of every file making up a cached model (model.json, its weight files and
+ * metadata.json), plus a content hash over all of them.
+ */
+async function hashModelFiles(dirPath) {
+  const files = {};
+  for (const name of modelFileNames(await readModelJson(dirPath))) {
+    const file = path.join(dirPath, name);
+    const stat = await fs.stat(file).catch(() => null);
+    if (stat) files[name] = { bytes: stat.size, sha256: await hashFile(file) };
+  }
+  const contentHash = hashBuffer(Buffer.from(JSON.stringify(Object.entries(files).map(([name, f]) => [name, f.sha256]))));
+  return { files, contentHash };
+}
+
+/**
+ * Asks the server whether the model behind `modelUrl` changed since it was cached: a conditional
+ * GET of `model.json` with the stored ETag / Last-Modified, falling back to comparing the body's
+ * hash when the server ignores them. Network failures report `unreachable` rather than throwing,
+ * so the caller can keep using the cached copy.
+ * @param {string} modelUrl - Base URL ending with `/`.
+ * @param {object|null} manifest - From readCacheManifest().
+ * @returns {Promise<{status: 'unchanged'|'changed'|'unreachable', error?: string}>}
+ */
+export async function checkRemoteModel(modelUrl, manifest) {
+  // A copy of another model must be replaced; one saved without a manifest is kept while offline
+  if (manifest && manifest.sourceUrl !== modelUrl) return { status: 'changed' };
+  const headers = {};
+  if (manifest?.etag) headers['if-none-match'] = manifest.etag;
+  if (manifest?.lastModified) headers['if-modified-since'] = manifest.lastModified;
+  let res;
+  try {
+    res = await http(`${modelUrl}model.json`, { headers, responseType: 'buffer' });
+  } catch (e) {
+    return { status: 'unreachable', error: e.message };
+  }
+  if (res.statusCode === 304 && manifest) return { status: 'unchanged' };
+  const remote = remoteModelJson(res);
+  // The cached model.json is re-serialized on save, so compare against the remote file's recorded hash
+  if (manifest?.remoteHash && manifest.remoteHash === remote.remoteHash) return { status: 'unchanged' };
+  return { status: 'changed', remote };
+}
+
+// A model.json response with what the manifest records about it
+const remoteModelJson = (res) => ({ body: res.body, json: JSON.parse(res.body.toString()), etag: res.headers.etag ?? null, lastModified: res.headers['last-modified'] ?? null, remoteHash: hashBuffer(res.body) });
+
+/**
+ * Downloads the remote `model.json` along with what the manifest records about it: its
+ * ETag / Last-Modified validators and the SHA-256 of the body. The raw `body` is kept so the
+ * model can be loaded from it without another request (see ioFromUrl).
+ * @returns {Promise<{body: Buffer, json: object, etag: string|null, lastModified: string|null, remoteHash: string}>}
+ */
+export async function fetchModelJson(modelUrl) {
+  return remoteModelJson(await http(`${modelUrl}model.json`, { responseType: 'buffer' }));
+}
+
+/**
+ * Writes a downloaded model into `dirPath`: `write(stagingDir)` fills a sibling staging directory
+ * and the manifest (source URL, validators, file hashes, download time) is computed there, so a
+ * failed download leaves the previous copy untouched. A new directory is then swapped in by
+ * rename. In an existing one (a previous cache, or a model saved before manifests existed) only
+ * the model files are replaced, each by rename; `calibration.json` and any other file stay. The
+ * old manifest is removed first and the new one written last, so an interrupted swap is seen as a
+ * cache without a manifest and downloaded again.
+ * @param {string} dirPath
+ * @param {(stagingDir: string) => Promise<void>} write
+ * @param {{sourceUrl: string, etag?: string|null, lastModified?: string|null, remoteHash?: string|null}} source
+ * @returns {Promise<object>} The manifest written.
+ */
+export async function writeModelCache(dirPath, write, source) {
+  const staging = `${dirPath}.tmp-${process.pid}-${Date.now()}`;
+  let manifest;
+  try {
+    await fs.mkdir(path.dirname(path.resolve(dirPath)), { recursive: true });
+    await write(staging);
+    const { files, contentHash } = await hashModelFiles(staging);
+    const now = new Date().toISOString();
+    manifest = {
+      version: 1,
+      sourceUrl: source.sourceUrl,
+      etag: source.etag ?? null,
+      lastModified: source.lastModified ?? null,
+      remoteHash: source.remoteHash ?? null,
+      contentHash,
+      downloadedAt: now,
+      checkedAt: now,
+      files
+    };
+    if (!await dirExists(dirPath)) {
+      await writeCacheManifest(staging, manifest);
+      await fs.rename(staging, dirPath);
+      return manifest;
+    }
+    // Weight files the previous model.json listed and the new one does not are dropped
+    const previousNames = await readModelJson(dirPath).then(modelFileNames, () => []);
+    await fs.rm(path.join(dirPath, CACHE_MANIFEST), { force: true });
+    // model.json goes last so it never points at weights that are not in place yet
+    const names = Object.keys(files).sort((a, b) => (a === 'model.json') - (b === 'model.json'));
+    for (const name of names) {
+      const target = path.join(dirPath, ...name.split('/'));
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.rename(path.join(staging, ...name.split('/')), target);
+    }
+    for (const name of previousNames.filter(n => !files[n] && isRelativeName(n))) {
+      await fs.rm(path.join(dirPath, ...name.split('/')), { force: true });
+    }
+    await writeCacheManifest(dirPath, manifest);
+    return manifest;
+  } finally {
+    await fs.rm(staging, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Records a successful freshness check in the manifest (`checkedAt`).
+ */
+export async function touchModelCache(dirPath) {
+  const manifest = await readCacheManifest(dirPath);
+  if (!manifest) return null;
+  manifest.checkedAt = new Date().toISOString();
+  await writeCacheManifest(dirPath, manifest);
+  return manifest;
+}
+
+/**
+ * Finds cached models: each path is a cache directory itself or a folder whose sub-directories are.
+ * @param {string[]} roots
+ * @returns {Promise<Array<{dir: string, manifest: object, bytes: number}>>}
+ */
+export async function listModelCaches(roots) {
+  const out = [];
+  for (const root of roots) {
+    const own = await readCacheManifest(root).catch(() => null);
+    const candidates = own ? [root] : (await fs.readdir(root, { withFileTypes: true }).catch(() => []))
+      .filter(e => e.isDirectory() && !LEFTOVER.test(e.name))
+      .map(e => path.join(root, e.name));
+    for (const dir of candidates) {
+      const manifest = dir === root ? own : await readCacheManifest(dir).catch(() => null);
+      if (!manifest) continue;
+      const bytes = Object.values(manifest.files ?? {}).reduce((a, f) => a + f.bytes, 0);
+      out.push({ dir, manifest, bytes });
+    }
+  }
+  return out;
+}
+
+/**
+ * Re-hashes a cached model's files against its manifest.
+ * @returns {Promise<{dir: string, ok: boolean, problems: string[]}>}
+ */
+export async function verifyModelCache(dirPath) {
+  const manifest = await readCacheManifest(dirPath).catch(() => null);
+  if (!manifest) return { dir: dirPath, ok: false, problems: [`missing or unreadable ${CACHE_MANIFEST}`] };
+  const problems = [];
+  for (const [name, expected] of Object.entries(manifest.files ?? {})) {
+    const file = path.join(dirPath, name);
+    const stat = await fs.stat(file).catch(() => null);
+    if (!stat) { problems.push(`${name}: missing`); continue; }
+    if (stat.size !== expected.bytes) { problems.push(`${name}: size ${stat.size} != ${expected.bytes}`); continue; }
+    if (await hashFile(file) !== expected.sha256) problems.push(`${name}: checksum mismatch`);
+  }
+  return { dir: dirPath, ok: problems.length === 0, problems };
+}
+
+/**
+ * Removes what is safe to drop under `roots`: staging/backup directories left by interrupted
+ * downloads, caches failing verification and, with `olderThanDays`, caches downloaded before then.
+ * Leftover directories go whole; from a cache only the files its manifest lists and the manifest
+ * itself are removed (`files`), so `calibration.json` and anything else kept there survive. A
+ * cache directory left empty is removed too.
+ * @param {string[]} roots
+ * @param {{olderThanDays?: number, dryRun?: boolean}} [options]
+ * @returns {Promise<Array<{path: string, reason: string, files?: string[]}>>} What was (or, with `dryRun`, would be) removed.
+ */
+export async function pruneModelCaches(roots, { olderThanDays, dryRun = false } = {}) {
+  const removed = [];
+  for (const root of roots) {
+    const abs = path.resolve(root);
+    // Leftovers of the root itself sit next to it; those of the caches inside it sit in it
+    for (const [parent, prefix] of [[path.dirname(abs), `${path.basename(abs)}.`], [abs, '']]) {
+      for (const e of await fs.readdir(parent, { withFileTypes: true }).catch(() => [])) {
+        if (e.isDirectory() && e.name.startsWith(prefix) && LEFTOVER.test(e.name)) removed.push({ path: path.join(parent, e.name), reason: 'interrupted download' });
+      }
+    }
+  }
+  const cutoff = Number.isFinite(olderThanDays) ? Date.now() - olderThanDays * 86400000 : null;
+  for (const { dir, manifest } of await listModelCaches(roots)) {
+    const files = [...Object.keys(manifest.files ?? {}).filter(isRelativeName), CACHE_MANIFEST];
+    const check = await verifyModelCache(dir);
+    if (!check.ok) removed.push({ path: dir, reason: `failed verification (${check.problems.join('; ')})`, files });
+    else if (cutoff !== null && Date.parse(manifest.downloadedAt) < cutoff) removed.push({ path: dir, reason: `downloaded ${manifest.downloadedAt}`, files });
+  }
+  if (!dryRun) {
+    for (const r of removed) {
+      if (!r.files) { await fs.rm(r.path, { recursive: true, force: true }); continue; }
+      for (const name of r.files) await fs.rm(path.join(r.path, ...name.split('/')), { force: true });
+      // rmdir only succeeds on an empty directory, which is what should go
+      await fs.rmdir(r.path).catch(() => {});
+    }
+  }
+  return removed;
+}
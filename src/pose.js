@@ -0,0 +1,134 @@
+import * as tf from '@tensorflow/tfjs';
+import { ioFromDir } from './utils/io.js';
+
+export const POSE_PARTS = [
+  'nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar',
+  'leftShoulder', 'rightShoulder', 'leftElbow', 'rightElbow',
+  'leftWrist', 'rightWrist', 'leftHip', 'rightHip',
+  'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'
+];
+
+const RESNET_MEAN = [-123.15, -115.90, -103.06];
+
+/**
+ * Returns true when metadata describes a Teachable Machine pose project.
+ */
+export function isPoseMetadata(metadata) {
+  return !!metadata && (!!metadata.modelSettings?.posenet || metadata.packageName === '@teachablemachine/pose');
+}
+
+/**
+ * Loads a locally stored PoseNet graph model using the settings from pose-project metadata.
+ * @param {string} dirPath - Directory holding the PoseNet `model.json` and its weight shards.
+ * @param {{architecture?: string, outputStride?: number, inputResolution?: number|{width: number, height: number}}} [settings]
+ */
+export async function loadPoseNet(dirPath, settings = {}) {
+  if (!dirPath) throw new Error("Pose models require 'poseNetDir' pointing to a local PoseNet model.");
+  const model = await tf.loadGraphModel(ioFromDir(dirPath));
+  const res = settings.inputResolution;
+  const inputResolution = typeof res === 'number' ? res : (res?.width ?? 257);
+  return {
+    model,
+    architecture: settings.architecture ?? 'MobileNetV1',
+    outputStride: settings.outputStride ?? 16,
+    inputResolution
+  };
+}
+
+function splitOutputs(outputs) {
+  const list = Array.isArray(outputs) ? outputs : [outputs];
+  const byChannels = (c) => list.find(t => t.shape[t.shape.length - 1] === c);
+  const heatmaps = byChannels(POSE_PARTS.length);
+  const offsets = byChannels(POSE_PARTS.length * 2);
+  if (!heatmaps || !offsets) throw new Error('PoseNet model outputs do not contain heatmaps and offsets.');
+  return { heatmaps, offsets };
+}
+
+/**
+ * Maps a pose decoded at the PoseNet input resolution back to source image pixels. `area` is the
+ * part of the source that was resized to the PoseNet input: its size, its offset (`x`, `y`, for a
+ * region cut out of a larger image) and how it was fitted, `cover` (center crop), `fill` (stretch)
+ * or `contain` (letterboxed).
+ * @param {{score: number, keypoints: {part: string, score: number, position: {x: number, y: number}}[]}} pose
+ * @param {number} inputResolution
+ * @param {{width: number, height: number, x?: number, y?: number, fit?: 'cover'|'fill'|'contain'}} area
+ */
+export function mapPoseToSource(pose, inputResolution, { width, height, x = 0, y = 0, fit = 'cover' }) {
+  let sx = width / inputResolution;
+  let sy = height / inputResolution;
+  let dx = 0;
+  let dy = 0;
+  if (fit !== 'fill') {
+    // One scale for both axes; the crop (cover) or the borders (contain) are centered
+    const scale = fit === 'cover' ? Math.max(inputResolution / width, inputResolution / height) : Math.min(inputResolution / width, inputResolution / height);
+    sx = sy = 1 / scale;
+    dx = (width * scale - inputResolution) / 2;
+    dy = (height * scale - inputResolution) / 2;
+  }
+  return {
+    ...pose,
+    keypoints: pose.keypoints.map(kp => ({ ...kp, position: { x: x + (kp.position.x + dx) * sx, y: y + (kp.position.y + dy) * sy } }))
+  };
+}
+
+/**
+ * Runs PoseNet on a batch of sized RGB tensors ([H, W, 3] int32 at the PoseNet input resolution),
+ * decodes a single pose per item and builds the classifier input the pose model expects.
+ * Supports classifier heads over flattened heatmaps+offsets (Teachable Machine exports)
+ * or over flattened keypoint coordinates (x, y[, score]). Keypoint positions are in PoseNet input
+ * pixels; see mapPoseToSource().
+ * @returns {{features: tf.Tensor, poses: {score: number, keypoints: {part: string, score: number, position: {x: number, y: number}}[]}[]}}
+ */
+export function estimatePoses(posenet, tensors, featureShape) {
+  const { architecture, outputStride, inputResolution } = posenet;
+  const K = POSE_PARTS.length;
+  return tf.tidy(() => {
+    const batch = tf.stack(tensors.map((t) => {
+      const f = t.toFloat();
+      return architecture === 'ResNet50' ? f.add(tf.tensor1d(RESNET_MEAN)) : f.div(127.5).sub(1);
+    }));
+    const outputs = posenet.model.predict(batch);
+    const { heatmaps, offsets } = splitOutputs(outputs);
+    const scores = tf.sigmoid(heatmaps);
+    const [n, gh, gw] = scores.shape;
+    const scoreData = scores.dataSync();
+    const offsetData = offsets.dataSync();
+
+    const poses = [];
+    for (let b = 0; b < n; b++) {
+      const keypoints = [];
+      for (let k = 0; k < K; k++) {
+        let best = -1; let by = 0; let bx = 0;
+        for (let y = 0; y < gh; y++) {
+          for (let x = 0; x < gw; x++) {
+            const s = scoreData[((b * gh + y) * gw + x) * K + k];
+            if (s > best) { best = s; by = y; bx = x; }
+          }
+        }
+        const base = ((b * gh + by) * gw + bx) * K * 2;
+        keypoints.push({
+          part: POSE_PARTS[k],
+          score: best,
+          position: { x: bx * outputStride + offsetData[base + K + k], y: by * outputStride + offsetData[base + k] }
+        });
+      }
+      poses.push({ score: keypoints.reduce((a, kp) => a + kp.score, 0) / K, keypoints });
+    }
+
+    const featureSize = featureShape.reduce((a, d) => a * d, 1);
+    let features;
+    if (featureSize === gh * gw * K * 3) {
+      features = tf.concat([scores, offsets], 3).reshape([n, ...featureShape]);
+    } else if (featureSize === K * 2 || featureSize === K * 3) {
+      const withScore = featureSize === K * 3;
+      const flat = poses.flatMap(p => p.keypoints.flatMap(kp => {
+        const xy = [kp.position.x / inputResolution, kp.position.y / inputResolution];
+        return withScore ? [...xy, kp.score] : xy;
+      }));
+      features = tf.tensor(flat, [n, ...featureShape]);
+    } else {
+      throw new Error(`Pose classifier input size ${featureSize} does not match PoseNet output (${gh}x${gw} grid, ${K} keypoints).`);
+    }
+    return { features, poses };
+  });
+}
@@ -1,11 +1,17 @@
 import sharp from 'sharp';
 import fs from 'fs/promises';
-import { http } from './utils/net.js';
-import { Worker } from 'worker_threads';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import { downloadBuffer } from './utils/net.js';
+import os from 'os';
+import { WorkerPool, WorkerTaskError } from './workers/pool.js';
+import { throwIfAborted } from './utils/abort.js';
 
-export async function getImageBuffer(imageUrl) {
+/**
+ * Resolves an image input (Buffer/Uint8Array, data URI, URL, local path or base64) to a Buffer.
+ * @param {*} imageUrl
+ * @param {{signal?: AbortSignal, maxBytes?: number}} [options] - `signal` cancels the download;
+ *   `maxBytes` limits its size.
+ */
+export async function getImageBuffer(imageUrl, { signal, maxBytes } = {}) {
   if (Buffer.isBuffer(imageUrl) || imageUrl instanceof Uint8Array) {
     return Buffer.isBuffer(imageUrl) ? imageUrl : Buffer.from(imageUrl);
   }
@@ -19,8 +25,9 @@ export async function getImageBuffer(imageUrl) {
   }
   if (imageUrl.startsWith('http')) {
     try {
-      return await http(imageUrl).buffer();
+      return await downloadBuffer(imageUrl, { signal, maxBytes });
     } catch (error) {
+      if (signal?.aborted) throw signal.reason;
       throw new Error(`Failed to download image. Status: ${error.response ? error.response.statusCode : error.message}`);
     }
   }
@@ -36,53 +43,128 @@ export async function getImageBuffer(imageUrl) {
   }
 }
 
-let PREPROCESS_OPTS = { useWorkers: false };
+let PREPROCESS_OPTS = { useWorkers: false, poolSize: undefined };
+let pool = null;
+// TeachableMachine instances created with worker preprocessing that are not disposed yet
+let poolUsers = 0;
 
+const defaultPoolSize = () => Math.max(1, Math.min(4, os.cpus().length - 1));
+
+/**
+ * Updates preprocessing options.
+ * @param {{useWorkers?: boolean, poolSize?: number}} opts - `poolSize` defaults to min(4, CPUs - 1).
+ *   Changing it (or disabling workers) shuts the current pool down; a new one starts on next use.
+ */
 export function setPreprocessOptions(opts = {}) {
+  const prev = PREPROCESS_OPTS;
   PREPROCESS_OPTS = { ...PREPROCESS_OPTS, ...opts };
+  if (pool && ((!PREPROCESS_OPTS.useWorkers && poolUsers === 0) || PREPROCESS_OPTS.poolSize !== prev.poolSize)) {
+    pool.destroy();
+    pool = null;
+  }
 }
 
-function runWorkerResize(imageBuffer, targetW, targetH, centerCrop) {
-  return new Promise((resolve, reject) => {
-    try {
-      const __filename = fileURLToPath(import.meta.url);
-      const __dirname = dirname(__filename);
-      const workerPath = new URL('./workers/resize-worker.js', `file://${__dirname}/`).pathname;
-      const worker = new Worker(workerPath, {
-        workerData: null
-      });
-      worker.once('message', (msg) => {
-        if (msg && msg.ok) {
-          resolve({ data: Buffer.from(msg.data), width: targetW, height: targetH });
-        } else {
-          reject(new Error(msg?.error || 'Worker resize failed'));
-        }
-      });
-      worker.once('error', reject);
-      worker.postMessage({
-        buffer: Buffer.isBuffer(imageBuffer) ? imageBuffer : Buffer.from(imageBuffer),
-        targetW,
-        targetH,
-        centerCrop
-      });
-    } catch (err) {
-      reject(err);
-    }
-  });
+/**
+ * Registers a user of the worker pool (an instance created with `preprocessUseWorkers`): workers
+ * are used while any user is registered, even if `useWorkers` is off. Returns a release function;
+ * the pool shuts down once the last user has released it and workers are not enabled globally.
+ * @returns {() => Promise<void>}
+ */
+export function retainPreprocessPool() {
+  poolUsers++;
+  let released = false;
+  return async () => {
+    if (released) return;
+    released = true;
+    poolUsers--;
+    if (poolUsers === 0 && !PREPROCESS_OPTS.useWorkers) await shutdownPreprocessPool();
+  };
+}
+
+/**
+ * Terminates the preprocessing worker pool, if one is running.
+ */
+export async function shutdownPreprocessPool() {
+  const p = pool;
+  pool = null;
+  if (p) await p.destroy();
+}
+
+/**
+ * Returns worker pool counters (`size`, `busy`, `queued`, `completed`, `failed`, `restarts`),
+ * or null when preprocessing runs on the main thread.
+ */
+export function getPreprocessStats() {
+  return pool ? pool.stats() : null;
+}
+
+function getPool() {
+  if (!pool) pool = new WorkerPool(new URL('./workers/resize-worker.js', import.meta.url), { size: PREPROCESS_OPTS.poolSize ?? defaultPoolSize() });
+  return pool;
+}
+
+async function runWorkerResize(imageBuffer, targetW, targetH, centerCrop, transfer, signal) {
+  // A handed-over buffer spanning its whole ArrayBuffer moves to the worker as is. Anything else (a
+  // buffer the caller keeps, or a slice of a larger one) is copied once into its own ArrayBuffer.
+  // Either way the resized pixels come back transferred, not cloned.
+  const owned = transfer && imageBuffer.byteOffset === 0 && imageBuffer.byteLength === imageBuffer.buffer.byteLength;
+  const input = owned ? imageBuffer : new Uint8Array(imageBuffer);
+  const msg = await getPool().run({ buffer: input.buffer, targetW, targetH, centerCrop }, [input.buffer], { signal });
+  return { data: Buffer.from(msg.data), width: targetW, height: targetH, source: msg.source };
 }
 
-export async function toSizedRGBTensor(imageBuffer, targetW, targetH, { centerCrop = true } = {}) {
-  if (PREPROCESS_OPTS.useWorkers) {
+/**
+ * Decodes an image and resizes it to raw RGB pixels at the target size (center crop or stretch),
+ * in the worker pool when enabled. Aborting `signal` skips work that has not started yet.
+ * `source` is the size of the decoded image before resizing. With `transfer` the caller hands
+ * `imageBuffer` over: it may be moved to a worker without a copy and be empty afterwards.
+ * A pool that cannot run the task falls back to resizing on this thread; an image the worker
+ * failed to decode is an error either way.
+ * @param {{centerCrop?: boolean, transfer?: boolean, signal?: AbortSignal}} [options]
+ * @returns {Promise<{data: Buffer, width: number, height: number, source: {width: number, height: number}}>}
+ */
+export async function toSizedRGBTensor(imageBuffer, targetW, targetH, { centerCrop = true, transfer = false, signal } = {}) {
+  throwIfAborted(signal);
+  if (PREPROCESS_OPTS.useWorkers || poolUsers > 0) {
     try {
-      return await runWorkerResize(imageBuffer, targetW, targetH, centerCrop);
+      return await runWorkerResize(imageBuffer, targetW, targetH, centerCrop, transfer, signal);
     } catch (e) {
-      // Fallback to local sharp on failure
+      throwIfAborted(signal);
+      // Fall back to local sharp when a worker could not start or died, unless the input went with it
+      if (e instanceof WorkerTaskError || imageBuffer.byteLength === 0) throw e;
     }
   }
-  const { data } = await sharp(imageBuffer)
+  const image = sharp(imageBuffer);
+  const { width, height } = await image.metadata();
+  const { data } = await image
     .resize(targetW, targetH, { fit: centerCrop ? 'cover' : 'fill', fastShrinkOnLoad: true })
     .removeAlpha()
     .raw()
     .toBuffer({ resolveWithObject: true });
+  return { data, width: targetW, height: targetH, source: { width, height } };
+}
+
+/**
+ * Decodes an image to raw RGB pixels at its full resolution, for cutting several regions out of
+ * one decode (see cropRGB).
+ * @returns {Promise<{data: Buffer, width: number, height: number}>}
+ */
+export async function decodeRGB(imageBuffer) {
+  const { data, info } = await sharp(imageBuffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Cuts the `{ x, y, width, height }` region out of decoded RGB pixels and resizes it to the target
+ * size: stretched by default, or with `pad` letterboxed (aspect ratio kept, mid-gray borders).
+ * @param {{data: Buffer, width: number, height: number}} image - From decodeRGB().
+ * @param {{pad?: boolean}} [options]
+ */
+export async function cropRGB(image, region, targetW, targetH, { pad = false } = {}) {
+  const { data } = await sharp(image.data, { raw: { width: image.width, height: image.height, channels: 3 } })
+    .extract({ left: region.x, top: region.y, width: region.width, height: region.height })
+    .resize(targetW, targetH, pad ? { fit: 'contain', background: { r: 128, g: 128, b: 128 } } : { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
   return { data, width: targetW, height: targetH };
 }
@@ -0,0 +1,158 @@
+import * as tf from '@tensorflow/tfjs';
+import fs from 'fs/promises';
+import path from 'path';
+import { ioFromDir, readModelJson } from './utils/io.js';
+
+export const QUANTIZE_DTYPES = ['float16', 'uint8'];
+
+const f32 = new Float32Array(1);
+const u32 = new Uint32Array(f32.buffer);
+
+// IEEE 754 half-precision bits for a float, rounding to nearest even
+function toFloat16Bits(value) {
+  f32[0] = value;
+  const x = u32[0];
+  const sign = (x >>> 16) & 0x8000;
+  const exp = (x >>> 23) & 0xff;
+  let mant = x & 0x7fffff;
+  if (exp === 0xff) return sign | 0x7c00 | (mant ? 0x200 : 0);
+  const e = exp - 127 + 15;
+  if (e >= 0x1f) return sign | 0x7c00;
+  if (e <= 0) {
+    // Subnormal half (or zero when too small)
+    if (e < -10) return sign;
+    mant |= 0x800000;
+    const shift = 14 - e;
+    let half = mant >>> shift;
+    const rem = mant & ((1 << shift) - 1);
+    const mid = 1 << (shift - 1);
+    if (rem > mid || (rem === mid && (half & 1))) half++;
+    return sign | half;
+  }
+  let half = sign | (e << 10) | (mant >>> 13);
+  const rem = mant & 0x1fff;
+  // A carry out of the mantissa correctly bumps the exponent
+  if (rem > 0x1000 || (rem === 0x1000 && (half & 1))) half++;
+  return half;
+}
+
+/**
+ * Quantizes one float32 weight. `uint8` is affine (`value ≈ q * scale + min`); `float16` halves the
+ * precision. Returns the encoded bytes and the tfjs `quantization` entry for its weight spec.
+ * @param {Float32Array} values
+ * @param {'float16'|'uint8'} dtype
+ * @returns {{bytes: Uint8Array, quantization: object}}
+ */
+export function quantizeWeight(values, dtype) {
+  if (dtype === 'float16') {
+    const out = new Uint16Array(values.length);
+    for (let i = 0; i < values.length; i++) out[i] = toFloat16Bits(values[i]);
+    return { bytes: new Uint8Array(out.buffer), quantization: { dtype: 'float16' } };
+  }
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (!Number.isFinite(v)) continue;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (min > max) { min = 0; max = 0; }
+  const scale = (max - min) / 255 || 1;
+  const out = new Uint8Array(values.length);
+  for (let i = 0; i < values.length; i++) out[i] = Math.min(255, Math.max(0, Math.round((values[i] - min) / scale)));
+  return { bytes: out, quantization: { dtype: 'uint8', scale, min } };
+}
+
+/**
+ * Bytes a model directory takes on disk: `model.json` plus the weight files it references.
+ */
+export async function modelSizeOnDisk(dirPath) {
+  const json = await readModelJson(dirPath);
+  const files = ['model.json', ...(Array.isArray(json.weightsManifest) ? json.weightsManifest.flatMap(g => g.paths) : ['weights.bin'])];
+  const sizes = await Promise.all(files.map(f => fs.stat(path.join(dirPath, f)).then(s => s.size)));
+  return sizes.reduce((a, b) => a + b, 0);
+}
+
+/**
+ * Rewrites a saved model (layers or graph) with quantized float32 weights and tfjs quantization
+ * metadata in its weight specs, saved through ioFromDir so create() loads it directly (tfjs
+ * dequantizes on load). Other weights (e.g. int32) are copied unchanged. `metadata.json` and
+ * `calibration.json` are copied when present.
+ * @param {object} options
+ * @param {string} options.modelDir
+ * @param {string} options.outDir
+ * @param {'float16'|'uint8'} [options.dtype='uint8']
+ * @returns {Promise<{dtype: string, weights: {count: number, quantized: number}, size: {before: number, after: number, reduction: number}}>}
+ */
+export async function quantizeModel({ modelDir, outDir, dtype = 'uint8' } = {}) {
+  if (!modelDir) throw new Error('modelDir is required');
+  if (!outDir) throw new Error('outDir is required');
+  if (!QUANTIZE_DTYPES.includes(dtype)) throw new Error(`dtype must be one of ${QUANTIZE_DTYPES.join(', ')}`);
+  if (path.resolve(modelDir) === path.resolve(outDir)) throw new Error('outDir must differ from modelDir');
+
+  const artifacts = await ioFromDir(modelDir).load();
+  // decodeWeights also dequantizes weights of an already quantized model
+  const decoded = tf.io.decodeWeights(artifacts.weightData, artifacts.weightSpecs);
+  const weightSpecs = [];
+  const chunks = [];
+  let quantized = 0;
+  try {
+    for (const spec of artifacts.weightSpecs) {
+      const tensor = decoded[spec.name];
+      const values = tensor.dataSync();
+      const { quantization: _q, ...plain } = spec;
+      if (spec.dtype !== 'float32') {
+        weightSpecs.push(plain);
+        chunks.push(new Uint8Array(values.buffer, values.byteOffset, values.byteLength));
+        continue;
+      }
+      const { bytes, quantization } = quantizeWeight(values, dtype);
+      weightSpecs.push({ ...plain, quantization });
+      chunks.push(bytes);
+      quantized++;
+    }
+  } finally {
+    tf.dispose(decoded);
+  }
+
+  const weightData = new Uint8Array(Buffer.concat(chunks)).buffer;
+  await ioFromDir(outDir).save({ ...artifacts, weightSpecs, weightData });
+  for (const file of ['metadata.json', 'calibration.json']) {
+    await fs.copyFile(path.join(modelDir, file), path.join(outDir, file)).catch((e) => { if (e.code !== 'ENOENT') throw e; });
+  }
+  const before = await modelSizeOnDisk(modelDir);
+  const after = await modelSizeOnDisk(outDir);
+  return { dtype, weights: { count: artifacts.weightSpecs.length, quantized }, size: { before, after, reduction: before ? 1 - after / before : 0 } };
+}
+
+/**
+ * Runs two loaded models over the same images and measures how often their top-1 classes agree.
+ * Images either model fails to read are left out of the comparison.
+ * @param {import('./index.js').default} original
+ * @param {import('./index.js').default} quantized
+ * @param {string[]} files
+ * @param {{batchSize?: number, signal?: AbortSignal}} [options]
+ */
+export async function measureAgreement(original, quantized, files, { batchSize = 32, signal } = {}) {
+  if (files.length === 0) throw new Error('No images found in the sample folder.');
+  const byFile = (res) => new Map(res.results.filter(r => !r.error).map(r => [r.input.imageUrl, r.predictions[0]]));
+  const top = [];
+  for (const tm of [original, quantized]) top.push(byFile(await tm.classifyBatch({ imageUrls: files, topK: 1, batchSize, signal })));
+  let agreed = 0;
+  let scoreDelta = 0;
+  const disagreements = [];
+  const compared = files.filter(f => top[0].has(f) && top[1].has(f));
+  for (const file of compared) {
+    const [p, q] = [top[0].get(file), top[1].get(file)];
+    scoreDelta += Math.abs(p.score - q.score);
+    if (p.class === q.class) agreed++;
+    else disagreements.push({ file, original: p, quantized: q });
+  }
+  return {
+    images: files.length,
+    compared: compared.length,
+    top1Agreement: compared.length ? agreed / compared.length : null,
+    meanTop1ScoreDelta: compared.length ? scoreDelta / compared.length : null,
+    disagreements
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * Validates a list of `{ x, y, width, height, id? }` boxes (source image pixels). Regions without
+ * an `id` are identified by their position in the list.
+ * @param {Array<{x: number, y: number, width: number, height: number, id?: string|number}>} regions
+ * @returns {Array<{id: string|number, x: number, y: number, width: number, height: number}>}
+ */
+export function normalizeRegions(regions) {
+  if (!Array.isArray(regions)) throw new Error('regions must be an array of { x, y, width, height, id } boxes');
+  return regions.map((r, i) => {
+    const { x, y, width, height } = r ?? {};
+    if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+      throw new Error(`Invalid region at index ${i}: expected numeric x, y and positive width, height`);
+    }
+    return { id: r.id ?? i, x, y, width, height };
+  });
+}
+
+/**
+ * Pixel box to crop for a region: the region grown by `margin` (a fraction of its width/height on
+ * each side, for context around tight detector boxes), snapped outwards to whole pixels and clamped
+ * to the image. Returns null when the region lies entirely outside the image.
+ * @param {{x: number, y: number, width: number, height: number}} region
+ * @param {{width: number, height: number}} image
+ * @param {number} [margin=0]
+ */
+export function regionCropBox(region, image, margin = 0) {
+  const mx = region.width * margin;
+  const my = region.height * margin;
+  const x1 = Math.max(0, Math.floor(region.x - mx));
+  const y1 = Math.max(0, Math.floor(region.y - my));
+  const x2 = Math.min(image.width, Math.ceil(region.x + region.width + mx));
+  const y2 = Math.min(image.height, Math.ceil(region.y + region.height + my));
+  if (x2 <= x1 || y2 <= y1) return null;
+  return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
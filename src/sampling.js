@@ -0,0 +1,119 @@
+import { sampleTimestamps, safeTimestamps } from './utils/ffmpeg.js';
+
+export const SAMPLING_STRATEGIES = ['uniform', 'fps', 'keyframes', 'scene', 'timestamps', 'ranges'];
+
+const DEFAULT_MAX_FRAMES = 300;
+
+/**
+ * Parses a compact sampling spec as used by the CLI and the HTTP server:
+ * `uniform`, `fps:2`, `keyframes`, `scene` / `scene:0.4`, `at:1.5,3,10` (timestamps)
+ * or `range:10-20,30-35@2` (ranges, optional `@fps`).
+ * @param {string} spec
+ * @returns {object}
+ */
+export function parseSamplingSpec(spec) {
+  const [name, arg = ''] = String(spec).trim().split(/:(.*)/s);
+  switch (name) {
+    case 'uniform':
+    case 'keyframes':
+      return { strategy: name };
+    case 'fps':
+      return { strategy: 'fps', fps: Number(arg) };
+    case 'scene':
+      return arg ? { strategy: 'scene', threshold: Number(arg) } : { strategy: 'scene' };
+    case 'at':
+      return { strategy: 'timestamps', timestamps: arg.split(',').map(Number) };
+    case 'range': {
+      const [list, fps] = arg.split('@');
+      const ranges = list.split(',').map((r) => {
+        const [startSec, endSec] = r.split('-').map(Number);
+        return { startSec, endSec };
+      });
+      return fps ? { strategy: 'ranges', ranges, fps: Number(fps) } : { strategy: 'ranges', ranges };
+    }
+    default:
+      throw new Error(`Unknown sampling spec '${spec}' (expected uniform, fps:N, keyframes, scene[:T], at:T1,T2 or range:A-B[@fps])`);
+  }
+}
+
+function normalizeSampling(sampling) {
+  if (sampling === undefined || sampling === null) return { strategy: 'uniform' };
+  if (typeof sampling === 'string') return parseSamplingSpec(sampling);
+  if (Array.isArray(sampling)) return { strategy: 'timestamps', timestamps: sampling };
+  if (typeof sampling !== 'object') throw new Error('sampling must be a string, an array of timestamps or an object');
+  return { strategy: 'uniform', ...sampling };
+}
+
+const isNonNegative = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+
+/**
+ * Resolves a `sampling` option into an extraction plan for a video of known duration.
+ * The plan holds `timestamps` for seek-based extraction (one FFmpeg seek per frame), a
+ * single-pass `filter` (FFmpeg select expression) with optional `inputArgs`, or both when
+ * either works (uniform). `maxFrames` caps single-pass output; an `fps` plan also carries its rate.
+ * - `uniform`: `frames` evenly spaced frames (the default)
+ * - `fps`: one frame every `1 / fps` seconds
+ * - `keyframes`: I-frames only
+ * - `scene`: the first frame plus every frame whose scene-change score exceeds `threshold` (0..1, default 0.3)
+ * - `timestamps`: explicit times in seconds
+ * - `ranges`: `[{ startSec, endSec }]` sampled at `fps` (default 1) within each range
+ * @param {string|number[]|object} sampling
+ * @param {{frames: number, durationSec: number}} video
+ * @returns {{strategy: string, timestamps?: number[], filter?: string|null, inputArgs?: string[], fps?: number, maxFrames: number}}
+ */
+export function planSampling(sampling, { frames, durationSec }) {
+  const opts = normalizeSampling(sampling);
+  const { strategy } = opts;
+  if (!SAMPLING_STRATEGIES.includes(strategy)) throw new Error(`Unknown sampling strategy '${strategy}' (expected one of ${SAMPLING_STRATEGIES.join(', ')})`);
+  const maxFrames = Math.floor(opts.maxFrames ?? DEFAULT_MAX_FRAMES);
+  if (!(maxFrames > 0)) throw new Error('sampling.maxFrames must be a positive number');
+
+  if (strategy === 'uniform') {
+    const count = Math.floor(opts.frames ?? frames);
+    if (!(count > 0)) throw new Error('frames must be a positive number');
+    const step = durationSec / count;
+    // Select the first frame at or after each grid point; selected_n keeps the grid from drifting
+    return {
+      strategy,
+      timestamps: safeTimestamps(durationSec, sampleTimestamps(durationSec, count)),
+      filter: `select='gte(t,${step / 2}+${step}*selected_n)'`,
+      maxFrames: count
+    };
+  }
+  if (strategy === 'fps') {
+    if (!(opts.fps > 0)) throw new Error('sampling.fps must be a positive number');
+    return { strategy, fps: opts.fps, filter: `select='gte(t,${1 / opts.fps}*selected_n)'`, maxFrames };
+  }
+  if (strategy === 'keyframes') {
+    return { strategy, filter: null, inputArgs: ['-skip_frame', 'nokey'], maxFrames };
+  }
+  if (strategy === 'scene') {
+    const threshold = opts.threshold ?? 0.3;
+    if (!(threshold > 0 && threshold < 1)) throw new Error('sampling.threshold must be between 0 and 1');
+    return { strategy, filter: `select='eq(n,0)+gt(scene,${threshold})'`, maxFrames };
+  }
+
+  let requested;
+  if (strategy === 'timestamps') {
+    if (!Array.isArray(opts.timestamps) || opts.timestamps.length === 0 || !opts.timestamps.every(isNonNegative)) {
+      throw new Error('sampling.timestamps must be a non-empty array of non-negative seconds');
+    }
+    requested = opts.timestamps;
+  } else {
+    const fps = opts.fps ?? 1;
+    if (!(fps > 0)) throw new Error('sampling.fps must be a positive number');
+    if (!Array.isArray(opts.ranges) || opts.ranges.length === 0) throw new Error('sampling.ranges must be a non-empty array');
+    requested = [];
+    for (const r of opts.ranges) {
+      const startSec = r?.startSec ?? 0;
+      const endSec = r?.endSec ?? durationSec;
+      if (!isNonNegative(startSec) || !isNonNegative(endSec) || endSec <= startSec) {
+        throw new Error('Each sampling range needs 0 <= startSec < endSec');
+      }
+      for (let t = startSec; t < endSec && requested.length < maxFrames; t += 1 / fps) requested.push(t);
+    }
+  }
+  const inRange = [...new Set(requested)].filter(t => t <= durationSec).sort((a, b) => a - b).slice(0, maxFrames);
+  if (inRange.length === 0) throw new Error(`No sampling timestamps fall within the video duration (${durationSec.toFixed(2)}s)`);
+  return { strategy, timestamps: safeTimestamps(durationSec, inRange), maxFrames };
+}
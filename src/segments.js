@@ -0,0 +1,89 @@
+/**
+ * Smooths per-frame class scores with a centered moving average.
+ * @param {number[][]} frameScores - One full class-probability vector per frame.
+ * @param {number} window - Number of frames averaged (1 disables smoothing).
+ */
+export function smoothScores(frameScores, window = 1) {
+  const w = Math.max(1, Math.floor(window));
+  if (w === 1) return frameScores.map(r => r.slice());
+  const half = Math.floor(w / 2);
+  return frameScores.map((_, i) => {
+    const from = Math.max(0, i - half);
+    const to = Math.min(frameScores.length - 1, i + (w - 1 - half));
+    const out = new Array(frameScores[i].length).fill(0);
+    for (let j = from; j <= to; j++) {
+      for (let c = 0; c < out.length; c++) out[c] += frameScores[j][c];
+    }
+    return out.map(v => v / (to - from + 1));
+  });
+}
+
+/**
+ * Turns per-frame scores into `{ class, startSec, endSec, meanScore }` segments.
+ * Scores are smoothed over `window` frames; a class opens a segment when its smoothed score
+ * reaches `enter` and keeps it until the score drops below `exit` (hysteresis) or another
+ * class overtakes it above `enter`. Each frame covers the time up to halfway to its neighbours.
+ * @param {number[][]} frameScores
+ * @param {number[]} timestamps - Timestamp (seconds) of each frame.
+ * @param {string[]} classes
+ * @param {object} [options]
+ * @param {number} [options.window=3]
+ * @param {number} [options.enter=0.6]
+ * @param {number} [options.exit=0.4]
+ * @param {number} [options.minDurationSec=0] - Drop segments shorter than this.
+ * @param {number} [options.durationSec] - Media duration; end of the last frame's coverage.
+ */
+export function segmentTimeline(frameScores, timestamps, classes, { window = 3, enter = 0.6, exit = 0.4, minDurationSec = 0, durationSec } = {}) {
+  if (frameScores.length === 0) return [];
+  const smoothed = smoothScores(frameScores, window);
+  const n = frameScores.length;
+  const startOf = (i) => (i === 0 ? 0 : (timestamps[i - 1] + timestamps[i]) / 2);
+  const endOf = (i) => (i === n - 1 ? Math.max(timestamps[i], durationSec ?? timestamps[i]) : (timestamps[i] + timestamps[i + 1]) / 2);
+
+  const segments = [];
+  let active = -1; let first = 0;
+  const close = (last) => {
+    let sum = 0;
+    for (let i = first; i <= last; i++) sum += frameScores[i][active];
+    segments.push({ class: classes[active], startSec: startOf(first), endSec: endOf(last), meanScore: sum / (last - first + 1) });
+  };
+  for (let i = 0; i < n; i++) {
+    const row = smoothed[i];
+    let top = 0;
+    for (let c = 1; c < row.length; c++) if (row[c] > row[top]) top = c;
+    if (active !== -1) {
+      const overtaken = top !== active && row[top] >= enter && row[top] > row[active];
+      if (row[active] < exit || overtaken) { close(i - 1); active = -1; }
+    }
+    if (active === -1 && row[top] >= enter) { active = top; first = i; }
+  }
+  if (active !== -1) close(n - 1);
+  return segments.filter(s => s.endSec - s.startSec >= minDurationSec);
+}
+
+const pad = (v, len = 2) => String(v).padStart(len, '0');
+
+function formatTime(sec, msSeparator) {
+  const totalMs = Math.max(0, Math.round(sec * 1000));
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor((totalMs % 3600000) / 60000);
+  const s = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(h)}:${pad(m)}:${pad(s)}${msSeparator}${pad(totalMs % 1000, 3)}`;
+}
+
+const cueText = (seg) => `${seg.class} (${(seg.meanScore * 100).toFixed(1)}%)`;
+
+/**
+ * Serializes segments as a WebVTT subtitle track.
+ */
+export function segmentsToWebVTT(segments) {
+  const cues = segments.map((seg, i) => `${i + 1}\n${formatTime(seg.startSec, '.')} --> ${formatTime(seg.endSec, '.')}\n${cueText(seg)}\n`);
+  return ['WEBVTT', '', ...cues].join('\n');
+}
+
+/**
+ * Serializes segments as an SRT subtitle track.
+ */
+export function segmentsToSRT(segments) {
+  return segments.map((seg, i) => `${i + 1}\n${formatTime(seg.startSec, ',')} --> ${formatTime(seg.endSec, ',')}\n${cueText(seg)}\n`).join('\n');
+}
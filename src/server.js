@@ -0,0 +1,309 @@
+import http from 'http';
+import * as tf from '@tensorflow/tfjs';
+import { parseSamplingSpec } from './sampling.js';
+import { normalizeTta } from './tta.js';
+import { normalizeRegions } from './regions.js';
+import { AbortError, TimeoutError } from './utils/abort.js';
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Reads a request body into a Buffer, rejecting with 413 once maxBytes is exceeded.
+ */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const declared = Number(req.headers['content-length']);
+    if (maxBytes && Number.isFinite(declared) && declared > maxBytes) {
+      req.resume();
+      return reject(new HttpError(413, `Request body exceeds maxBytes (${declared} > ${maxBytes})`));
+    }
+    const chunks = [];
+    let size = 0;
+    const onData = (d) => {
+      size += d.length;
+      if (maxBytes && size > maxBytes) {
+        // Stop buffering but keep draining so the 413 response can still be written
+        req.off('data', onData);
+        req.resume();
+        reject(new HttpError(413, `Request body exceeds maxBytes (${size} > ${maxBytes})`));
+        return;
+      }
+      chunks.push(d);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Minimal multipart/form-data parser. Returns file parts as Buffers and text fields as strings.
+ */
+function parseMultipart(body, contentType) {
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!m) throw new HttpError(400, 'Missing multipart boundary');
+  const delimiter = Buffer.from(`--${m[1] || m[2]}`);
+  const files = [];
+  const fields = {};
+  let pos = body.indexOf(delimiter);
+  while (pos !== -1) {
+    const start = pos + delimiter.length;
+    if (body.slice(start, start + 2).toString() === '--') break;
+    const next = body.indexOf(delimiter, start);
+    if (next === -1) break;
+    const part = body.slice(start + 2, next - 2); // strip leading CRLF and trailing CRLF
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.slice(0, headerEnd).toString();
+      const content = part.slice(headerEnd + 4);
+      const name = /name="([^"]*)"/i.exec(headers)?.[1];
+      const filename = /filename="([^"]*)"/i.exec(headers)?.[1];
+      if (filename !== undefined) files.push({ name, filename, data: content });
+      else if (name) fields[name] = content.toString();
+    }
+    pos = next;
+  }
+  return { files, fields };
+}
+
+// Library errors caused by the request rather than the server: unreadable or oversized inputs and
+// invalid options. Matched by message, as the classifier raises plain Errors.
+const TOO_LARGE = /exceeds maxBytes/;
+const BAD_INPUT = /^(Invalid|Unknown|Unsupported)\b|must be|is required|not supported|Local file not found|Failed to download|Unable to determine video duration|No frames could be extracted|No audio track|No sampling timestamps|cannot classify|requires an audio|models only|unsupported image format|corrupt header|Input (buffer|file) (is|has|contains)/i;
+
+function clientErrorStatus(e) {
+  const message = e?.message ?? '';
+  if (TOO_LARGE.test(message)) return 413;
+  if (BAD_INPUT.test(message)) return 400;
+  return null;
+}
+
+/**
+ * Creates a counting semaphore limiting how many classifications run at once.
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const waiting = [];
+  const release = () => {
+    active--;
+    const next = waiting.shift();
+    if (next) next();
+  };
+  return async (fn) => {
+    if (active >= concurrency) await new Promise(resolve => waiting.push(resolve));
+    active++;
+    try { return await fn(); } finally { release(); }
+  };
+}
+
+// Accepted range of each numeric option; `integer` options must be whole numbers
+const NUMERIC_OPTIONS = {
+  topK: { min: 1, integer: true },
+  frames: { min: 1, integer: true },
+  batchSize: { min: 1, integer: true },
+  extractionConcurrency: { min: 1, integer: true },
+  preprocessConcurrency: { min: 1, integer: true },
+  regionMargin: { min: 0 }
+};
+const BOOLEAN_OPTIONS = ['centerCrop', 'resizeOnCPU', 'turboMode', 'regionPadding'];
+
+function pickOptions(source) {
+  const opts = {};
+  for (const [key, { min, integer }] of Object.entries(NUMERIC_OPTIONS)) {
+    if (source[key] === undefined || source[key] === '') continue;
+    const value = Number(source[key]);
+    if (!Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+      throw new HttpError(400, `${key} must be ${integer ? 'an integer' : 'a number'} >= ${min}`);
+    }
+    opts[key] = value;
+  }
+  for (const key of BOOLEAN_OPTIONS) {
+    if (source[key] !== undefined) opts[key] = source[key] === true || source[key] === 'true' || source[key] === '1';
+  }
+  if (source.sampling !== undefined && source.sampling !== '') {
+    try {
+      opts.sampling = typeof source.sampling === 'string' ? parseSamplingSpec(source.sampling) : source.sampling;
+    } catch (e) {
+      throw new HttpError(400, e.message);
+    }
+  }
+  if (source.tta !== undefined && source.tta !== '') {
+    // `tta=true|mean|max` as a query/form field, or the options object in JSON
+    const t = source.tta;
+    opts.tta = typeof t === 'object' ? t : (t === 'mean' || t === 'max') ? { combine: t } : (t === true || t === 'true' || t === '1');
+    try {
+      normalizeTta(opts.tta);
+    } catch (e) {
+      throw new HttpError(400, e.message);
+    }
+  }
+  if (source.regions !== undefined && source.regions !== '') {
+    // Region lists as JSON: inline in a JSON body, or a JSON-encoded query/form field
+    try {
+      opts.regions = typeof source.regions === 'string' ? JSON.parse(source.regions) : source.regions;
+    } catch (e) {
+      throw new HttpError(400, `Invalid regions: ${e.message}`);
+    }
+  }
+  return opts;
+}
+
+/**
+ * Checks `regions` against the request shape: one list of boxes for a single image, one list per
+ * image otherwise.
+ */
+function validateRegions(regions, { single, count }) {
+  if (!single && !(Array.isArray(regions) && regions.length === count && regions.every(Array.isArray))) {
+    throw new HttpError(400, 'With several images, regions must hold one region list per image');
+  }
+  try {
+    (single ? [regions] : regions).forEach(normalizeRegions);
+  } catch (e) {
+    throw new HttpError(400, `Invalid regions: ${e.message}`);
+  }
+}
+
+const BASE64 = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+/**
+ * Checks a JSON input sent by a remote client: http(s) URLs pass through, data URIs and base64
+ * strings are decoded to Buffers here, so no string ever reaches the helpers that read local files.
+ */
+function remoteInput(value) {
+  if (typeof value === 'string') {
+    if (/^https?:\/\//.test(value)) return value;
+    const dataUri = /^data:[^,]*;base64,(.*)$/s.exec(value);
+    const base64 = (dataUri ? dataUri[1] : value).replace(/\s+/g, '');
+    if (base64.length > 0 && BASE64.test(base64)) return Buffer.from(base64, 'base64');
+  }
+  throw new HttpError(400, 'JSON inputs must be http(s) URLs, base64 data URIs or base64 strings');
+}
+
+/**
+ * Extracts inputs and options from a classify request: multipart uploads, a raw media body,
+ * or JSON `{ input | images | videos, ...options }` where inputs are URLs or base64/data URIs.
+ */
+async function parseClassifyRequest(req, url, { maxBytes, field, allowLocalPaths }) {
+  const contentType = String(req.headers['content-type'] || '');
+  const body = await readBody(req, maxBytes);
+  const query = Object.fromEntries(url.searchParams);
+  if (contentType.startsWith('multipart/form-data')) {
+    const { files, fields } = parseMultipart(body, contentType);
+    if (files.length === 0) throw new HttpError(400, 'No files in multipart body');
+    return { inputs: files.map(f => f.data), single: files.length === 1, options: { ...pickOptions(query), ...pickOptions(fields) } };
+  }
+  if (contentType.startsWith('application/json')) {
+    let json;
+    try { json = JSON.parse(body.toString() || '{}'); } catch { throw new HttpError(400, 'Invalid JSON body'); }
+    const inputs = json[field] ?? json.input;
+    if (inputs === undefined || inputs === null || (Array.isArray(inputs) && inputs.length === 0)) {
+      throw new HttpError(400, `JSON body requires '${field}' or 'input'`);
+    }
+    const list = Array.isArray(inputs) ? inputs : [inputs];
+    // Never let remote clients read files from the server's disk
+    return { inputs: allowLocalPaths ? list : list.map(remoteInput), single: !Array.isArray(inputs), options: { ...pickOptions(query), ...pickOptions(json) } };
+  }
+  if (body.length === 0) throw new HttpError(400, 'Empty request body');
+  return { inputs: [body], single: true, options: pickOptions(query) };
+}
+
+/**
+ * Replaces uploaded Buffers echoed back in `input` fields with their size, so responses
+ * don't serialize whole media files as JSON byte arrays.
+ */
+function redactBuffers(value) {
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return { type: 'Buffer', bytes: value.length };
+  if (Array.isArray(value)) return value.map(redactBuffers);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = redactBuffers(v);
+    return out;
+  }
+  return value;
+}
+
+function sendJson(res, status, payload) {
+  const body = JSON.stringify(redactBuffers(payload));
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', 'content-length': Buffer.byteLength(body) });
+  res.end(body);
+}
+
+/**
+ * Creates an HTTP server exposing a loaded TeachableMachine instance.
+ * The server is returned unstarted; call `listen()` on it.
+ *
+ * Endpoints:
+ * - `GET /health` — liveness and backend info
+ * - `GET /model` — classes, model kind and input shape
+ * - `POST /classify/image` — multipart uploads, raw image body, or JSON `{ images }`
+ * - `POST /classify/video` — multipart uploads, raw video body, or JSON `{ videos }`
+ * - `POST /classify/audio` — same, for audio models (JSON `{ audios }`)
+ *
+ * Options may be passed as query parameters, multipart fields or JSON keys
+ * (`topK`, `frames`, `centerCrop`, `turboMode`, `batchSize`, `sampling`, `tta`, `regions`, ...). `sampling` accepts the
+ * compact string form (`scene:0.4`, `fps:2`, ...) everywhere and the object form in JSON.
+ * The instance's stage `timeouts` apply to every request; a stage timeout answers 504, and a
+ * client that disconnects mid-request cancels its classification.
+ * @param {import('./index.js').default} tm
+ * @param {object} [options]
+ * @param {number} [options.maxBytes=10*MB] - Request body limit; also applied to media downloaded from URLs.
+ * @param {number} [options.concurrency=2] - Maximum classifications running at the same time.
+ * @param {boolean} [options.allowLocalPaths=false] - Accept server-side file paths as JSON inputs.
+ * @returns {http.Server}
+ */
+export function createServer(tm, { maxBytes = 10 * 1024 * 1024, concurrency = 2, allowLocalPaths = false } = {}) {
+  if (!tm || !tm.model) throw new Error('createServer requires a TeachableMachine instance');
+  const limit = createLimiter(Math.max(1, concurrency));
+  const startedAt = Date.now();
+
+  const routes = {
+    'GET /health': async () => ({ status: 'ok', backend: tf.getBackend(), uptimeSec: (Date.now() - startedAt) / 1000 }),
+    'GET /model': async () => ({
+      kind: tm.model.kind ?? 'image',
+      classes: tm.model.classes,
+      classesCount: tm.model.classes.length,
+      inputShape: tm.model.inputs?.[0]?.shape ?? null,
+      format: tm.modelFormat ?? 'layers',
+      backend: tf.getBackend(),
+      ioMode: tm.ioMode
+    }),
+    'POST /classify/image': async (req, url, signal) => {
+      const { inputs, single, options } = await parseClassifyRequest(req, url, { maxBytes, field: 'images', allowLocalPaths });
+      if (options.regions) validateRegions(options.regions, { single, count: inputs.length });
+      return limit(() => tm.classifyImages({ images: single ? inputs[0] : inputs, ...options, maxBytes, signal }));
+    },
+    'POST /classify/video': async (req, url, signal) => {
+      const { inputs, single, options } = await parseClassifyRequest(req, url, { maxBytes, field: 'videos', allowLocalPaths });
+      return limit(() => tm.classifyVideos({ videos: single ? inputs[0] : inputs, ...options, maxBytes, signal }));
+    },
+    'POST /classify/audio': async (req, url, signal) => {
+      const { inputs, single, options } = await parseClassifyRequest(req, url, { maxBytes, field: 'audios', allowLocalPaths });
+      return limit(() => tm.classifyAudios({ audios: single ? inputs[0] : inputs, topK: options.topK, maxBytes, signal }));
+    }
+  };
+
+  return http.createServer(async (req, res) => {
+    // Cancel the classification (downloads, FFmpeg, inference) when the client disconnects early
+    const controller = new AbortController();
+    res.on('close', () => { if (!res.writableEnded) controller.abort(new AbortError('Client disconnected')); });
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const handler = routes[`${req.method} ${url.pathname.replace(/\/+$/, '') || '/'}`];
+      if (!handler) {
+        const known = Object.keys(routes).some(r => r.endsWith(` ${url.pathname}`));
+        throw new HttpError(known ? 405 : 404, known ? 'Method not allowed' : 'Not found');
+      }
+      sendJson(res, 200, await handler(req, url, controller.signal));
+    } catch (e) {
+      if (controller.signal.aborted) return;
+      const status = e instanceof HttpError ? e.status : e instanceof TimeoutError ? 504 : clientErrorStatus(e) ?? 500;
+      if (!res.headersSent) sendJson(res, status, { error: e?.message || String(e) });
+      else res.end();
+    }
+  });
+}
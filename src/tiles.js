@@ -0,0 +1,91 @@
+export const TILE_AGGREGATES = ['max', 'mean', 'vote'];
+
+// Tile origins along one axis: every `stride` pixels, plus a last tile flush with the far edge so
+// the whole image is covered. Images smaller than the tile get a single (smaller) tile.
+function tileOrigins(length, size, stride) {
+  if (length <= size) return [0];
+  const origins = [];
+  for (let p = 0; p + size < length; p += stride) origins.push(p);
+  const last = length - size;
+  if (origins[origins.length - 1] !== last) origins.push(last);
+  return origins;
+}
+
+/**
+ * Lays out overlapping square tiles over a `width` x `height` image, row-major.
+ * @param {number} width
+ * @param {number} height
+ * @param {{tileSize: number, stride?: number}} options - `stride` defaults to half the tile (50% overlap).
+ * @returns {{tileSize: number, stride: number, rows: number, cols: number, tiles: Array<{row: number, col: number, x: number, y: number, width: number, height: number}>}}
+ */
+export function planTiles(width, height, { tileSize, stride }) {
+  if (!Number.isInteger(tileSize) || tileSize <= 0) throw new Error('tileSize must be a positive integer');
+  stride ??= Math.max(1, Math.round(tileSize / 2));
+  if (!Number.isInteger(stride) || stride <= 0) throw new Error('stride must be a positive integer');
+  const ys = tileOrigins(height, tileSize, stride);
+  const xs = tileOrigins(width, tileSize, stride);
+  const tiles = [];
+  ys.forEach((y, row) => xs.forEach((x, col) => {
+    tiles.push({ row, col, x, y, width: Math.min(tileSize, width), height: Math.min(tileSize, height) });
+  }));
+  return { tileSize, stride, rows: ys.length, cols: xs.length, tiles };
+}
+
+/**
+ * Combines per-tile class scores into one score per class: `max` (renormalized to sum to 1),
+ * `mean`, or `vote` (the fraction of tiles whose top class it is).
+ * @param {number[][]} tileScores - [tiles][classes]
+ * @param {'max'|'mean'|'vote'} method
+ * @returns {number[]}
+ */
+export function aggregateTileScores(tileScores, method) {
+  if (!TILE_AGGREGATES.includes(method)) throw new Error(`aggregate must be one of ${TILE_AGGREGATES.join(', ')}`);
+  const n = tileScores.length;
+  if (n === 0) throw new Error('No tile scores to aggregate');
+  const out = new Array(tileScores[0].length).fill(0);
+  for (const row of tileScores) {
+    if (method === 'vote') out[row.indexOf(Math.max(...row))] += 1;
+    else if (method === 'mean') row.forEach((v, c) => { out[c] += v / n; });
+    else row.forEach((v, c) => { if (v > out[c]) out[c] = v; });
+  }
+  if (method === 'vote') return out.map(v => v / n);
+  if (method === 'mean') return out;
+  const total = out.reduce((a, b) => a + b, 0) || 1;
+  return out.map(v => v / total);
+}
+
+/**
+ * One coarse `rows` x `cols` score matrix per class, keyed by class name.
+ */
+export function tileHeatmaps(plan, tileScores, classes) {
+  return Object.fromEntries(classes.map((name, c) => {
+    const grid = Array.from({ length: plan.rows }, () => new Array(plan.cols).fill(0));
+    plan.tiles.forEach((t, i) => { grid[t.row][t.col] = tileScores[i][c]; });
+    return [name, grid];
+  }));
+}
+
+/**
+ * Bounding boxes (in source image pixels) of the tiles where any of `targets` scores at least
+ * `threshold`, highest score first.
+ * @param {{tiles: object[]}} plan
+ * @param {number[][]} tileScores
+ * @param {string[]} classes
+ * @param {{class: string|string[], threshold?: number}} options
+ */
+export function tileBoxes(plan, tileScores, classes, { class: target, threshold = 0.5 }) {
+  const targets = Array.isArray(target) ? target : [target];
+  const indices = targets.map((name) => {
+    const idx = classes.indexOf(name);
+    if (idx === -1) throw new Error(`Unknown class '${name}' (model classes: ${classes.join(', ')})`);
+    return idx;
+  });
+  const boxes = [];
+  plan.tiles.forEach(({ row, col, x, y, width, height }, i) => {
+    for (const c of indices) {
+      const score = tileScores[i][c];
+      if (score >= threshold) boxes.push({ class: classes[c], score, row, col, x, y, width, height });
+    }
+  });
+  return boxes.sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,163 @@
+import * as tf from '@tensorflow/tfjs';
+import { ioFromDir, readMetadata, writeMetadata, listLabeledImages, getMetadataLabels } from './utils/io.js';
+import { getImageBuffer, toSizedRGBTensor } from './preprocess.js';
+import { createFeatureExtractor, normalizeBatch } from './features.js';
+import { isAudioMetadata } from './audio.js';
+import { isPoseMetadata } from './pose.js';
+import { throwIfAborted } from './utils/abort.js';
+
+/**
+ * Computes feature-extractor activations for every dataset image, in batches.
+ * Unreadable images are skipped and reported.
+ */
+async function extractFeatures(extractor, items, { width, height, centerCrop, batchSize, signal }) {
+  const rows = [];
+  const used = [];
+  const skipped = [];
+  for (let i = 0; i < items.length; i += batchSize) {
+    if (signal?.aborted) {
+      rows.forEach(t => t.dispose());
+      throwIfAborted(signal);
+    }
+    const chunk = items.slice(i, i + batchSize);
+    const tensors = [];
+    const ok = [];
+    for (const item of chunk) {
+      try {
+        const buf = await getImageBuffer(item.file, { signal });
+        const sized = await toSizedRGBTensor(buf, width, height, { centerCrop, transfer: true, signal });
+        tensors.push(tf.tensor3d(sized.data, [height, width, 3], 'int32'));
+        ok.push(item);
+      } catch (e) {
+        // An abort is not an unreadable image: free what this run holds and stop
+        if (signal?.aborted) {
+          tf.dispose([...tensors, ...rows]);
+          throwIfAborted(signal);
+        }
+        skipped.push({ file: item.file, error: e?.message || String(e) });
+      }
+    }
+    if (tensors.length === 0) continue;
+    const feats = tf.tidy(() => {
+      const out = extractor.predict(normalizeBatch(tensors));
+      return (Array.isArray(out) ? out[0] : out).reshape([tensors.length, -1]);
+    });
+    tensors.forEach(t => t.dispose());
+    rows.push(feats);
+    used.push(...ok);
+  }
+  if (rows.length === 0) throw new Error('No readable images found in dataset.');
+  const features = tf.concat(rows);
+  rows.forEach(t => t.dispose());
+  return { features, used, skipped };
+}
+
+/**
+ * Trains a new dense classifier head on top of the feature-extractor layers of a saved model.
+ * The dataset is laid out as `datasetDir/<label>/*.jpg`; every sub-directory becomes a class.
+ * The resulting model (frozen feature extractor + new head) and its metadata are written to `outDir`.
+ * @param {object} options
+ * @param {string} options.datasetDir
+ * @param {string} options.baseModelDir - Directory with a model loadable by ioFromDir (e.g. a cached Teachable Machine export).
+ * @param {string} options.outDir
+ * @param {number} [options.epochs=50]
+ * @param {number} [options.batchSize=16]
+ * @param {number} [options.learningRate=0.001]
+ * @param {number} [options.hiddenUnits=100] - Size of the hidden dense layer; 0 for a single softmax layer.
+ * @param {number} [options.validationSplit=0.15]
+ * @param {boolean} [options.centerCrop=true]
+ * @param {(log: {epoch: number, loss: number, acc: number, valLoss?: number, valAcc?: number}) => void} [options.onEpochEnd]
+ * @param {AbortSignal} [options.signal] - Stops feature extraction at the current image or training at the next epoch; nothing is written.
+ */
+export async function trainModel({ datasetDir, baseModelDir, outDir, epochs = 50, batchSize = 16, learningRate = 0.001, hiddenUnits = 100, validationSplit = 0.15, centerCrop = true, onEpochEnd, signal } = {}) {
+  if (!datasetDir) throw new Error('datasetDir is required');
+  if (!baseModelDir) throw new Error('baseModelDir is required');
+  if (!outDir) throw new Error('outDir is required');
+
+  const tStart = Date.now();
+  const base = await tf.loadLayersModel(ioFromDir(baseModelDir));
+  const baseMetadata = await readMetadata(baseModelDir).catch(() => ({}));
+  if (isAudioMetadata(baseMetadata) || isPoseMetadata(baseMetadata)) {
+    base.dispose();
+    throw new Error('Training is only supported for image models.');
+  }
+  const inShape = base.inputs?.[0]?.shape;
+  const height = inShape?.[1];
+  const width = inShape?.[2];
+  if (typeof height !== 'number' || typeof width !== 'number') throw new Error('Base model input shape is not fully defined.');
+
+  const { labels, items } = await listLabeledImages(datasetDir);
+  if (labels.length < 2) throw new Error(`Dataset needs at least 2 class directories, found ${labels.length}.`);
+
+  const extractor = createFeatureExtractor(base);
+  extractor.trainable = false;
+  let features; let ys; let head;
+  try {
+    const extracted = await extractFeatures(extractor, items, { width, height, centerCrop, batchSize: Math.max(1, batchSize), signal });
+    // Shuffle once up front: fit() takes the validation split from the end, before its own shuffling
+    const order = Array.from(extracted.used.keys());
+    tf.util.shuffle(order);
+    const labelIdx = order.map(i => labels.indexOf(extracted.used[i].label));
+    features = tf.tidy(() => tf.gather(extracted.features, tf.tensor1d(order, 'int32')));
+    extracted.features.dispose();
+    ys = tf.tidy(() => tf.oneHot(tf.tensor1d(labelIdx, 'int32'), labels.length).toFloat());
+    const tFeatEnd = Date.now();
+
+    head = tf.sequential();
+    if (hiddenUnits > 0) {
+      head.add(tf.layers.dense({ inputShape: [features.shape[1]], units: hiddenUnits, activation: 'relu', kernelInitializer: 'varianceScaling', useBias: true }));
+      head.add(tf.layers.dense({ units: labels.length, activation: 'softmax', kernelInitializer: 'varianceScaling', useBias: false }));
+    } else {
+      head.add(tf.layers.dense({ inputShape: [features.shape[1]], units: labels.length, activation: 'softmax' }));
+    }
+    head.compile({ optimizer: tf.train.adam(learningRate), loss: 'categoricalCrossentropy', metrics: ['accuracy'] });
+
+    const history = [];
+    const canValidate = validationSplit > 0 && Math.floor(extracted.used.length * validationSplit) >= 1;
+    await head.fit(features, ys, {
+      epochs,
+      batchSize,
+      shuffle: true,
+      validationSplit: canValidate ? validationSplit : 0,
+      verbose: 0,
+      callbacks: {
+        onEpochEnd: async (epoch, logs) => {
+          const entry = { epoch: epoch + 1, loss: logs.loss, acc: logs.acc ?? logs.accuracy };
+          if (logs.val_loss !== undefined) { entry.valLoss = logs.val_loss; entry.valAcc = logs.val_acc ?? logs.val_accuracy; }
+          history.push(entry);
+          if (onEpochEnd) await onEpochEnd(entry);
+          if (signal?.aborted) head.stopTraining = true;
+        }
+      }
+    });
+    throwIfAborted(signal);
+    const tTrainEnd = Date.now();
+
+    // Assemble feature extractor + trained head into one model that create() can load
+    const full = tf.sequential();
+    full.add(extractor);
+    full.add(head);
+    await full.save(ioFromDir(outDir));
+    await writeMetadata(outDir, {
+      ...baseMetadata,
+      labels,
+      timeStamp: new Date().toISOString(),
+      trainedFrom: { baseLabels: getMetadataLabels(baseMetadata), datasetImages: extracted.used.length, epochs }
+    });
+
+    return {
+      outDir,
+      labels,
+      counts: Object.fromEntries(labels.map(l => [l, extracted.used.filter(it => it.label === l).length])),
+      skipped: extracted.skipped,
+      history,
+      timings: { featuresMs: tFeatEnd - tStart, trainMs: tTrainEnd - tFeatEnd, totalMs: Date.now() - tStart }
+    };
+  } finally {
+    features?.dispose();
+    ys?.dispose();
+    head?.optimizer?.dispose();
+    head?.dispose();
+    base.dispose();
+  }
+}
@@ -0,0 +1,88 @@
+import * as tf from '@tensorflow/tfjs';
+
+export const TTA_DEFAULTS = { flip: true, crops: true, scales: [0.9, 1.1], combine: 'mean' };
+
+// Corner and center crops keep this fraction of each side
+const CROP_FRACTION = 0.8;
+
+/**
+ * Resolves the `tta` option into the list of views to run. `true` enables every default view:
+ * identity, horizontal flip, center + four corner crops and the `scales` zooms (1.1 zooms in,
+ * 0.9 zooms out with gray padding). Each view is a normalized `[y1, x1, y2, x2]` box on the decoded
+ * source image, optionally mirrored. Returns null when TTA is off.
+ * @param {boolean|{flip?: boolean, crops?: boolean, scales?: number[], combine?: 'mean'|'max'}} tta
+ * @returns {{combine: 'mean'|'max', views: Array<{name: string, box: number[], flip?: boolean}>}|null}
+ */
+export function normalizeTta(tta) {
+  if (!tta) return null;
+  const opts = { ...TTA_DEFAULTS, ...(tta === true ? {} : tta) };
+  if (!['mean', 'max'].includes(opts.combine)) throw new Error(`tta.combine must be 'mean' or 'max'`);
+  if (!Array.isArray(opts.scales) || !opts.scales.every(s => s > 0)) throw new Error('tta.scales must be an array of positive numbers');
+  const views = [{ name: 'identity', box: [0, 0, 1, 1] }];
+  if (opts.flip) views.push({ name: 'flip', box: [0, 0, 1, 1], flip: true });
+  if (opts.crops) {
+    const c = CROP_FRACTION;
+    const m = (1 - c) / 2;
+    views.push(
+      { name: 'crop-center', box: [m, m, m + c, m + c] },
+      { name: 'crop-top-left', box: [0, 0, c, c] },
+      { name: 'crop-top-right', box: [0, 1 - c, c, 1] },
+      { name: 'crop-bottom-left', box: [1 - c, 0, 1, c] },
+      { name: 'crop-bottom-right', box: [1 - c, 1 - c, 1, 1] }
+    );
+  }
+  for (const s of opts.scales) {
+    if (s === 1) continue;
+    const half = 0.5 / s;
+    views.push({ name: `scale-${s}`, box: [0.5 - half, 0.5 - half, 0.5 + half, 0.5 + half] });
+  }
+  return { combine: opts.combine, views };
+}
+
+/**
+ * Size images are decoded to for TTA: large enough that corner crops are taken at full model
+ * resolution rather than upsampled.
+ */
+export function ttaSourceSize({ width, height }) {
+  return { width: Math.round(width / CROP_FRACTION), height: Math.round(height / CROP_FRACTION) };
+}
+
+/**
+ * Cuts every view out of one decoded source image ([H', W', 3]) at the model input size.
+ * Must be called inside tf.tidy().
+ * @returns {tf.Tensor3D[]} One float32 [height, width, 3] tensor per view, in `tta.views` order.
+ */
+export function buildTtaViews(image, { width, height }, tta) {
+  const boxes = tf.tensor2d(tta.views.map(v => v.box));
+  const boxInd = tf.zeros([tta.views.length], 'int32');
+  // Zoomed-out views sample outside the image; pad them with mid-gray (0 after normalization)
+  const crops = tf.image.cropAndResize(image.toFloat().expandDims(0), boxes, boxInd, [height, width], 'bilinear', 127.5);
+  return tf.unstack(crops).map((view, i) => (tta.views[i].flip ? tf.reverse(view, 1) : view));
+}
+
+/**
+ * Combines the class scores of one input's views by mean, or by max renormalized to sum to 1.
+ * Also returns the per-class variance across views as an uncertainty signal.
+ * @param {number[][]} viewScores - [views][classes]
+ * @param {'mean'|'max'} combine
+ * @returns {{scores: number[], variance: number[]}}
+ */
+export function combineViewScores(viewScores, combine) {
+  const n = viewScores.length;
+  if (n === 0) throw new Error('No view scores to combine');
+  const classes = viewScores[0].length;
+  const mean = new Array(classes).fill(0);
+  const max = new Array(classes).fill(-Infinity);
+  for (const row of viewScores) {
+    for (let c = 0; c < classes; c++) {
+      mean[c] += row[c] / n;
+      if (row[c] > max[c]) max[c] = row[c];
+    }
+  }
+  const variance = mean.map((m, c) => viewScores.reduce((acc, row) => acc + (row[c] - m) ** 2, 0) / n);
+  if (combine === 'max') {
+    const total = max.reduce((a, b) => a + b, 0) || 1;
+    return { scores: max.map(v => v / total), variance };
+  }
+  return { scores: mean, variance };
+}
@@ -0,0 +1,66 @@
+/**
+ * Raised when a caller's AbortSignal fires. `cause` holds the signal's reason, if any.
+ */
+export class AbortError extends Error {
+  constructor(message = 'The operation was aborted', options) {
+    super(message, options);
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+  }
+}
+
+/**
+ * Raised when a pipeline stage (`download`, `probe`, `extract`, `inference`) exceeds its timeout.
+ */
+export class TimeoutError extends Error {
+  constructor(stage, timeoutMs) {
+    super(`${stage} timed out after ${timeoutMs} ms`);
+    this.name = 'TimeoutError';
+    this.code = 'ETIMEDOUT';
+    this.stage = stage;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+const toAbortError = (reason) => (reason instanceof AbortError || reason instanceof TimeoutError ? reason : new AbortError(undefined, { cause: reason }));
+
+/**
+ * Throws an AbortError (or the TimeoutError that caused the abort) if `signal` has fired.
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) throw toAbortError(signal.reason);
+}
+
+/**
+ * Runs one pipeline stage under the caller's `signal` and an optional `timeoutMs`.
+ * `fn` receives a signal that fires on either; pass it to got/spawn so downloads are cancelled
+ * and FFmpeg is killed. The returned promise rejects as soon as the signal fires, even if `fn`
+ * has not settled yet — `fn` must release its own resources (tensors, temp dirs) when it does.
+ * @template T
+ * @param {string} stage
+ * @param {{signal?: AbortSignal, timeoutMs?: number}} limits
+ * @param {(signal: AbortSignal|undefined) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function runStage(stage, { signal, timeoutMs } = {}, fn) {
+  throwIfAborted(signal);
+  if (!signal && !(timeoutMs > 0)) return fn(undefined);
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(toAbortError(signal.reason));
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const timer = timeoutMs > 0 ? setTimeout(() => controller.abort(new TimeoutError(stage, timeoutMs)), timeoutMs) : null;
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+  aborted.catch(() => {});
+  try {
+    return await Promise.race([fn(controller.signal), aborted]);
+  } catch (e) {
+    // Surface the abort/timeout rather than whatever the cancelled operation threw
+    if (controller.signal.aborted) throw controller.signal.reason;
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
@@ -4,7 +4,7 @@ import { promisify } from 'util';
 import os from 'os';
 import path from 'path';
 import fs from 'fs/promises';
-import { http } from './net.js';
+import { http, downloadBuffer } from './net.js';
 
 const execFileAsync = promisify(execFile);
 
@@ -44,8 +44,11 @@ export async function ensureLocalPath(src) {
 /**
  * Returns a local path for arbitrary media input and a cleanup() function if a temp dir was created.
  * Accepts: URL, local path, Buffer/Uint8Array, data URI, or plain base64 string.
+ * @param {*} src
+ * @param {{signal?: AbortSignal, maxBytes?: number}} [options] - `signal` cancels the download;
+ *   `maxBytes` limits its size.
  */
-export async function ensureLocalPathWithCleanup(src) {
+export async function ensureLocalPathWithCleanup(src, { signal, maxBytes } = {}) {
   let dir = null;
   const writeTemp = async (buffer) => {
     dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmvid-'));
@@ -61,7 +64,7 @@ export async function ensureLocalPathWithCleanup(src) {
   }
   if (typeof src !== 'string' || src.length === 0) throw new Error('Invalid source');
   if (src.startsWith('http')) {
-    const buf = await http(src).buffer();
+    const buf = await downloadBuffer(src, { signal, maxBytes });
     const file = await writeTemp(buf);
     return { path: file, cleanup: async () => { if (dir) await fs.rm(dir, { recursive: true, force: true }); } };
   }
@@ -86,13 +89,16 @@ export async function ensureLocalPathWithCleanup(src) {
 /**
  * Returns a Buffer for arbitrary media input kept fully in memory.
  * Accepts URL, local path, Buffer/Uint8Array, data URI, or plain base64 string.
+ * @param {*} src
+ * @param {{signal?: AbortSignal, maxBytes?: number}} [options] - `signal` cancels the download;
+ *   `maxBytes` limits its size.
  */
-export async function getMediaBuffer(src) {
+export async function getMediaBuffer(src, { signal, maxBytes } = {}) {
   if (Buffer.isBuffer(src) || src instanceof Uint8Array) {
     return Buffer.isBuffer(src) ? src : Buffer.from(src);
   }
   if (typeof src !== 'string' || src.length === 0) throw new Error('Invalid source');
-  if (src.startsWith('http')) return await http(src).buffer();
+  if (src.startsWith('http')) return await downloadBuffer(src, { signal, maxBytes });
   if (src.startsWith('data:')) {
     const base64 = src.split(',')[1];
     if (!base64) throw new Error('Invalid data URI');
@@ -119,12 +125,14 @@ export function parseDurationSec(stderr) {
 
 /**
  * Probes media duration in seconds using ffmpeg stderr parsing.
+ * Aborting `signal` kills FFmpeg and rejects.
  */
-export async function probeDurationSec(ffmpegPath, inputPath) {
+export async function probeDurationSec(ffmpegPath, inputPath, { signal } = {}) {
   try {
-    await execFileAsync(ffmpegPath, ['-i', inputPath], { windowsHide: true });
+    await execFileAsync(ffmpegPath, ['-i', inputPath], { windowsHide: true, signal });
     return null;
   } catch (e) {
+    if (signal?.aborted) throw e;
     const stderr = String(e?.stderr || e?.message || '');
     return parseDurationSec(stderr);
   }
@@ -132,13 +140,16 @@ export async function probeDurationSec(ffmpegPath, inputPath) {
 
 /**
  * Probes media duration from a Buffer using ffmpeg reading stdin (pipe:0).
+ * Aborting `signal` kills FFmpeg and rejects.
  */
-export async function probeDurationSecFromBuffer(ffmpegPath, buffer) {
-  return new Promise((resolve) => {
-    const child = spawn(ffmpegPath, ['-i', 'pipe:0'], { windowsHide: true });
+export async function probeDurationSecFromBuffer(ffmpegPath, buffer, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, ['-i', 'pipe:0'], { windowsHide: true, signal });
     let stderr = '';
     child.stderr.on('data', d => { stderr += d.toString(); });
+    child.on('error', reject);
     child.on('close', () => {
+      if (signal?.aborted) return reject(signal.reason);
       resolve(parseDurationSec(stderr));
     });
     child.stdin.on('error', () => {});
@@ -167,29 +178,51 @@ export function safeTimestamps(durationSec, timestamps, marginSec = 0.05) {
   return timestamps.map(t => Math.min(Math.max(0, t), maxT));
 }
 
+// One frame logged by the showinfo filter: its output index `n` and `pts_time`
+const SHOWINFO_FRAME = /\bn:\s*(\d+)\s+pts:\s*-?\d+\s+pts_time:(-?[\d.]+(?:e[-+]?\d+)?)/;
+
+/**
+ * Parses the `pts_time` of every frame logged by the showinfo filter, in output order.
+ */
+export function parseShowinfoTimestamps(stderr) {
+  const out = [];
+  const re = new RegExp(SHOWINFO_FRAME.source, 'g');
+  for (let m = re.exec(stderr); m; m = re.exec(stderr)) out.push(parseFloat(m[2]));
+  return out;
+}
+
+// -copyts keeps the source timestamps after an input seek so showinfo reports the real frame time
+const seekArgs = (seek, input, output, format) => ['-y', '-ss', String(seek), '-i', input, '-copyts', '-vf', 'showinfo', '-frames:v', '1', '-f', format, ...(format === 'image2pipe' ? ['-vcodec', 'png'] : []), output];
+
 /**
  * Extracts frames as PNG buffers at given timestamps using separate seeks.
+ * Each frame reports the timestamp of the decoded frame, falling back to the requested one.
  * @param {string} ffmpegPath
  * @param {string} inputPath
  * @param {number[]} timestampsSec
- * @param {{concurrency?: number}} [options]
+ * @param {{concurrency?: number, signal?: AbortSignal, onFrame?: (extracted: number) => void}} [options] - Aborting
+ *   kills running FFmpeg seeks; `onFrame` is called with the running count of extracted frames.
+ * @returns {Promise<Array<{buffer: Buffer, timestampSec: number}>>}
  */
 export async function extractFrames(ffmpegPath, inputPath, timestampsSec, options = {}) {
-  const { concurrency = 1 } = options;
+  const { concurrency = 1, signal, onFrame } = options;
+  let extracted = 0;
   const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmframes-'));
   const jobs = timestampsSec.map((t, idx) => async () => {
     const seek = Math.max(0, t);
     const out = path.join(dir, `frame_${String(idx).padStart(3, '0')}.png`);
+    let stderr = '';
     try {
-      await execFileAsync(ffmpegPath, ['-y', '-ss', String(seek), '-i', inputPath, '-frames:v', '1', '-f', 'image2', out], { windowsHide: true });
+      ({ stderr } = await execFileAsync(ffmpegPath, seekArgs(seek, inputPath, out, 'image2'), { windowsHide: true, signal }));
     } catch {}
     try {
-      return await fs.readFile(out);
+      return { buffer: await fs.readFile(out), timestampSec: parseShowinfoTimestamps(stderr)[0] ?? seek };
     } catch {
       const retryT = Math.max(0, seek - 0.1);
       try {
-        await execFileAsync(ffmpegPath, ['-y', '-ss', String(retryT), '-i', inputPath, '-frames:v', '1', '-f', 'image2', out], { windowsHide: true });
-        return await fs.readFile(out);
+        if (signal?.aborted) return undefined;
+        ({ stderr } = await execFileAsync(ffmpegPath, seekArgs(retryT, inputPath, out, 'image2'), { windowsHide: true, signal }));
+        return { buffer: await fs.readFile(out), timestampSec: parseShowinfoTimestamps(stderr)[0] ?? retryT };
       } catch {
         return undefined;
       }
@@ -199,93 +232,277 @@ export async function extractFrames(ffmpegPath, inputPath, timestampsSec, option
   const queue = jobs.slice();
   const results = new Array(jobs.length);
   const runners = new Array(Math.max(1, Math.min(concurrency, queue.length))).fill(0).map(async function run() {
-    while (queue.length) {
+    while (queue.length && !signal?.aborted) {
       const nextIdx = jobs.length - queue.length;
       const job = queue.shift();
       if (!job) break;
       const buf = await job();
       results[nextIdx] = buf;
+      if (buf) onFrame?.(++extracted);
     }
   });
-  await Promise.all(runners);
-  const buffers = results.filter(Boolean);
-  await fs.rm(dir, { recursive: true, force: true });
-  return buffers;
+  try {
+    await Promise.all(runners);
+    if (signal?.aborted) throw signal.reason;
+    return results.filter(Boolean);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+function seekFromBuffer(ffmpegPath, buffer, seek, signal) {
+  return new Promise((resolve) => {
+    const child = spawn(ffmpegPath, seekArgs(seek, 'pipe:0', '-', 'image2pipe'), { windowsHide: true, signal });
+    const chunks = [];
+    let stderr = '';
+    child.stdout.on('data', d => chunks.push(d));
+    child.stderr.on('data', d => { stderr += d.toString(); });
+    child.on('error', () => resolve(undefined));
+    child.on('close', () => {
+      resolve(chunks.length ? { buffer: Buffer.concat(chunks), timestampSec: parseShowinfoTimestamps(stderr)[0] ?? seek } : undefined);
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(buffer);
+  });
 }
 
 /**
  * Extract frames as PNG buffers directly from a media Buffer via stdin and image2pipe stdout.
+ * @returns {Promise<Array<{buffer: Buffer, timestampSec: number}>>}
  */
 export async function extractFramesFromBuffer(ffmpegPath, buffer, timestampsSec, options = {}) {
-  const { concurrency = 1 } = options;
+  const { concurrency = 1, signal, onFrame } = options;
+  let extracted = 0;
   const jobs = timestampsSec.map((t) => async () => {
     const seek = Math.max(0, t);
-    const args = ['-y', '-ss', String(seek), '-i', 'pipe:0', '-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'png', '-'];
-    return new Promise((resolve) => {
-      const child = spawn(ffmpegPath, args, { windowsHide: true });
-      const chunks = [];
-      child.stdout.on('data', d => chunks.push(d));
-      child.stderr.on('data', () => {});
-      child.on('close', () => {
-        if (chunks.length === 0) {
-          const retryArgs = ['-y', '-ss', String(Math.max(0, seek - 0.1)), '-i', 'pipe:0', '-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'png', '-'];
-          const retry = spawn(ffmpegPath, retryArgs, { windowsHide: true });
-          const rchunks = [];
-          retry.stdout.on('data', d => rchunks.push(d));
-          retry.on('close', () => resolve(rchunks.length ? Buffer.concat(rchunks) : undefined));
-          retry.stdin.on('error', () => {});
-          retry.stdin.end(buffer);
-        } else {
-          resolve(Buffer.concat(chunks));
-        }
-      });
-      child.stdin.on('error', () => {});
-      child.stdin.end(buffer);
-    });
+    return (await seekFromBuffer(ffmpegPath, buffer, seek, signal)) ?? (signal?.aborted ? undefined : seekFromBuffer(ffmpegPath, buffer, Math.max(0, seek - 0.1), signal));
   });
   const queue = jobs.slice();
   const results = new Array(jobs.length);
   const runners = new Array(Math.max(1, Math.min(concurrency, queue.length))).fill(0).map(async function run() {
-    while (queue.length) {
+    while (queue.length && !signal?.aborted) {
       const idx = jobs.length - queue.length;
       const job = queue.shift();
       if (!job) break;
       results[idx] = await job();
+      if (results[idx]) onFrame?.(++extracted);
     }
   });
   await Promise.all(runners);
+  if (signal?.aborted) throw signal.reason;
   return results.filter(Boolean);
 }
 
 /**
- * Extract approximately 'frames' evenly spaced frames from a Buffer in a single ffmpeg pass using fps filter.
- * Splits concatenated PNGs from stdout by signature.
+ * Extracts frames in a single FFmpeg pass through a select `filter` (see planSampling), from a
+ * local path or an in-memory Buffer (stdin). The showinfo filter is appended so every frame
+ * carries its real source timestamp. Splits concatenated PNGs from stdout by signature.
+ * @param {string} ffmpegPath
+ * @param {string|Buffer} source
+ * @param {{filter?: string|null, inputArgs?: string[], fps?: number, maxFrames?: number, signal?: AbortSignal, onFrame?: (extracted: number) => void}} [options]
+ *   `onFrame` receives the running count of frames decoded so far (from showinfo). A frame showinfo
+ *   did not report gets `index / fps` when the filter samples at a fixed `fps`, else null.
+ * @returns {Promise<Array<{buffer: Buffer, timestampSec: number|null}>>}
  */
-export async function extractFramesAutoFromBuffer(ffmpegPath, buffer, frames, durationSec) {
-  const fps = Math.max(0.1, Math.min(60, frames / Math.max(0.1, durationSec)));
-  const args = ['-hide_banner', '-loglevel', 'error', '-y', '-i', 'pipe:0', '-vf', `fps=${fps}`, '-vsync', 'vfr', '-frames:v', String(frames), '-f', 'image2pipe', '-vcodec', 'png', '-'];
+export async function extractFramesFiltered(ffmpegPath, source, { filter, inputArgs = [], fps, maxFrames = 300, signal, onFrame } = {}) {
+  const fromBuffer = typeof source !== 'string';
+  const vf = filter ? `${filter},showinfo` : 'showinfo';
+  const args = ['-hide_banner', '-nostats', '-loglevel', 'info', '-y', ...inputArgs, '-i', fromBuffer ? 'pipe:0' : source, '-an', '-vf', vf, '-vsync', 'vfr', '-frames:v', String(maxFrames), '-f', 'image2pipe', '-vcodec', 'png', '-'];
   const chunks = [];
+  // Timestamps are parsed line by line as stderr arrives; a partial line waits for the next chunk
+  const stamps = [];
+  let stderrLine = '';
+  const parseLines = (text) => {
+    const lines = (stderrLine + text).split('\n');
+    stderrLine = lines.pop();
+    for (const line of lines) {
+      const m = SHOWINFO_FRAME.exec(line);
+      if (m) stamps.push(parseFloat(m[2]));
+    }
+  };
   await new Promise((resolve) => {
-    const child = spawn(ffmpegPath, args, { windowsHide: true });
+    const child = spawn(ffmpegPath, args, { windowsHide: true, stdio: [fromBuffer ? 'pipe' : 'ignore', 'pipe', 'pipe'], signal });
     child.stdout.on('data', d => chunks.push(d));
-    child.on('close', () => resolve());
-    child.stdin.on('error', () => {});
-    child.stdin.end(buffer);
+    child.stderr.on('data', (d) => {
+      const before = stamps.length;
+      parseLines(d.toString());
+      if (onFrame && stamps.length > before && before < maxFrames) onFrame(Math.min(maxFrames, stamps.length));
+    });
+    child.on('error', () => resolve());
+    child.on('close', () => { parseLines('\n'); resolve(); });
+    if (fromBuffer) {
+      child.stdin.on('error', () => {});
+      child.stdin.end(source);
+    }
   });
+  if (signal?.aborted) throw signal.reason;
   const all = chunks.length ? Buffer.concat(chunks) : Buffer.alloc(0);
   if (all.length === 0) return [];
-  const sig = Buffer.from([0x89,0x50,0x4E,0x47,0x0D,0x0A,0x1A,0x0A]);
+  return splitPngFrames(all).frames.slice(0, maxFrames).map((buffer, i) => ({ buffer, timestampSec: stamps[i] ?? (fps ? i / fps : null) }));
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89,0x50,0x4E,0x47,0x0D,0x0A,0x1A,0x0A]);
+const PNG_IEND = Buffer.from([0x49,0x45,0x4E,0x44,0xAE,0x42,0x60,0x82]);
+
+/**
+ * Splits concatenated PNGs (image2pipe output) by signature.
+ * With final=false the trailing PNG is only emitted once its IEND chunk has arrived;
+ * otherwise it is returned as `rest` so a live pipe can append the next chunk to it.
+ * @param {Buffer} buffer
+ * @param {{final?: boolean}} [options]
+ * @returns {{frames: Buffer[], rest: Buffer}}
+ */
+export function splitPngFrames(buffer, { final = true } = {}) {
   const idxs = [];
-  for (let i = 0; i <= all.length - sig.length; i++) {
-    let ok = true;
-    for (let j = 0; j < sig.length; j++) { if (all[i + j] !== sig[j]) { ok = false; break; } }
-    if (ok) idxs.push(i);
-  }
-  const outs = [];
+  for (let i = buffer.indexOf(PNG_SIGNATURE); i !== -1; i = buffer.indexOf(PNG_SIGNATURE, i + PNG_SIGNATURE.length)) idxs.push(i);
+  const frames = [];
+  let rest = Buffer.alloc(0);
   for (let k = 0; k < idxs.length; k++) {
     const start = idxs[k];
-    const end = (k + 1 < idxs.length) ? idxs[k + 1] : all.length;
-    outs.push(all.slice(start, end));
+    const end = (k + 1 < idxs.length) ? idxs[k + 1] : buffer.length;
+    const isLast = k + 1 === idxs.length;
+    if (isLast && !final && !buffer.subarray(end - PNG_IEND.length, end).equals(PNG_IEND)) {
+      rest = buffer.subarray(start);
+    } else {
+      frames.push(buffer.subarray(start, end));
+    }
   }
-  return outs.slice(0, frames);
+  return { frames, rest };
+}
+
+/**
+ * Decodes a live or continuous source with one long-running FFmpeg process and yields PNG frames
+ * sampled at `fps` as they arrive. `source` may be a URL (RTSP/HLS/HTTP MJPEG), a local path, or a
+ * Readable stream piped to stdin. At most `maxQueue` frames are buffered: beyond that stdout is
+ * paused (backpressure) or, with `dropFrames`, the oldest frame is discarded. FFmpeg is killed when
+ * `signal` aborts or the consumer stops iterating. Each frame carries the `timestampSec` FFmpeg
+ * reports for it (null if unknown).
+ * @param {string} ffmpegPath
+ * @param {object} options
+ * @param {string|import('stream').Readable} options.source
+ * @param {number} [options.fps=1]
+ * @param {string[]} [options.inputArgs] - Extra args placed before `-i` (e.g. ['-rtsp_transport', 'tcp']).
+ * @param {number} [options.maxQueue=4]
+ * @param {boolean} [options.dropFrames=false]
+ * @param {AbortSignal} [options.signal]
+ * @returns {AsyncGenerator<{index: number, buffer: Buffer, timestampSec: number|null, dropped: number}>}
+ */
+export async function* streamFrames(ffmpegPath, { source, fps = 1, inputArgs = [], maxQueue = 4, dropFrames = false, signal } = {}) {
+  if (!source) throw new Error('source is required');
+  const fromPipe = typeof source !== 'string';
+  // showinfo logs each frame's pts at info level; `level` tags let errors be told apart from it
+  const args = ['-hide_banner', '-nostats', '-loglevel', 'level+info', ...inputArgs, '-i', fromPipe ? 'pipe:0' : source, '-an', '-vf', `fps=${fps},showinfo`, '-f', 'image2pipe', '-vcodec', 'png', '-'];
+  const child = spawn(ffmpegPath, args, { windowsHide: true, stdio: [fromPipe ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
+  const queue = [];
+  const stamps = new Map();
+  let pending = Buffer.alloc(0);
+  let stderrLine = '';
+  let ended = false; let failure = null; let stderr = ''; let index = 0; let dropped = 0;
+  let wake = null;
+  const notify = () => { if (wake) { const w = wake; wake = null; w(); } };
+
+  child.stdout.on('data', (d) => {
+    const { frames, rest } = splitPngFrames(pending.length ? Buffer.concat([pending, d]) : d, { final: false });
+    pending = Buffer.from(rest);
+    for (const f of frames) {
+      queue.push({ index: index++, buffer: Buffer.from(f) });
+      if (dropFrames && queue.length > maxQueue) { stamps.delete(queue.shift().index); dropped++; }
+    }
+    if (!dropFrames && queue.length >= maxQueue) child.stdout.pause();
+    notify();
+  });
+  child.stderr.on('data', (d) => {
+    const lines = (stderrLine + d.toString()).split('\n');
+    stderrLine = lines.pop();
+    for (const line of lines) {
+      const frame = SHOWINFO_FRAME.exec(line);
+      if (frame) stamps.set(Number(frame[1]), parseFloat(frame[2]));
+      const error = /\[(?:error|fatal|panic)\] (.*)/.exec(line);
+      if (error) stderr = `${stderr}${error[1]}\n`.slice(-8192);
+    }
+    notify();
+  });
+  child.on('error', (e) => { failure = e; notify(); });
+  child.on('close', (code) => {
+    ended = true;
+    if (code && !signal?.aborted && !failure) failure = new Error(`FFmpeg stream exited with code ${code}${stderr ? `: ${stderr.trim()}` : ''}`);
+    notify();
+  });
+  if (fromPipe) {
+    child.stdin.on('error', () => {});
+    source.pipe(child.stdin);
+  }
+  const onAbort = () => { child.kill('SIGTERM'); notify(); };
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    while (true) {
+      if (signal?.aborted) return;
+      // A frame's showinfo line normally arrives before its PNG; wait for it only while nothing
+      // else can arrive first (no later frame queued, FFmpeg still running and not paused)
+      if (queue.length && (stamps.has(queue[0].index) || queue.length > 1 || ended || child.stdout.isPaused())) {
+        const frame = queue.shift();
+        if (child.stdout.isPaused() && queue.length < maxQueue) child.stdout.resume();
+        const timestampSec = stamps.get(frame.index) ?? null;
+        stamps.delete(frame.index);
+        yield { ...frame, timestampSec, dropped };
+        continue;
+      }
+      if (failure) throw failure;
+      if (ended) return;
+      await new Promise(resolve => { wake = resolve; });
+    }
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    if (fromPipe) source.unpipe?.(child.stdin);
+    if (child.exitCode === null && !child.killed) child.kill('SIGTERM');
+  }
+}
+
+function audioArgs(input, sampleRate) {
+  return ['-hide_banner', '-loglevel', 'error', '-i', input, '-vn', '-ac', '1', '-ar', String(sampleRate), '-f', 'f32le', '-acodec', 'pcm_f32le', '-'];
+}
+
+function runAudioDecode(ffmpegPath, args, stdinBuffer, signal) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, args, { windowsHide: true, signal });
+    const chunks = [];
+    let stderr = '';
+    child.stdout.on('data', d => chunks.push(d));
+    child.stderr.on('data', d => { stderr += d.toString(); });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (signal?.aborted) return reject(signal.reason);
+      const all = chunks.length ? Buffer.concat(chunks) : Buffer.alloc(0);
+      if (all.length === 0) return reject(new Error(`No audio track could be decoded${stderr ? `: ${stderr.trim()}` : ''}`));
+      if (code !== 0 && stderr) return reject(new Error(`FFmpeg audio decode failed: ${stderr.trim()}`));
+      // Copy into an aligned buffer before viewing as float32
+      const aligned = new Uint8Array(all.length - (all.length % 4));
+      aligned.set(all.subarray(0, aligned.length));
+      resolve(new Float32Array(aligned.buffer));
+    });
+    if (stdinBuffer) {
+      child.stdin.on('error', () => {});
+      child.stdin.end(stdinBuffer);
+    }
+  });
+}
+
+/**
+ * Decodes the audio track of a local file into mono float32 PCM at the given sample rate.
+ * Works for WAV/MP3 and for the audio stream of video containers.
+ * @param {string} ffmpegPath
+ * @param {string} inputPath
+ * @param {{sampleRate?: number, signal?: AbortSignal}} [options]
+ * @returns {Promise<Float32Array>}
+ */
+export async function extractAudioSamples(ffmpegPath, inputPath, { sampleRate = 44100, signal } = {}) {
+  return runAudioDecode(ffmpegPath, audioArgs(inputPath, sampleRate), null, signal);
+}
+
+/**
+ * Decodes the audio track of an in-memory media Buffer (stdin) into mono float32 PCM.
+ */
+export async function extractAudioSamplesFromBuffer(ffmpegPath, buffer, { sampleRate = 44100, signal } = {}) {
+  return runAudioDecode(ffmpegPath, audioArgs('pipe:0', sampleRate), buffer, signal);
 }
@@ -0,0 +1,98 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { IMAGE_EXTENSIONS } from './io.js';
+
+export const VIDEO_EXTENSIONS = new Set(['.mp4', '.mov', '.m4v', '.webm', '.mkv', '.avi', '.mpg', '.mpeg', '.ts', '.gif']);
+export const AUDIO_EXTENSIONS = new Set(['.wav', '.mp3', '.ogg', '.oga', '.flac', '.m4a', '.aac', '.opus']);
+
+const GLOB_CHARS = /[*?[{]/;
+
+/**
+ * Regular expression for a glob over `/`-separated relative paths: `*` and `?` stay within one
+ * path segment, `**` spans any number of directories, `[abc]` and `{a,b}` are alternatives.
+ */
+export function globToRegExp(pattern) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      // `**/` also matches no directory at all
+      const slash = pattern[i + 2] === '/';
+      re += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (c === '*') re += '[^/]*';
+    else if (c === '?') re += '[^/]';
+    else if (c === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) { re += '\\['; continue; }
+      re += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else if (c === '{') {
+      const end = pattern.indexOf('}', i + 1);
+      if (end === -1) { re += '\\{'; continue; }
+      re += `(?:${pattern.slice(i + 1, end).split(',').map(alt => globToRegExp(alt).source.slice(1, -1)).join('|')})`;
+      i = end;
+    } else re += c.replace(/[.+^$()|\\\]]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// Files under `dirPath`, down to `depth` levels of directories (1: only its own files)
+async function walk(dirPath, depth = Infinity) {
+  if (depth === Infinity) {
+    const entries = await fs.readdir(dirPath, { recursive: true, withFileTypes: true });
+    return entries.filter(e => e.isFile()).map(e => path.join(e.parentPath ?? e.path, e.name));
+  }
+  const files = [];
+  for (const e of await fs.readdir(dirPath, { withFileTypes: true }).catch(() => [])) {
+    const file = path.join(dirPath, e.name);
+    if (e.isFile()) files.push(file);
+    else if (e.isDirectory() && depth > 1) files.push(...await walk(file, depth - 1));
+  }
+  return files;
+}
+
+/**
+ * Expands CLI input arguments: directories into the files under them (recursively) whose
+ * extension is in `extensions`, glob patterns into the files they match, and `-` into the
+ * non-empty lines read from `stdin`. URLs, data URIs and plain files pass through unchanged.
+ * Returns the inputs in order (each expansion sorted) and the arguments that matched nothing.
+ * @param {string[]} args
+ * @param {{extensions: Set<string>, stdin?: NodeJS.ReadableStream}} options
+ * @returns {Promise<{inputs: string[], unmatched: string[]}>}
+ */
+export async function expandInputs(args, { extensions, stdin = process.stdin }) {
+  const inputs = [];
+  const unmatched = [];
+  for (const arg of args) {
+    if (arg === '-') {
+      let text = '';
+      for await (const chunk of stdin) text += chunk;
+      inputs.push(...text.split(/\r?\n/).map(l => l.trim()).filter(Boolean));
+      continue;
+    }
+    if (/^(https?:|data:)/i.test(arg)) { inputs.push(arg); continue; }
+    const stat = await fs.stat(arg).catch(() => null);
+    let found;
+    if (stat?.isDirectory()) {
+      found = (await walk(arg)).filter(f => extensions.has(path.extname(f).toLowerCase()));
+    } else if (!stat && GLOB_CHARS.test(arg)) {
+      // Walk from the last directory before the first wildcard and match the rest of the pattern,
+      // only as deep as its segments reach unless it holds `**`
+      const parts = arg.split(/[\\/]/);
+      const first = parts.findIndex(p => GLOB_CHARS.test(p));
+      const base = first === 0 ? '.' : parts.slice(0, first).join('/') || '/';
+      const rest = parts.slice(first);
+      const re = globToRegExp(rest.join('/'));
+      const files = await walk(base, rest.some(p => p.includes('**')) ? Infinity : rest.length).catch(() => []);
+      found = files.filter(f => re.test(path.relative(base, f).split(path.sep).join('/')));
+    } else {
+      // Missing files are reported per item by the classifier
+      inputs.push(arg);
+      continue;
+    }
+    if (found.length === 0) unmatched.push(arg);
+    inputs.push(...found.sort());
+  }
+  return { inputs, unmatched };
+}
@@ -1,28 +1,135 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { readZip } from './zip.js';
+import { http } from './net.js';
 
 export const dirExists = async (p) => {
   try { const s = await fs.stat(p); return s.isDirectory(); } catch { return false; }
 };
 
+let tmpSeq = 0;
+
+/**
+ * Writes `data` to a temp file next to `file` and renames it into place, so readers (and a
+ * process that crashes mid-write) never see a partial file.
+ * @param {string} file
+ * @param {string|Buffer} data
+ */
+export const writeFileAtomic = async (file, data) => {
+  const tmp = `${file}.${process.pid}.${tmpSeq++}.tmp`;
+  try {
+    await fs.writeFile(tmp, data);
+    await fs.rename(tmp, file);
+  } catch (e) {
+    await fs.rm(tmp, { force: true });
+    throw e;
+  }
+};
+
+// model.json fields passed through unchanged between disk and the tfjs loaders
+const ARTIFACT_FIELDS = ['format', 'generatedBy', 'convertedBy', 'signature', 'userDefinedMetadata', 'modelInitializer', 'trainingConfig'];
+
+/**
+ * Reads `model.json` from a model directory.
+ */
+export const readModelJson = async (dirPath) => JSON.parse(await fs.readFile(path.join(dirPath, 'model.json'), 'utf-8'));
+
+// Model artifacts from `model.json` and its weight files, read through `readFile(name)`
+async function loadArtifacts(readFile) {
+  const json = JSON.parse((await readFile('model.json')).toString('utf-8'));
+  const extra = Object.fromEntries(ARTIFACT_FIELDS.filter(k => json[k] !== undefined).map(k => [k, json[k]]));
+  let weightSpecs = json.weightSpecs;
+  let shards;
+  if (Array.isArray(json.weightsManifest)) {
+    weightSpecs = json.weightsManifest.flatMap(group => group.weights);
+    shards = await Promise.all(json.weightsManifest.flatMap(group => group.paths).map(readFile));
+  } else {
+    shards = [await readFile('weights.bin')];
+  }
+  const weightData = new Uint8Array(Buffer.concat(shards)).buffer;
+  return { modelTopology: json.modelTopology, ...extra, weightSpecs, weightData };
+}
+
+/**
+ * tfjs IO handler for a model stored on disk: `model.json` plus the weight shards listed in its
+ * `weightsManifest` (files written by older versions, with top-level `weightSpecs` and a single
+ * `weights.bin`, still load). Works for both layers and graph models.
+ */
 export const ioFromDir = (dirPath) => ({
-  load: async () => {
-    const jsonPath = path.join(dirPath, 'model.json');
-    const weightsPath = path.join(dirPath, 'weights.bin');
-    const jsonRaw = await fs.readFile(jsonPath, 'utf-8');
-    const { modelTopology, weightSpecs } = JSON.parse(jsonRaw);
-    const weightData = new Uint8Array(await fs.readFile(weightsPath)).buffer;
-    return { modelTopology, weightSpecs, weightData };
-  },
+  load: () => loadArtifacts(name => fs.readFile(path.join(dirPath, name))),
   save: async (artifacts) => {
     await fs.mkdir(dirPath, { recursive: true });
-    const json = JSON.stringify({ modelTopology: artifacts.modelTopology, weightSpecs: artifacts.weightSpecs });
+    // tfjs may hand over weights as several ArrayBuffers; they are stored as one shard
+    const weights = Buffer.concat([].concat(artifacts.weightData ?? []).map(b => Buffer.from(b)));
+    const extra = Object.fromEntries(ARTIFACT_FIELDS.filter(k => artifacts[k] !== undefined).map(k => [k, artifacts[k]]));
+    const json = JSON.stringify({ modelTopology: artifacts.modelTopology, ...extra, weightsManifest: [{ paths: ['weights.bin'], weights: artifacts.weightSpecs }] });
     await fs.writeFile(path.join(dirPath, 'model.json'), json);
-    await fs.writeFile(path.join(dirPath, 'weights.bin'), Buffer.from(artifacts.weightData));
-    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON', weightDataBytes: artifacts.weightData.byteLength } };
+    await fs.writeFile(path.join(dirPath, 'weights.bin'), weights);
+    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON', weightDataBytes: weights.length } };
   }
 });
 
+/**
+ * Load-only tfjs IO handler over in-memory model files (e.g. from readModelZip), laid out like a
+ * model directory.
+ * @param {Map<string, Buffer>} files
+ */
+export const ioFromFiles = (files) => ({
+  load: () => loadArtifacts(async (name) => {
+    if (!files.has(name)) throw new Error(`Missing ${name}`);
+    return files.get(name);
+  })
+});
+
+/**
+ * Load-only tfjs IO handler for a remote model whose `model.json` body was already downloaded;
+ * only the weight files are fetched, relative to `baseUrl`.
+ * @param {string} baseUrl - Base URL ending with `/`.
+ * @param {Buffer} modelJson
+ */
+export const ioFromUrl = (baseUrl, modelJson) => ({
+  load: () => loadArtifacts(name => (name === 'model.json' ? modelJson : http(new URL(name, baseUrl)).buffer()))
+});
+
+/**
+ * Reads a Teachable Machine export zip (a path or Buffer) into memory. Entries are keyed relative
+ * to the folder holding `model.json`, so archives re-zipped with a top-level folder also work.
+ * @param {string|Buffer} source
+ * @returns {Promise<Map<string, Buffer>>}
+ */
+export const readModelZip = async (source) => {
+  const entries = readZip(Buffer.isBuffer(source) ? source : await fs.readFile(source));
+  const modelJson = [...entries.keys()].filter(n => n === 'model.json' || n.endsWith('/model.json')).sort((a, b) => a.length - b.length)[0];
+  if (!modelJson) throw new Error('model.json not found in the zip archive');
+  const prefix = modelJson.slice(0, -'model.json'.length);
+  const files = new Map();
+  for (const [name, data] of entries) {
+    if (!name.startsWith(prefix)) continue;
+    const rel = name.slice(prefix.length);
+    // Entry names end up as paths when extracting; refuse ones that escape the target directory
+    if (path.isAbsolute(rel) || rel.split('/').includes('..')) throw new Error(`Unsafe path in zip archive: ${name}`);
+    files.set(rel, data);
+  }
+  return files;
+};
+
+/**
+ * Writes in-memory model files (from readModelZip) into `dirPath`.
+ */
+export const writeModelFiles = async (dirPath, files) => {
+  for (const [name, data] of files) {
+    const file = path.join(dirPath, ...name.split('/'));
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, data);
+  }
+};
+
+/**
+ * True when a parsed `model.json` describes a graph model (tfjs-converter output) rather than
+ * a layers model.
+ */
+export const isGraphModelJson = (json) => json?.format === 'graph-model' || Array.isArray(json?.modelTopology?.node);
+
 export const readMetadata = async (dirPath) => {
   const metaStr = await fs.readFile(path.join(dirPath, 'metadata.json'), 'utf-8');
   return JSON.parse(metaStr);
@@ -32,3 +139,60 @@ export const writeMetadata = async (dirPath, metadata) => {
   await fs.mkdir(dirPath, { recursive: true });
   await fs.writeFile(path.join(dirPath, 'metadata.json'), JSON.stringify(metadata, null, 2));
 };
+
+/**
+ * Returns the class labels from Teachable Machine metadata.
+ * Image projects use `labels`, audio (speech-commands) projects use `wordLabels`.
+ */
+export const getMetadataLabels = (metadata) => {
+  const labels = metadata?.labels ?? metadata?.wordLabels;
+  return Array.isArray(labels) ? labels : null;
+};
+
+export const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp', '.gif', '.bmp', '.tif', '.tiff', '.avif']);
+
+/**
+ * Lists a dataset laid out as `<dir>/<label>/<image>` (one sub-directory per class).
+ * Returns the sorted label names and a flat list of `{ label, file }` entries.
+ */
+export const listLabeledImages = async (dirPath) => {
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+  const labels = entries.filter(e => e.isDirectory() && !e.name.startsWith('.')).map(e => e.name).sort();
+  const items = [];
+  for (const label of labels) {
+    const files = (await fs.readdir(path.join(dirPath, label), { withFileTypes: true }))
+      .filter(f => f.isFile() && IMAGE_EXTENSIONS.has(path.extname(f.name).toLowerCase()))
+      .map(f => f.name)
+      .sort();
+    for (const f of files) items.push({ label, file: path.join(dirPath, label, f) });
+  }
+  return { labels, items };
+};
+
+/**
+ * Lists every image file under `dirPath` (recursively, sorted), e.g. a folder of sample images.
+ */
+export const listImages = async (dirPath) => {
+  const entries = await fs.readdir(dirPath, { recursive: true, withFileTypes: true });
+  return entries
+    .filter(e => e.isFile() && IMAGE_EXTENSIONS.has(path.extname(e.name).toLowerCase()))
+    .map(e => path.join(e.parentPath ?? e.path, e.name))
+    .sort();
+};
+
+/**
+ * Reads `calibration.json` stored next to `metadata.json`, or null when absent.
+ */
+export const readCalibration = async (dirPath) => {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dirPath, 'calibration.json'), 'utf-8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+};
+
+export const writeCalibration = async (dirPath, calibration) => {
+  await fs.mkdir(dirPath, { recursive: true });
+  await fs.writeFile(path.join(dirPath, 'calibration.json'), JSON.stringify(calibration, null, 2));
+};
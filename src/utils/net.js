@@ -7,3 +7,29 @@ export const http = got.extend({
     'user-agent': 'tmjs/1.0 (+https://github.com/nixaut-codelabs/teachable-machine.js)'
   }
 });
+
+/**
+ * Downloads `url` into a Buffer. With `maxBytes`, the download is cancelled as soon as the declared
+ * or received size exceeds it, instead of after the whole body has been buffered.
+ * @param {string} url
+ * @param {{signal?: AbortSignal, maxBytes?: number}} [options]
+ */
+export async function downloadBuffer(url, { signal, maxBytes } = {}) {
+  const request = http(url, { signal });
+  let exceeded = 0;
+  if (maxBytes) {
+    request.on('downloadProgress', ({ transferred, total }) => {
+      const size = Math.max(transferred, total ?? 0);
+      if (size > maxBytes && !exceeded) {
+        exceeded = size;
+        request.cancel();
+      }
+    });
+  }
+  try {
+    return await request.buffer();
+  } catch (e) {
+    if (exceeded) throw new Error(`Download exceeds maxBytes (${exceeded} > ${maxBytes})`);
+    throw e;
+  }
+}
@@ -0,0 +1,52 @@
+import { createWriteStream } from 'fs';
+
+export const CSV_COLUMNS = ['input', 'top1', 'score', 'topK', 'error'];
+
+/**
+ * One CSV line (with its newline). Fields holding a comma, quote or line break are quoted, with
+ * quotes doubled.
+ * @param {unknown[]} values
+ */
+export function csvRow(values) {
+  return `${values.map((v) => {
+    const text = v === undefined || v === null ? '' : String(v);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')}\n`;
+}
+
+/**
+ * One CSV line per item: the top prediction and its score, then every returned prediction as
+ * `class:score` pairs separated by `;` (videos and audio use their aggregate predictions).
+ * Scores are rounded to 4 decimals in both columns.
+ */
+export function csvRecord({ input, result }) {
+  const predictions = result.aggregate?.predictions ?? result.predictions ?? [];
+  return csvRow([input, predictions[0]?.class, predictions[0]?.score.toFixed(4), predictions.map(p => `${p.class}:${p.score.toFixed(4)}`).join(';'), result.error]);
+}
+
+/**
+ * Where results go: `file`, or stdout when it is not given. Resolves once the file is open, so a
+ * bad path fails before any work starts; a later write error is reported by close().
+ * Lines are written as they arrive, so `jsonl` and `csv` output can be consumed while a long run
+ * is still going.
+ * @param {string} [file]
+ * @returns {Promise<{write: (text: string) => void, close: () => Promise<void>}>}
+ */
+export async function openOutputSink(file) {
+  if (!file) return { write: (text) => { process.stdout.write(text); }, close: async () => {} };
+  const stream = createWriteStream(file);
+  let failure = null;
+  await new Promise((resolve, reject) => {
+    stream.once('open', resolve);
+    stream.once('error', (e) => reject(new Error(`cannot write to ${file}: ${e.message}`)));
+  });
+  stream.on('error', (e) => { failure ??= new Error(`cannot write to ${file}: ${e.message}`); });
+  return {
+    write: (text) => { if (!failure) stream.write(text); },
+    close: () => new Promise((resolve, reject) => {
+      if (failure) return reject(failure);
+      stream.once('error', () => reject(failure));
+      stream.end(resolve);
+    })
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * Progress reporter behind the `onProgress` option. Every event carries `{ type, completed, total }`
+ * (items finished out of the items in the call) plus:
+ * - `stage`: `stage` entered (`download`, `probe`, `extract`, `preprocess`, `inference`); repeats are collapsed
+ * - `frames`: `framesExtracted` so far, and `framesTotal` when the sampling plan knows it
+ * - `item`: an input finished; its `index` and `result` (failed batch items carry `result.error`)
+ * Events forwarded from one video of a multi-video call also carry that video's `index`.
+ * Returns null when no callback is given, so callers use `progress?.stage(...)`.
+ * @param {((event: object) => void)|undefined} onProgress
+ * @param {{total: number}} options
+ */
+export function createProgress(onProgress, { total }) {
+  if (typeof onProgress !== 'function') return null;
+  let completed = 0;
+  let lastStage = null;
+  const emit = (event) => onProgress({ ...event, completed, total });
+  const progress = {
+    stage(stage) {
+      if (stage === lastStage) return;
+      lastStage = stage;
+      emit({ type: 'stage', stage });
+    },
+    frames(framesExtracted, framesTotal) {
+      emit({ type: 'frames', framesExtracted, ...(framesTotal ? { framesTotal } : {}) });
+    },
+    item(index, result) {
+      completed++;
+      emit({ type: 'item', index, result });
+    },
+    /**
+     * Callback for the nested call handling item `index`; its events are re-tagged with the index
+     * and counted against this reporter's total.
+     */
+    child(index) {
+      return (event) => {
+        if (event.type === 'item') return progress.item(index, event.result);
+        const { completed: _c, total: _t, index: _i, ...rest } = event;
+        emit({ ...rest, index });
+      };
+    }
+  };
+  return progress;
+}
@@ -0,0 +1,78 @@
+import zlib from 'zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// Inflates one entry, stopping at its declared size so a crafted archive cannot expand without bound
+function inflateEntry(raw, size, name) {
+  try {
+    return zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, size) });
+  } catch (e) {
+    if (e.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`Corrupt zip entry '${name}': inflates beyond its declared size (${size} bytes)`);
+    throw e;
+  }
+}
+
+// Defaults for readZip(): far above any model export, low enough to refuse a zip bomb up front
+const MAX_ENTRIES = 1000;
+const MAX_TOTAL_BYTES = 1024 * 1024 * 1024;
+
+/**
+ * Reads every file of a zip archive held in memory, e.g. a Teachable Machine "Download my model"
+ * export. Supports stored and deflated entries (what browsers and zip tools produce); directory
+ * entries are skipped and CRCs are checked when the runtime provides zlib.crc32. The whole central
+ * directory is checked before anything is inflated: at most `maxEntries` files declaring at most
+ * `maxTotalBytes` together, and no entry is inflated past the size declared for it.
+ * @param {Buffer} buf
+ * @param {{maxEntries?: number, maxTotalBytes?: number}} [options] - Default 1000 entries and 1 GiB.
+ * @returns {Map<string, Buffer>} Entry name (with `/` separators) to contents.
+ */
+export function readZip(buf, { maxEntries = MAX_ENTRIES, maxTotalBytes = MAX_TOTAL_BYTES } = {}) {
+  // The end-of-central-directory record sits at the end, followed by an optional comment (< 64 KB)
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIGNATURE) { eocd = i; break; }
+  }
+  if (eocd === -1) throw new Error('Not a zip archive');
+  const count = buf.readUInt16LE(eocd + 10);
+  let offset = buf.readUInt32LE(eocd + 16);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+  const entries = [];
+  let totalBytes = 0;
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error('Corrupt zip central directory');
+    const nameLength = buf.readUInt16LE(offset + 28);
+    const entry = {
+      method: buf.readUInt16LE(offset + 10),
+      crc: buf.readUInt32LE(offset + 16),
+      compressedSize: buf.readUInt32LE(offset + 20),
+      size: buf.readUInt32LE(offset + 24),
+      localOffset: buf.readUInt32LE(offset + 42),
+      name: buf.toString('utf-8', offset + 46, offset + 46 + nameLength).replace(/\\/g, '/')
+    };
+    offset += 46 + nameLength + buf.readUInt16LE(offset + 30) + buf.readUInt16LE(offset + 32);
+    if (entry.name.endsWith('/')) continue;
+    entries.push(entry);
+    totalBytes += entry.size;
+    if (entries.length > maxEntries) throw new Error(`Zip archive has more than ${maxEntries} files`);
+    if (totalBytes > maxTotalBytes) throw new Error(`Zip archive declares more than ${maxTotalBytes} bytes of content`);
+  }
+
+  const files = new Map();
+  for (const { method, crc, compressedSize, size, localOffset, name } of entries) {
+    if (buf.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw new Error(`Corrupt zip entry '${name}'`);
+    // Sizes come from the central directory: the local header may defer them to a data descriptor
+    const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+    const raw = buf.subarray(start, start + compressedSize);
+    let data;
+    if (method === 0) data = Buffer.from(raw);
+    else if (method === 8) data = inflateEntry(raw, size, name);
+    else throw new Error(`Unsupported compression method ${method} for '${name}'`);
+    if (data.length !== size) throw new Error(`Corrupt zip entry '${name}': size mismatch`);
+    if (zlib.crc32 && zlib.crc32(data) !== crc) throw new Error(`Corrupt zip entry '${name}': CRC mismatch`);
+    files.set(name, data);
+  }
+  return files;
+}
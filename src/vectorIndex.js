@@ -0,0 +1,114 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { writeFileAtomic } from './utils/io.js';
+
+// Unit-length copy of a vector, so cosine distance reduces to 1 - dot product
+function unitVector(values) {
+  const v = Float32Array.from(values);
+  let norm = 0;
+  for (let i = 0; i < v.length; i++) norm += v[i] * v[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) for (let i = 0; i < v.length; i++) v[i] /= norm;
+  return v;
+}
+
+/**
+ * Small exact nearest-neighbour index over embeddings (e.g. from tm.embed()) using cosine
+ * distance (0 = same direction, 2 = opposite). Vectors are kept in memory, unit-normalized, and
+ * persisted as one JSON file; queries scan every entry, which suits up to ~100k vectors.
+ */
+export class VectorIndex {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - Default path for save().
+   * @param {number} [options.dims] - Vector length; otherwise taken from the first vector added.
+   */
+  constructor({ file, dims } = {}) {
+    this.file = file ?? null;
+    this.dims = dims ?? null;
+    this.items = new Map();
+  }
+
+  /**
+   * Loads an index saved with save(), or returns an empty one bound to `file` when it does not exist yet.
+   */
+  static async open(file) {
+    let json;
+    try {
+      json = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return new VectorIndex({ file });
+      throw e;
+    }
+    if (json.version !== 1 || json.metric !== 'cosine') throw new Error(`Unsupported vector index file: ${file}`);
+    const index = new VectorIndex({ file, dims: json.dims });
+    for (const { id, vector, metadata } of json.items) {
+      const buf = Buffer.from(vector, 'base64');
+      index.items.set(id, { vector: new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength)), metadata: metadata ?? null });
+    }
+    return index;
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  /**
+   * Adds a vector under `id`, replacing any previous entry with that id.
+   * @param {string|number} id
+   * @param {number[]|Float32Array} vector
+   * @param {object} [metadata] - Returned with query hits (e.g. the source file and timestamp).
+   */
+  add(id, vector, metadata) {
+    if (id === undefined || id === null) throw new Error('id is required');
+    if (!vector || typeof vector.length !== 'number' || vector.length === 0) throw new Error('vector must be a non-empty array');
+    this.dims ??= vector.length;
+    if (vector.length !== this.dims) throw new Error(`vector has ${vector.length} dimensions, the index ${this.dims}`);
+    this.items.set(id, { vector: unitVector(vector), metadata: metadata ?? null });
+    return this;
+  }
+
+  /**
+   * Removes the entry with `id`; returns whether it existed.
+   */
+  remove(id) {
+    return this.items.delete(id);
+  }
+
+  has(id) {
+    return this.items.has(id);
+  }
+
+  /**
+   * The `k` entries closest to `vector`, nearest first.
+   * @param {number[]|Float32Array} vector
+   * @param {number} [k=10]
+   * @param {{filter?: (id: string|number, metadata: object|null) => boolean, maxDistance?: number}} [options]
+   * @returns {Array<{id: string|number, distance: number, metadata: object|null}>}
+   */
+  query(vector, k = 10, { filter, maxDistance = Infinity } = {}) {
+    if (!Number.isInteger(k) || k <= 0) throw new Error('k must be a positive integer');
+    if (this.dims !== null && vector.length !== this.dims) throw new Error(`vector has ${vector.length} dimensions, the index ${this.dims}`);
+    const q = unitVector(vector);
+    const hits = [];
+    for (const [id, { vector: v, metadata }] of this.items) {
+      if (filter && !filter(id, metadata)) continue;
+      let dot = 0;
+      for (let i = 0; i < q.length; i++) dot += q[i] * v[i];
+      const distance = Math.max(0, 1 - dot);
+      if (distance <= maxDistance) hits.push({ id, distance, metadata });
+    }
+    return hits.sort((a, b) => a.distance - b.distance).slice(0, k);
+  }
+
+  /**
+   * Writes the index to `file` (default: the one it was opened from) atomically.
+   */
+  async save(file = this.file) {
+    if (!file) throw new Error('No file to save the index to');
+    const items = [...this.items].map(([id, { vector, metadata }]) => ({ id, metadata, vector: Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64') }));
+    await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    await writeFileAtomic(file, JSON.stringify({ version: 1, metric: 'cosine', dims: this.dims, items }));
+    this.file = file;
+  }
+}
@@ -0,0 +1,149 @@
+import { Worker } from 'worker_threads';
+
+/**
+ * A task the worker ran and reported as failed (`{ ok: false, error }`), as opposed to a worker
+ * that crashed, exited or could not be started.
+ */
+export class WorkerTaskError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WorkerTaskError';
+  }
+}
+
+/**
+ * Fixed-size pool of long-lived worker threads running the same script.
+ * Tasks are queued and dispatched to the first idle worker; each worker handles one task at a time.
+ * A worker that crashes or exits fails only its current task and is replaced automatically.
+ * Idle workers are unref'd so an unused pool never keeps the process alive.
+ *
+ * Worker protocol: the worker receives `{ id, ...payload }` and replies `{ id, ok, ...result }`
+ * or `{ id, ok: false, error }`.
+ */
+export class WorkerPool {
+  /**
+   * @param {string|URL} script
+   * @param {{size?: number}} [options]
+   */
+  constructor(script, { size = 2 } = {}) {
+    this.script = script;
+    this.size = Math.max(1, Math.floor(size));
+    this.slots = [];
+    this.queue = [];
+    this.closed = false;
+    this.nextId = 1;
+    this.counters = { completed: 0, failed: 0, restarts: 0 };
+    for (let i = 0; i < this.size; i++) this.slots.push(this._spawn());
+  }
+
+  _spawn() {
+    const slot = { worker: new Worker(this.script), task: null };
+    slot.worker.unref();
+    slot.worker.on('message', (msg) => {
+      const task = slot.task;
+      if (!task || msg?.id !== task.id) return;
+      this._finish(slot);
+      if (msg.ok) {
+        this.counters.completed++;
+        task.resolve(msg);
+      } else {
+        this.counters.failed++;
+        task.reject(new WorkerTaskError(msg.error || 'Worker task failed'));
+      }
+    });
+    let crash = null;
+    slot.worker.on('error', (err) => { crash = err; });
+    slot.worker.on('exit', (code) => {
+      const task = slot.task;
+      slot.task = null;
+      if (task) {
+        this.counters.failed++;
+        task.reject(this.closed ? new Error('Worker pool has been shut down') : (crash || new Error(`Worker exited with code ${code}`)));
+      }
+      if (this.closed) return;
+      // Replace the dead worker in place and keep draining the queue
+      const idx = this.slots.indexOf(slot);
+      if (idx !== -1) {
+        this.counters.restarts++;
+        this.slots[idx] = this._spawn();
+        this._drain();
+      }
+    });
+    return slot;
+  }
+
+  _finish(slot) {
+    slot.task = null;
+    slot.worker.unref();
+    this._drain();
+  }
+
+  _drain() {
+    while (this.queue.length) {
+      const slot = this.slots.find(s => !s.task);
+      if (!slot) return;
+      const task = this.queue.shift();
+      slot.task = task;
+      slot.worker.ref();
+      try {
+        slot.worker.postMessage({ id: task.id, ...task.payload }, task.transferList);
+      } catch (err) {
+        slot.task = null;
+        slot.worker.unref();
+        this.counters.failed++;
+        task.reject(err);
+      }
+    }
+  }
+
+  /**
+   * Queues a task. ArrayBuffers in `transferList` are moved to the worker without copying
+   * and become unusable in the calling thread. Aborting `signal` drops the task while it is still
+   * queued; a task a worker has already picked up runs to completion.
+   * @param {object} payload
+   * @param {ArrayBuffer[]} [transferList]
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<object>} The worker's reply.
+   */
+  run(payload, transferList = [], { signal } = {}) {
+    if (this.closed) return Promise.reject(new Error('Worker pool has been shut down'));
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    return new Promise((resolve, reject) => {
+      const task = { id: this.nextId++, payload, transferList, resolve, reject };
+      if (signal) {
+        const onAbort = () => {
+          const idx = this.queue.indexOf(task);
+          if (idx !== -1) { this.queue.splice(idx, 1); reject(signal.reason); }
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        task.resolve = (v) => { signal.removeEventListener('abort', onAbort); resolve(v); };
+        task.reject = (e) => { signal.removeEventListener('abort', onAbort); reject(e); };
+      }
+      this.queue.push(task);
+      this._drain();
+    });
+  }
+
+  /**
+   * Returns pool counters for diagnostics.
+   */
+  stats() {
+    return {
+      size: this.size,
+      busy: this.slots.filter(s => s.task).length,
+      queued: this.queue.length,
+      ...this.counters
+    };
+  }
+
+  /**
+   * Terminates every worker and rejects queued and running tasks.
+   */
+  async destroy() {
+    if (this.closed) return;
+    this.closed = true;
+    const err = new Error('Worker pool has been shut down');
+    for (const task of this.queue.splice(0)) task.reject(err);
+    await Promise.all(this.slots.map(s => s.worker.terminate()));
+  }
+}
@@ -2,18 +2,23 @@ import { parentPort } from 'worker_threads';
 import sharp from 'sharp';
 
 parentPort.on('message', async (msg) => {
+  const { id, buffer, targetW, targetH, centerCrop } = msg || {};
   try {
-    const { buffer, targetW, targetH, centerCrop } = msg || {};
     if (!buffer || !Number.isFinite(targetW) || !Number.isFinite(targetH)) {
-      return parentPort.postMessage({ ok: false, error: 'Invalid worker message' });
+      return parentPort.postMessage({ id, ok: false, error: 'Invalid worker message' });
     }
-    const { data } = await sharp(buffer)
+    const image = sharp(Buffer.from(buffer));
+    const { width, height } = await image.metadata();
+    const { data } = await image
       .resize(targetW, targetH, { fit: centerCrop ? 'cover' : 'fill', fastShrinkOnLoad: true })
       .removeAlpha()
       .raw()
       .toBuffer({ resolveWithObject: true });
-    parentPort.postMessage({ ok: true, data: new Uint8Array(data) });
+    // sharp output is native memory; copy into a plain ArrayBuffer here so it can be transferred
+    const out = new Uint8Array(data.length);
+    out.set(data);
+    parentPort.postMessage({ id, ok: true, data: out.buffer, source: { width, height } }, [out.buffer]);
   } catch (err) {
-    parentPort.postMessage({ ok: false, error: err?.message || String(err) });
+    parentPort.postMessage({ id, ok: false, error: err?.message || String(err) });
   }
 });
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSpectrogram, frameWindows, isAudioMetadata } from '../src/audio.js';
+
+const sine = (bin, fftSize, length) => Float32Array.from({ length }, (_, i) => Math.sin((2 * Math.PI * bin * i) / fftSize));
+
+test('audio projects are told apart by their word labels', () => {
+  assert.equal(isAudioMetadata({ wordLabels: ['_background_noise_', 'yes'] }), true);
+  assert.equal(isAudioMetadata({ labels: ['a'] }), false);
+  assert.equal(isAudioMetadata(null), false);
+});
+
+test('a spectrogram frame peaks at the frequency bin of a pure tone', () => {
+  const frames = computeSpectrogram(sine(8, 64, 128), { fftSize: 64 });
+  assert.equal(frames.length, 2);
+  assert.equal(frames[0].length, 32);
+  for (const frame of frames) assert.equal(frame.indexOf(Math.max(...frame)), 8);
+});
+
+test('spectrogram edge cases: partial frames, silence and bin limits', () => {
+  assert.deepEqual(computeSpectrogram(new Float32Array(63), { fftSize: 64 }), []);
+  assert.ok(computeSpectrogram(new Float32Array(64), { fftSize: 64 })[0].every(v => v === -140));
+  assert.equal(computeSpectrogram(new Float32Array(64), { fftSize: 64, numBins: 10 })[0].length, 10);
+  assert.equal(computeSpectrogram(new Float32Array(64), { fftSize: 64, numBins: 100 })[0].length, 32);
+  assert.throws(() => computeSpectrogram(new Float32Array(60), { fftSize: 60 }), /power of two/);
+});
+
+test('windows advance by the overlap and are normalized', () => {
+  const frames = Array.from({ length: 10 }, (_, f) => Float32Array.from([f, -f, 2 * f]));
+  const windows = frameWindows(frames, { numFrames: 4, numBins: 2, overlap: 0.5 });
+  assert.deepEqual(windows.map(w => w.startFrame), [0, 2, 4, 6]);
+  for (const { data } of windows) {
+    assert.equal(data.length, 8);
+    const mean = data.reduce((a, v) => a + v, 0) / data.length;
+    const std = Math.sqrt(data.reduce((a, v) => a + (v - mean) ** 2, 0) / data.length);
+    assert.ok(Math.abs(mean) < 1e-6 && Math.abs(std - 1) < 1e-6);
+  }
+  assert.equal(frameWindows(frames, { numFrames: 4, numBins: 2, overlap: 1 }).length, 7, 'overlap is capped so windows still advance');
+});
+
+test('short, empty and constant inputs still give one window', () => {
+  const short = frameWindows([Float32Array.from([1, 2])], { numFrames: 3, numBins: 2 });
+  assert.equal(short.length, 1);
+  assert.equal(short[0].data.length, 6);
+  // No frames at all: silence everywhere, which normalizes to zeros
+  assert.deepEqual(Array.from(frameWindows([], { numFrames: 2, numBins: 2 })[0].data), [0, 0, 0, 0]);
+});
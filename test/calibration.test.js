@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as tf from '@tensorflow/tfjs';
+import { applyTemperature, assessOpenSet, fitTemperature, hasOpenSetChecks } from '../src/calibration.js';
+
+const classes = ['cat', 'dog', 'fox'];
+
+test('a confident prediction is known and a weak one is reported with every failed check', () => {
+  const known = assessOpenSet([0.9, 0.05, 0.05], classes, { threshold: 0.5, minMargin: 0.2, maxEntropy: 0.8 });
+  assert.equal(known.class, 'cat');
+  assert.equal(known.known, true);
+  assert.deepEqual(known.reasons, []);
+
+  const weak = assessOpenSet([0.4, 0.35, 0.25], classes, { threshold: 0.5, minMargin: 0.2, maxEntropy: 0.8, unknownLabel: 'other' });
+  assert.equal(weak.class, 'other');
+  assert.deepEqual(weak.reasons, ['threshold', 'margin', 'entropy']);
+});
+
+test('per-class thresholds fall back to their default', () => {
+  const openSet = { threshold: { dog: 0.95, default: 0.5 } };
+  assert.equal(assessOpenSet([0.1, 0.9, 0], classes, openSet).known, false);
+  assert.equal(assessOpenSet([0.9, 0.1, 0], classes, openSet).known, true);
+  assert.equal(assessOpenSet([0.9, 0.1, 0], classes, { threshold: { dog: 0.95 } }).known, true);
+});
+
+test('tied and all-equal scores have no margin and full entropy', () => {
+  const tie = assessOpenSet([0.5, 0.5, 0], classes, { minMargin: 0.01 });
+  assert.equal(tie.margin, 0);
+  assert.deepEqual(tie.reasons, ['margin']);
+  const flat = assessOpenSet([1 / 3, 1 / 3, 1 / 3], classes, {});
+  assert.equal(flat.score, 1 / 3);
+  assert.ok(Math.abs(flat.entropy - 1) < 1e-12);
+  assert.equal(flat.known, true, 'no checks configured');
+});
+
+test('a single class has zero entropy and its score as margin', () => {
+  const one = assessOpenSet([0.7], ['only'], { minMargin: 0.5 });
+  assert.deepEqual({ margin: one.margin, entropy: one.entropy, known: one.known }, { margin: 0.7, entropy: 0, known: true });
+});
+
+test('open-set checks are off unless one is set', () => {
+  assert.equal(hasOpenSetChecks(null), false);
+  assert.equal(hasOpenSetChecks({ unknownLabel: 'x' }), false);
+  assert.equal(hasOpenSetChecks({ minMargin: 0 }), true);
+});
+
+test('over-confident mistakes are softened by a temperature above 1', () => {
+  const probs = [[0.95, 0.05], [0.95, 0.05], [0.05, 0.95], [0.95, 0.05]];
+  const fit = fitTemperature(probs, [0, 1, 1, 0]);
+  assert.ok(fit.temperature > 1, `temperature ${fit.temperature}`);
+  assert.ok(fit.nllAfter < fit.nllBefore);
+});
+
+test('fitting a temperature needs samples and leaves uniform scores as they are', () => {
+  assert.throws(() => fitTemperature([], []), /at least one labeled sample/);
+  const fit = fitTemperature([[0.5, 0.5]], [1]);
+  assert.ok(Math.abs(fit.nllAfter - fit.nllBefore) < 1e-12);
+  assert.ok(fitTemperature([[0.9, 0.1], [0.2, 0.8]], [0, 1]).temperature < 1, 'correct predictions are sharpened');
+});
+
+test('applying a temperature of 1 returns the scores untouched', async () => {
+  const probs = tf.tensor2d([[0.8, 0.2]]);
+  assert.equal(applyTemperature(probs, 1), probs);
+  const softened = applyTemperature(probs, 2);
+  const [[a, b]] = await softened.array();
+  softened.dispose();
+  assert.ok(Math.abs(a - 2 / 3) < 1e-5 && Math.abs(b - 1 / 3) < 1e-5);
+  assert.ok(probs.isDisposed);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TeachableMachine, { TimeoutError } from '../src/index.js';
+
+// classifyIter only needs classifyBatch from the instance
+const fakeTm = (classifyBatch) => Object.assign(Object.create(TeachableMachine.prototype), { openSet: null, calibration: null, classifyBatch });
+
+const collect = async (iter) => {
+  const out = [];
+  for await (const r of iter) out.push(r);
+  return out;
+};
+
+test('a failed batch yields error results and the iteration continues', async () => {
+  const seen = [];
+  const tm = fakeTm(async ({ imageUrls, maxBytes, onProgress }) => {
+    seen.push(maxBytes);
+    onProgress({ type: 'item', index: 0, result: { input: { imageUrl: imageUrls[0] }, predictions: [] } });
+    if (imageUrls[0] === 'a') throw new TimeoutError('inference', 5);
+    imageUrls.slice(1).forEach((u, i) => onProgress({ type: 'item', index: i + 1, result: { input: { imageUrl: u }, predictions: [] } }));
+  });
+  const results = await collect(tm.classifyIter(['a', 'b', 'c', 'd'], { batchSize: 2, maxBytes: 100 }));
+  assert.deepEqual(results.map(r => [r.index, r.input.imageUrl, Boolean(r.error)]), [[0, 'a', false], [1, 'b', true], [2, 'c', false], [3, 'd', false]]);
+  assert.match(results[1].error, /inference timed out/);
+  assert.deepEqual(seen, [100, 100]);
+});
+
+test('an abort still ends the iteration', async () => {
+  const controller = new AbortController();
+  const tm = fakeTm(async ({ signal }) => {
+    controller.abort();
+    throw signal.reason ?? new Error('aborted');
+  });
+  await assert.rejects(collect(tm.classifyIter(['a', 'b'], { signal: controller.signal })));
+});
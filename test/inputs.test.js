@@ -0,0 +1,56 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { expandInputs, globToRegExp } from '../src/utils/inputs.js';
+
+const extensions = new Set(['.png', '.jpg']);
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmjsinputs'));
+  await fs.mkdir(path.join(tmpDir, 'a', 'b'), { recursive: true });
+  for (const file of ['top.png', 'notes.txt', 'a/one.png', 'a/two.jpg', 'a/b/deep.png']) await fs.writeFile(path.join(tmpDir, file), '');
+});
+
+after(() => fs.rm(tmpDir, { recursive: true, force: true }));
+
+const rel = (inputs) => inputs.map(f => path.relative(tmpDir, f).split(path.sep).join('/'));
+
+test('globToRegExp keeps * within a segment and lets ** span directories', () => {
+  assert.ok(globToRegExp('*.png').test('x.png'));
+  assert.ok(!globToRegExp('*.png').test('a/x.png'));
+  assert.ok(globToRegExp('**/*.png').test('x.png'));
+  assert.ok(globToRegExp('**/*.png').test('a/b/x.png'));
+  assert.ok(globToRegExp('{a,b}/?.[jp]*').test('b/x.png'));
+  assert.ok(!globToRegExp('[!a]*').test('abc'));
+});
+
+test('directories expand recursively to files with a known extension', async () => {
+  const { inputs, unmatched } = await expandInputs([tmpDir], { extensions });
+  assert.deepEqual(rel(inputs), ['a/b/deep.png', 'a/one.png', 'a/two.jpg', 'top.png']);
+  assert.deepEqual(unmatched, []);
+});
+
+test('globs only descend as far as their segments unless they hold **', async () => {
+  assert.deepEqual(rel((await expandInputs([path.join(tmpDir, '*.png')], { extensions })).inputs), ['top.png']);
+  assert.deepEqual(rel((await expandInputs([path.join(tmpDir, '*/*.png')], { extensions })).inputs), ['a/one.png']);
+  assert.deepEqual(rel((await expandInputs([path.join(tmpDir, '**/*.png')], { extensions })).inputs), ['a/b/deep.png', 'a/one.png', 'top.png']);
+});
+
+test('a glob whose first segment is a wildcard is walked from the filesystem root', { skip: path.sep !== '/' }, async () => {
+  // e.g. /t*p/tmjsinputsXXXX/*.png
+  const [, top, ...restParts] = tmpDir.split('/');
+  const pattern = `/${top[0]}*/${restParts.join('/')}/*.png`;
+  const { inputs } = await expandInputs([pattern], { extensions });
+  assert.deepEqual(rel(inputs), ['top.png']);
+});
+
+test('unmatched patterns are reported and URLs and stdin lines pass through', async () => {
+  const stdin = Readable.from(['x.png\n\n  https://example.com/y.jpg \n']);
+  const { inputs, unmatched } = await expandInputs([path.join(tmpDir, '*.gif'), 'https://example.com/z.png', '-'], { extensions, stdin });
+  assert.deepEqual(inputs, ['https://example.com/z.png', 'x.png', 'https://example.com/y.jpg']);
+  assert.deepEqual(unmatched, [path.join(tmpDir, '*.gif')]);
+});
@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as tf from '@tensorflow/tfjs';
+import TeachableMachine from '../src/index.js';
+import { ioFromDir } from '../src/utils/io.js';
+import { readCacheManifest, pruneModelCaches } from '../src/modelCache.js';
+
+let tmpDir;
+let remoteDir;
+let server;
+let modelUrl;
+const hits = new Map();
+
+// Serves `remoteDir` and counts requests per file
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmjsmodelcache'));
+  remoteDir = path.join(tmpDir, 'remote');
+  const model = tf.sequential({ layers: [tf.layers.dense({ inputShape: [4], units: 2, activation: 'softmax' })] });
+  await model.save(ioFromDir(remoteDir));
+  model.dispose();
+  await fs.writeFile(path.join(remoteDir, 'metadata.json'), JSON.stringify({ labels: ['a', 'b'] }));
+  server = http.createServer(async (req, res) => {
+    const name = req.url.slice(1);
+    hits.set(name, (hits.get(name) ?? 0) + 1);
+    try {
+      res.end(await fs.readFile(path.join(remoteDir, name)));
+    } catch {
+      res.statusCode = 404;
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  modelUrl = `http://127.0.0.1:${server.address().port}/`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+const load = async (saveToDir) => {
+  hits.clear();
+  const tm = await TeachableMachine.create({ modelUrl, saveToDir, warmup: false });
+  await tm.dispose();
+  return tm.modelCache;
+};
+
+test('a download fetches model.json once and writes a manifest', async () => {
+  const dir = path.join(tmpDir, 'fresh');
+  const state = await load(dir);
+  assert.equal(state.status, 'downloaded');
+  assert.equal(hits.get('model.json'), 1);
+  assert.deepEqual(Object.keys(state.manifest.files).sort(), ['metadata.json', 'model.json', 'weights.bin']);
+
+  const again = await load(dir);
+  assert.equal(again.status, 'unchanged');
+  assert.equal(hits.get('weights.bin'), undefined);
+});
+
+test('a model directory without a manifest is migrated in place', async () => {
+  const dir = path.join(tmpDir, 'legacy');
+  await load(dir);
+  await fs.rm(path.join(dir, 'cache-manifest.json'));
+  await fs.writeFile(path.join(dir, 'calibration.json'), '{"temperature":2}');
+  await fs.writeFile(path.join(dir, 'notes.txt'), 'mine');
+
+  const state = await load(dir);
+  assert.equal(state.status, 'downloaded');
+  assert.equal(hits.get('model.json'), 1);
+  assert.ok(await readCacheManifest(dir));
+  assert.equal(await fs.readFile(path.join(dir, 'calibration.json'), 'utf-8'), '{"temperature":2}');
+  assert.equal(await fs.readFile(path.join(dir, 'notes.txt'), 'utf-8'), 'mine');
+});
+
+test('a changed remote model replaces only the model files', async () => {
+  const dir = path.join(tmpDir, 'changed');
+  const first = await load(dir);
+  await fs.writeFile(path.join(dir, 'calibration.json'), '{"temperature":3}');
+  const json = JSON.parse(await fs.readFile(path.join(remoteDir, 'model.json'), 'utf-8'));
+  await fs.writeFile(path.join(remoteDir, 'model.json'), JSON.stringify({ ...json, generatedBy: 'retrained' }));
+
+  const state = await load(dir);
+  assert.equal(state.status, 'downloaded');
+  assert.equal(hits.get('model.json'), 1);
+  assert.notEqual(state.manifest.remoteHash, first.manifest.remoteHash);
+  assert.equal(await fs.readFile(path.join(dir, 'calibration.json'), 'utf-8'), '{"temperature":3}');
+  assert.deepEqual((await fs.readdir(tmpDir)).filter(n => n.includes('.tmp-')), []);
+});
+
+test('pruning a corrupt cache removes only its model files', async () => {
+  const root = path.join(tmpDir, 'prune');
+  const dir = path.join(root, 'corrupt');
+  const clean = path.join(root, 'clean');
+  await load(dir);
+  await load(clean);
+  await fs.writeFile(path.join(dir, 'weights.bin'), 'garbage');
+  await fs.writeFile(path.join(dir, 'calibration.json'), '{"temperature":2}');
+  await fs.mkdir(path.join(root, 'clean.tmp-1-2'));
+
+  const dry = await pruneModelCaches([root], { dryRun: true });
+  assert.deepEqual(dry.map(r => r.path).sort(), [path.join(root, 'clean.tmp-1-2'), dir]);
+  assert.ok(await readCacheManifest(dir));
+
+  const removed = await pruneModelCaches([root]);
+  assert.deepEqual(removed.find(r => r.path === dir).files.sort(), ['cache-manifest.json', 'metadata.json', 'model.json', 'weights.bin']);
+  assert.deepEqual(await fs.readdir(dir), ['calibration.json']);
+  assert.deepEqual((await fs.readdir(root)).sort(), ['clean', 'corrupt']);
+  assert.ok(await readCacheManifest(clean));
+});
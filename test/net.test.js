@@ -0,0 +1,36 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { downloadBuffer } from '../src/utils/net.js';
+
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const body = Buffer.alloc(64 * 1024, 1);
+    // `/chunked` sends no content-length, so only the received size can trip the limit
+    if (req.url === '/chunked') {
+      res.write(body.subarray(0, 32 * 1024));
+      setTimeout(() => res.end(body.subarray(32 * 1024)), 20);
+    } else {
+      res.end(body);
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('downloads within maxBytes', async () => {
+  assert.equal((await downloadBuffer(`${base}/`, { maxBytes: 64 * 1024 })).length, 64 * 1024);
+});
+
+test('rejects a declared size over maxBytes', async () => {
+  await assert.rejects(downloadBuffer(`${base}/`, { maxBytes: 1024 }), /exceeds maxBytes/);
+});
+
+test('rejects a streamed body once it grows past maxBytes', async () => {
+  await assert.rejects(downloadBuffer(`${base}/chunked`, { maxBytes: 1024 }), /exceeds maxBytes/);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { csvRow, csvRecord, openOutputSink } from '../src/utils/output.js';
+
+test('CSV fields with commas, quotes or line breaks are quoted', () => {
+  assert.equal(csvRow(['plain', 'a,b', 'say "hi"', 'two\nlines', null, undefined, 0]), 'plain,"a,b","say ""hi""","two\nlines",,,0\n');
+});
+
+test('CSV records round both score columns', () => {
+  const result = { predictions: [{ class: 'cat, tabby', score: 0.123456789 }, { class: 'dog', score: 0.0000123 }] };
+  assert.equal(csvRecord({ input: 'a.png', result }), 'a.png,"cat, tabby",0.1235,"cat, tabby:0.1235;dog:0.0000",\n');
+  assert.equal(csvRecord({ input: 'b.png', result: { error: 'Not found' } }), 'b.png,,,,Not found\n');
+});
+
+test('an output file in a missing directory fails on open', async () => {
+  const file = path.join(os.tmpdir(), `tmjsoutput-missing-${process.pid}`, 'out.csv');
+  await assert.rejects(openOutputSink(file), /cannot write to .*out\.csv/);
+});
+
+test('output files receive every line by close()', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmjsoutput'));
+  try {
+    const file = path.join(dir, 'out.jsonl');
+    const sink = await openOutputSink(file);
+    sink.write('{"a":1}\n');
+    sink.write('{"b":2}\n');
+    await sink.close();
+    assert.equal(await fs.readFile(file, 'utf-8'), '{"a":1}\n{"b":2}\n');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapPoseToSource } from '../src/pose.js';
+
+const pose = (x, y) => ({ score: 0.9, keypoints: [{ part: 'nose', score: 0.9, position: { x, y } }] });
+const position = (p) => p.keypoints[0].position;
+
+test('a center-cropped pose is mapped back to the source image', () => {
+  // 400x200 scaled to 200x100, then 50 px cropped on each side
+  assert.deepEqual(position(mapPoseToSource(pose(0, 0), 100, { width: 400, height: 200 })), { x: 100, y: 0 });
+  assert.deepEqual(position(mapPoseToSource(pose(100, 100), 100, { width: 400, height: 200 })), { x: 300, y: 200 });
+});
+
+test('a stretched pose is scaled per axis', () => {
+  assert.deepEqual(position(mapPoseToSource(pose(50, 25), 100, { width: 400, height: 200, fit: 'fill' })), { x: 200, y: 50 });
+});
+
+test('a letterboxed region pose drops the borders and is offset into the image', () => {
+  // 200x100 region scaled to 100x50 with 25 px borders above and below
+  const p = mapPoseToSource(pose(50, 25), 100, { x: 10, y: 20, width: 200, height: 100, fit: 'contain' });
+  assert.deepEqual(position(p), { x: 110, y: 20 });
+  assert.equal(p.score, 0.9);
+});
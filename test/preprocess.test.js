@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { retainPreprocessPool, toSizedRGBTensor, getPreprocessStats, setPreprocessOptions } from '../src/preprocess.js';
+
+const png = () => sharp({ create: { width: 8, height: 8, channels: 3, background: { r: 255, g: 0, b: 0 } } }).png().toBuffer();
+
+test('the worker pool outlives every user but the last', async () => {
+  setPreprocessOptions({ poolSize: 1 });
+  const releaseA = retainPreprocessPool();
+  const releaseB = retainPreprocessPool();
+  await toSizedRGBTensor(await png(), 4, 4);
+  assert.equal(getPreprocessStats()?.completed, 1);
+
+  await releaseA();
+  await releaseA();
+  const sized = await toSizedRGBTensor(await png(), 4, 4);
+  assert.equal(sized.data.length, 4 * 4 * 3);
+  assert.equal(getPreprocessStats()?.completed, 2, 'the remaining user lost its workers');
+
+  await releaseB();
+  assert.equal(getPreprocessStats(), null);
+});
+
+test('setting the pool size keeps a running pool in use', async () => {
+  const release = retainPreprocessPool();
+  setPreprocessOptions({ poolSize: 2 });
+  await toSizedRGBTensor(await png(), 4, 4);
+  assert.equal(getPreprocessStats()?.size, 2);
+  await release();
+  assert.equal(getPreprocessStats(), null);
+});
+
+test('a handed-over buffer moves to the worker and a kept one is copied', async () => {
+  const release = retainPreprocessPool();
+  const kept = new Uint8Array(await png());
+  await toSizedRGBTensor(kept, 4, 4);
+  assert.ok(kept.byteLength > 0);
+  const moved = new Uint8Array(await png());
+  const sized = await toSizedRGBTensor(moved, 4, 4, { transfer: true });
+  assert.equal(sized.data.length, 4 * 4 * 3);
+  assert.equal(moved.byteLength, 0);
+  await release();
+});
+
+test('an image the worker cannot decode fails instead of being retried on the main thread', async () => {
+  const release = retainPreprocessPool();
+  await assert.rejects(toSizedRGBTensor(Buffer.from('not an image'), 4, 4), { name: 'WorkerTaskError', message: /unsupported image format/ });
+  assert.equal(getPreprocessStats()?.failed, 1);
+  await release();
+});
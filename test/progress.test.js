@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProgress } from '../src/utils/progress.js';
+
+test('no callback means no reporter', () => {
+  assert.equal(createProgress(undefined, { total: 3 }), null);
+});
+
+test('events carry the running count and repeated stages are collapsed', () => {
+  const events = [];
+  const progress = createProgress(e => events.push(e), { total: 2 });
+  progress.stage('download');
+  progress.stage('download');
+  progress.frames(3);
+  progress.frames(4, 10);
+  progress.item(1, { predictions: [] });
+  progress.stage('inference');
+  progress.item(0, { error: 'boom' });
+  assert.deepEqual(events, [
+    { type: 'stage', stage: 'download', completed: 0, total: 2 },
+    { type: 'frames', framesExtracted: 3, completed: 0, total: 2 },
+    { type: 'frames', framesExtracted: 4, framesTotal: 10, completed: 0, total: 2 },
+    { type: 'item', index: 1, result: { predictions: [] }, completed: 1, total: 2 },
+    { type: 'stage', stage: 'inference', completed: 1, total: 2 },
+    { type: 'item', index: 0, result: { error: 'boom' }, completed: 2, total: 2 }
+  ]);
+});
+
+test('events of a nested call are tagged with its index and counted against the parent', () => {
+  const events = [];
+  const parent = createProgress(e => events.push(e), { total: 2 });
+  const child = createProgress(parent.child(1), { total: 1 });
+  child.stage('extract');
+  child.frames(2, 2);
+  child.item(0, { aggregate: {} });
+  assert.deepEqual(events, [
+    { type: 'stage', stage: 'extract', index: 1, completed: 0, total: 2 },
+    { type: 'frames', framesExtracted: 2, framesTotal: 2, index: 1, completed: 0, total: 2 },
+    { type: 'item', index: 1, result: { aggregate: {} }, completed: 1, total: 2 }
+  ]);
+});
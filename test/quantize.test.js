@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quantizeWeight } from '../src/quantize.js';
+
+const halves = (values) => Array.from(new Uint16Array(quantizeWeight(Float32Array.from(values), 'float16').bytes.buffer));
+
+test('uint8 quantization spans the value range and decodes within half a step', () => {
+  const values = Float32Array.from([-1, -0.5, 0, 0.25, 1]);
+  const { bytes, quantization } = quantizeWeight(values, 'uint8');
+  assert.equal(quantization.dtype, 'uint8');
+  assert.equal(quantization.min, -1);
+  assert.equal(bytes[0], 0);
+  assert.equal(bytes[4], 255);
+  values.forEach((v, i) => assert.ok(Math.abs(bytes[i] * quantization.scale + quantization.min - v) <= quantization.scale / 2 + 1e-7));
+});
+
+test('uint8 quantization of equal, empty and non-finite weights', () => {
+  const equal = quantizeWeight(Float32Array.from([0.3, 0.3, 0.3]), 'uint8');
+  assert.deepEqual(Array.from(equal.bytes), [0, 0, 0]);
+  assert.equal(equal.quantization.scale, 1);
+  assert.ok(Math.abs(equal.quantization.min - 0.3) < 1e-7);
+
+  const empty = quantizeWeight(new Float32Array(0), 'uint8');
+  assert.equal(empty.bytes.length, 0);
+  assert.deepEqual(empty.quantization, { dtype: 'uint8', scale: 1, min: 0 });
+
+  // NaN and infinities do not stretch the range
+  const mixed = quantizeWeight(Float32Array.from([0, NaN, 1, Infinity]), 'uint8');
+  assert.equal(mixed.quantization.min, 0);
+  assert.equal(mixed.quantization.scale, 1 / 255);
+  assert.deepEqual(Array.from(mixed.bytes), [0, 0, 255, 255]);
+});
+
+test('float16 encodes exact values, rounds to nearest even and saturates to infinity', () => {
+  assert.deepEqual(halves([0, -0, 1, -2, 0.5, 65504]), [0x0000, 0x8000, 0x3c00, 0xc000, 0x3800, 0x7bff]);
+  // 1 + 2^-11 is halfway between 1 and the next half; 1 + 3 * 2^-11 rounds up to the even neighbour
+  assert.deepEqual(halves([1 + 2 ** -11, 1 + 3 * 2 ** -11]), [0x3c00, 0x3c02]);
+  assert.deepEqual(halves([65536, -Infinity, NaN]), [0x7c00, 0xfc00, 0x7e00]);
+  // Subnormals, and values too small for any half
+  assert.deepEqual(halves([2 ** -24, 2 ** -15, 2 ** -26]), [0x0001, 0x0200, 0x0000]);
+  assert.deepEqual(quantizeWeight(new Float32Array(0), 'float16').quantization, { dtype: 'float16' });
+});
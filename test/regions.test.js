@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import * as tf from '@tensorflow/tfjs';
+import TeachableMachine from '../src/index.js';
+import { ioFromDir } from '../src/utils/io.js';
+import { normalizeRegions, regionCropBox } from '../src/regions.js';
+
+let tmpDir;
+let tm;
+let image;
+
+// A 2x2 model scoring `red` by the red channel and `blue` by the blue one, and an 8x4 image red
+// on the left half and blue on the right
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmjsregions'));
+  const modelDir = path.join(tmpDir, 'model');
+  const model = tf.sequential({ layers: [tf.layers.flatten({ inputShape: [2, 2, 3] }), tf.layers.dense({ units: 2, activation: 'softmax', useBias: false })] });
+  const kernel = Array.from({ length: 12 }, (_, i) => (i % 3 === 0 ? [1, 0] : i % 3 === 2 ? [0, 1] : [0, 0]));
+  model.layers[1].setWeights([tf.tensor2d(kernel)]);
+  await model.save(ioFromDir(modelDir));
+  model.dispose();
+  await fs.writeFile(path.join(modelDir, 'metadata.json'), JSON.stringify({ labels: ['red', 'blue'] }));
+  tm = await TeachableMachine.create({ modelDir, warmup: false });
+  const half = (r, b) => sharp({ create: { width: 4, height: 4, channels: 3, background: { r, g: 0, b } } }).png().toBuffer();
+  image = await sharp({ create: { width: 8, height: 4, channels: 3, background: { r: 0, g: 0, b: 0 } } })
+    .composite([{ input: await half(255, 0), left: 0, top: 0 }, { input: await half(0, 255), left: 4, top: 0 }])
+    .png()
+    .toBuffer();
+});
+
+after(async () => {
+  await tm?.dispose();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('regions are validated and identified by position unless they have an id', () => {
+  assert.deepEqual(normalizeRegions([{ x: 1, y: 2, width: 3, height: 4 }, { id: 'b', x: 0, y: 0, width: 1, height: 1 }]), [
+    { id: 0, x: 1, y: 2, width: 3, height: 4 },
+    { id: 'b', x: 0, y: 0, width: 1, height: 1 }
+  ]);
+  assert.deepEqual(normalizeRegions([]), []);
+  assert.throws(() => normalizeRegions([{ x: 0, y: 0, width: 0, height: 1 }]), /Invalid region at index 0/);
+  assert.throws(() => normalizeRegions([null]), /Invalid region at index 0/);
+  assert.throws(() => normalizeRegions({ x: 0 }), /regions must be an array/);
+});
+
+test('crop boxes grow by the margin, snap outwards and stay inside the image', () => {
+  const img = { width: 100, height: 50 };
+  assert.deepEqual(regionCropBox({ x: 10.5, y: 10.5, width: 10, height: 10 }, img), { x: 10, y: 10, width: 11, height: 11 });
+  assert.deepEqual(regionCropBox({ x: 10, y: 10, width: 20, height: 10 }, img, 0.5), { x: 0, y: 5, width: 40, height: 20 });
+  assert.deepEqual(regionCropBox({ x: 90, y: 40, width: 20, height: 20 }, img), { x: 90, y: 40, width: 10, height: 10 });
+  assert.equal(regionCropBox({ x: 100, y: 0, width: 5, height: 5 }, img), null);
+});
+
+test('each region is classified from its own crop', async () => {
+  const res = await tm.classifyImages({ images: image, regions: [{ id: 'left', x: 0, y: 0, width: 4, height: 4 }, { id: 'right', x: 4, y: 0, width: 4, height: 4 }, { x: 20, y: 20, width: 2, height: 2 }] });
+  assert.deepEqual(res.image, { width: 8, height: 4 });
+  assert.deepEqual(res.regions.map(r => r.id), ['left', 'right', 2]);
+  assert.equal(res.regions[0].predictions[0].class, 'red');
+  assert.equal(res.regions[1].predictions[0].class, 'blue');
+  assert.equal(res.regions[2].error, 'Region lies outside the image');
+});
+
+test('with several images each gets its own region list', async () => {
+  const res = await tm.classifyImages({ images: [image, image], regions: [[{ x: 0, y: 0, width: 4, height: 4 }], []] });
+  assert.equal(res.count, 2);
+  assert.equal(res.results[0].regions[0].predictions[0].class, 'red');
+  assert.deepEqual(res.results[1].regions, []);
+  await assert.rejects(tm.classifyImages({ images: [image], regions: [{ x: 0, y: 0, width: 4, height: 4 }] }), /one region list per image/);
+  await assert.rejects(tm.classifyImages({ images: image, regions: [{ x: 0, y: 0, width: 4, height: 4 }], tta: true }), /tta is not supported with regions/);
+});
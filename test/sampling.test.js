@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSamplingSpec, planSampling } from '../src/sampling.js';
+
+test('uniform sampling takes the middle of each slot', () => {
+  const plan = planSampling(undefined, { frames: 4, durationSec: 8 });
+  assert.equal(plan.strategy, 'uniform');
+  assert.deepEqual(plan.timestamps, [1, 3, 5, 7]);
+  assert.equal(plan.maxFrames, 4);
+  assert.deepEqual(planSampling('uniform', { frames: 1, durationSec: 8 }).timestamps, [4]);
+  assert.throws(() => planSampling('uniform', { frames: 0, durationSec: 8 }), /frames must be a positive number/);
+});
+
+test('explicit timestamps are sorted, deduplicated and kept inside the video', () => {
+  assert.deepEqual(planSampling([3, 1, 1, 20], { frames: 10, durationSec: 10 }).timestamps, [1, 3]);
+  // A seek at the very end would return no frame
+  assert.deepEqual(planSampling([10], { frames: 10, durationSec: 10 }).timestamps, [9.95]);
+  assert.throws(() => planSampling([20, 30], { frames: 10, durationSec: 10 }), /No sampling timestamps fall within/);
+  assert.throws(() => planSampling([], { frames: 10, durationSec: 10 }), /non-empty array/);
+  assert.throws(() => planSampling([-1], { frames: 10, durationSec: 10 }), /non-negative/);
+});
+
+test('ranges are sampled at their rate and capped by maxFrames', () => {
+  const ranges = [{ startSec: 0, endSec: 2 }, { startSec: 5, endSec: 6 }];
+  assert.deepEqual(planSampling({ strategy: 'ranges', ranges, fps: 2 }, { frames: 10, durationSec: 10 }).timestamps, [0, 0.5, 1, 1.5, 5, 5.5]);
+  assert.deepEqual(planSampling({ strategy: 'ranges', ranges, fps: 2, maxFrames: 3 }, { frames: 10, durationSec: 10 }).timestamps, [0, 0.5, 1]);
+  assert.throws(() => planSampling({ strategy: 'ranges', ranges: [{ startSec: 3, endSec: 3 }] }, { frames: 10, durationSec: 10 }), /startSec < endSec/);
+});
+
+test('single-pass strategies plan a filter instead of seeks', () => {
+  assert.equal(planSampling('fps:2', { frames: 10, durationSec: 10 }).filter, "select='gte(t,0.5*selected_n)'");
+  assert.deepEqual(planSampling('keyframes', { frames: 10, durationSec: 10 }).inputArgs, ['-skip_frame', 'nokey']);
+  assert.throws(() => planSampling('scene:1', { frames: 10, durationSec: 10 }), /between 0 and 1/);
+  assert.throws(() => planSampling({ strategy: 'random' }, { frames: 10, durationSec: 10 }), /Unknown sampling strategy/);
+});
+
+test('compact specs parse into sampling options', () => {
+  assert.deepEqual(parseSamplingSpec('at:1.5,3'), { strategy: 'timestamps', timestamps: [1.5, 3] });
+  assert.deepEqual(parseSamplingSpec('range:10-20,30-35@2'), { strategy: 'ranges', ranges: [{ startSec: 10, endSec: 20 }, { startSec: 30, endSec: 35 }], fps: 2 });
+  assert.deepEqual(parseSamplingSpec('scene'), { strategy: 'scene' });
+  assert.throws(() => parseSamplingSpec('every:2'), /Unknown sampling spec/);
+});
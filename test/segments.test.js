@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { smoothScores, segmentTimeline, segmentsToWebVTT, segmentsToSRT } from '../src/segments.js';
+
+const classes = ['a', 'b'];
+
+test('no frames give no segments and one frame covers the whole video', () => {
+  assert.deepEqual(segmentTimeline([], [], classes), []);
+  assert.deepEqual(segmentTimeline([[0.9, 0.1]], [2], classes, { durationSec: 4 }), [{ class: 'a', startSec: 0, endSec: 4, meanScore: 0.9 }]);
+});
+
+test('scores that never reach enter open no segment, and ties go to the first class', () => {
+  assert.deepEqual(segmentTimeline([[0.5, 0.5], [0.5, 0.5]], [0, 1], classes, { window: 1 }), []);
+  assert.deepEqual(segmentTimeline([[0.7, 0.7]], [0], classes, { window: 1 }).map(s => s.class), ['a']);
+});
+
+test('a segment holds until its score drops below exit or another class overtakes it', () => {
+  const scores = [[0.9, 0.1], [0.5, 0.5], [0.3, 0.7], [0.1, 0.9]];
+  // Frame 1 sits between exit and enter: a stays open; frame 2 has b above enter and a below exit
+  assert.deepEqual(segmentTimeline(scores, [0, 1, 2, 3], classes, { window: 1, durationSec: 4 }), [
+    { class: 'a', startSec: 0, endSec: 1.5, meanScore: 0.7 },
+    { class: 'b', startSec: 1.5, endSec: 4, meanScore: 0.8 }
+  ]);
+  const overtaken = segmentTimeline([[0.8, 0.2], [0.45, 0.65]], [0, 1], classes, { window: 1, enter: 0.6, exit: 0.4 });
+  assert.deepEqual(overtaken.map(s => s.class), ['a', 'b']);
+});
+
+test('short segments are dropped', () => {
+  const scores = [[0.9, 0.1], [0.1, 0.9], [0.1, 0.9], [0.1, 0.9]];
+  assert.deepEqual(segmentTimeline(scores, [0, 1, 2, 3], classes, { window: 1, minDurationSec: 1, durationSec: 4 }).map(s => s.class), ['b']);
+});
+
+test('smoothing averages over the frames available at the edges', () => {
+  assert.deepEqual(smoothScores([[1, 0], [0, 1], [1, 0]], 3), [[0.5, 0.5], [2 / 3, 1 / 3], [0.5, 0.5]]);
+  const one = [[0.2, 0.8]];
+  assert.deepEqual(smoothScores(one, 5), one);
+  assert.notEqual(smoothScores(one, 1)[0], one[0]);
+});
+
+test('segments serialize as WebVTT and SRT cues', () => {
+  const segments = [{ class: 'a', startSec: 0, endSec: 61.5, meanScore: 0.875 }];
+  assert.equal(segmentsToWebVTT(segments), 'WEBVTT\n\n1\n00:00:00.000 --> 00:01:01.500\na (87.5%)\n');
+  assert.equal(segmentsToSRT(segments), '1\n00:00:00,000 --> 00:01:01,500\na (87.5%)\n');
+  assert.equal(segmentsToSRT([]), '');
+});
@@ -0,0 +1,99 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createServer } from '../src/server.js';
+
+// Records what the server hands to the classifier instead of classifying
+const tm = {
+  model: { classes: ['a', 'b'], inputs: [{ shape: [null, 4, 4, 3] }] },
+  classifyImages: async ({ images, maxBytes }) => {
+    const failure = FAILURES[images];
+    if (failure) throw new Error(failure);
+    return { images: [].concat(images).map(describe), maxBytes };
+  }
+};
+// Errors the stub raises for these single inputs, as the classifier would
+const FAILURES = {
+  'https://example.com/corrupt.png': 'Input buffer contains unsupported image format',
+  'https://example.com/huge.png': 'Download exceeds maxBytes (2048 > 1024)',
+  'https://example.com/bug.png': 'Cannot read properties of undefined'
+};
+const describe = (v) => (Buffer.isBuffer(v) ? { buffer: v.toString('hex') } : { string: v });
+
+let server;
+let base;
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmjsserver'));
+  server = createServer(tm, { maxBytes: 1024 });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+const classify = (body) => fetch(`${base}/classify/image`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+
+test('URLs pass through and inline data is decoded to Buffers', async () => {
+  const res = await classify({ images: ['https://example.com/a.png', 'data:image/png;base64,AAEC', 'AwQF'] });
+  assert.equal(res.status, 200);
+  assert.deepEqual((await res.json()).images, [{ string: 'https://example.com/a.png' }, { buffer: '000102' }, { buffer: '030405' }]);
+});
+
+test('absolute paths that look like base64 never reach the classifier as strings', async () => {
+  // Extra slashes make a real file path valid base64 (only [A-Za-z0-9+/], length a multiple of 4)
+  let file = path.join(tmpDir, 'xpng');
+  await fs.writeFile(file, 'secret');
+  while (file.length % 4 !== 0) file = `/${file}`;
+  const res = await classify({ images: [file, '/etc//passwd'] });
+  assert.equal(res.status, 200);
+  const { images } = await res.json();
+  assert.ok(images.every(i => i.buffer), 'a path was passed on as a string');
+  assert.notEqual(images[0].buffer, Buffer.from('secret').toString('hex'));
+});
+
+test('plain paths, relative paths and other strings are rejected', async () => {
+  for (const input of ['/etc/passwd', '../model/model.json', 'HTTPS://example.com/a.png', 'data:image/png,abc', 42]) {
+    const res = await classify({ images: [input] });
+    assert.equal(res.status, 400, String(input));
+  }
+});
+
+test('image classification receives the server maxBytes', async () => {
+  const res = await classify({ images: 'https://example.com/a.png' });
+  assert.equal((await res.json()).maxBytes, 1024);
+});
+
+test('region lists that do not match the images are rejected', async () => {
+  const box = { x: 0, y: 0, width: 2, height: 2 };
+  for (const body of [
+    { images: 'https://example.com/a.png', regions: [[box]] },
+    { images: 'https://example.com/a.png', regions: [{ x: 0 }] },
+    { images: ['https://example.com/a.png', 'https://example.com/b.png'], regions: [box, box] },
+    { images: ['https://example.com/a.png'], regions: [[box], [box]] }
+  ]) {
+    const res = await classify(body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+  }
+  assert.equal((await classify({ images: 'https://example.com/a.png', regions: [box] })).status, 200);
+});
+
+test('numeric options out of range are rejected', async () => {
+  for (const query of ['topK=abc', 'topK=0', 'topK=1.5', 'frames=-5', 'batchSize=0', 'regionMargin=-1']) {
+    const res = await fetch(`${base}/classify/image?${query}`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ images: 'https://example.com/a.png' }) });
+    assert.equal(res.status, 400, query);
+  }
+  assert.equal((await classify({ images: 'https://example.com/a.png', topK: 3 })).status, 200);
+});
+
+test('input errors are client errors and other failures stay 500', async () => {
+  assert.equal((await classify({ images: 'https://example.com/corrupt.png' })).status, 400);
+  assert.equal((await classify({ images: 'https://example.com/huge.png' })).status, 413);
+  assert.equal((await classify({ images: 'https://example.com/bug.png' })).status, 500);
+});
@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { splitPngFrames, streamFrames } from '../src/utils/ffmpeg.js';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const IEND = Buffer.from([0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82]);
+// Enough of a PNG for the splitter: signature, a body and the IEND chunk
+const png = (fill) => Buffer.concat([SIGNATURE, Buffer.alloc(16, fill), IEND]);
+
+let tmpDir;
+let fakeFFmpeg;
+
+// Stands in for FFmpeg: `FRAMES` PNGs on stdout 20 ms apart, each split over two writes, with a
+// showinfo line per frame on stderr; exits with `EXIT` after an error line when it is not 0
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmjsstream'));
+  fakeFFmpeg = path.join(tmpDir, 'ffmpeg');
+  await fs.writeFile(fakeFFmpeg, `#!${process.execPath}
+const frames = Number(process.env.FRAMES);
+const png = (fill) => Buffer.concat([Buffer.from(${JSON.stringify([...SIGNATURE])}), Buffer.alloc(16, fill), Buffer.from(${JSON.stringify([...IEND])})]);
+const code = Number(process.env.EXIT);
+const emit = (n) => {
+  if (n === frames) {
+    if (code) process.stderr.write('[error] Connection refused\\n');
+    return process.stdout.end(() => process.exit(code));
+  }
+  process.stderr.write('[Parsed_showinfo_1 @ 0x1] [info] n:' + n + ' pts:' + n * 512 + ' pts_time:' + n * 0.5 + ' duration:512\\n');
+  const p = png(n);
+  process.stdout.write(p.subarray(0, 10));
+  process.stdout.write(p.subarray(10));
+  setTimeout(emit, 20, n + 1);
+};
+emit(0);
+`);
+  await fs.chmod(fakeFFmpeg, 0o755);
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+const withEnv = async (env, fn) => {
+  const saved = { FRAMES: process.env.FRAMES, EXIT: process.env.EXIT };
+  Object.assign(process.env, env);
+  try {
+    return await fn();
+  } finally {
+    for (const [k, v] of Object.entries(saved)) v === undefined ? delete process.env[k] : process.env[k] = v;
+  }
+};
+
+test('concatenated PNGs are split and an incomplete last one is held back', () => {
+  const [a, b] = [png(1), png(2)];
+  const partial = png(3).subarray(0, 12);
+  const live = splitPngFrames(Buffer.concat([a, b, partial]), { final: false });
+  assert.deepEqual(live.frames, [a, b]);
+  assert.deepEqual(live.rest, partial);
+  assert.equal(splitPngFrames(Buffer.concat([a, b, partial])).frames.length, 3);
+  assert.deepEqual(splitPngFrames(a, { final: false }), { frames: [a], rest: Buffer.alloc(0) });
+  assert.deepEqual(splitPngFrames(Buffer.alloc(0)), { frames: [], rest: Buffer.alloc(0) });
+});
+
+test('stream frames arrive in order with their timestamps', async () => {
+  const frames = await withEnv({ FRAMES: '3', EXIT: '0' }, async () => {
+    const out = [];
+    for await (const f of streamFrames(fakeFFmpeg, { source: 'rtsp://camera' })) out.push(f);
+    return out;
+  });
+  assert.deepEqual(frames.map(f => [f.index, f.timestampSec, f.dropped]), [[0, 0, 0], [1, 0.5, 0], [2, 1, 0]]);
+  assert.deepEqual(frames[1].buffer, png(1));
+});
+
+test('a slow consumer with dropFrames loses the oldest frames, not the newest', async () => {
+  const frames = await withEnv({ FRAMES: '6', EXIT: '0' }, async () => {
+    const out = [];
+    for await (const f of streamFrames(fakeFFmpeg, { source: 'rtsp://camera', maxQueue: 1, dropFrames: true })) {
+      out.push(f);
+      await sleep(100);
+    }
+    return out;
+  });
+  const last = frames[frames.length - 1];
+  assert.ok(last.dropped > 0, 'nothing was dropped');
+  assert.equal(frames.length + last.dropped, 6);
+  assert.equal(last.index, 5);
+});
+
+test('a failing source ends the stream with the FFmpeg error', async () => {
+  await withEnv({ FRAMES: '0', EXIT: '1' }, async () => {
+    const iterate = async () => { for await (const _ of streamFrames(fakeFFmpeg, { source: 'rtsp://camera' })); };
+    await assert.rejects(iterate(), /FFmpeg stream exited with code 1: Connection refused/);
+  });
+  await assert.rejects(streamFrames(fakeFFmpeg, {}).next(), /source is required/);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planTiles, aggregateTileScores, tileHeatmaps, tileBoxes } from '../src/tiles.js';
+
+test('tiles overlap by half by default and the last one is flush with the edge', () => {
+  const plan = planTiles(250, 100, { tileSize: 100 });
+  assert.equal(plan.stride, 50);
+  assert.deepEqual({ rows: plan.rows, cols: plan.cols }, { rows: 1, cols: 4 });
+  assert.deepEqual(plan.tiles.map(t => t.x), [0, 50, 100, 150]);
+  assert.ok(plan.tiles.every(t => t.width === 100 && t.height === 100));
+});
+
+test('an image no larger than a tile gets a single tile of its own size', () => {
+  assert.deepEqual(planTiles(60, 40, { tileSize: 100 }).tiles, [{ row: 0, col: 0, x: 0, y: 0, width: 60, height: 40 }]);
+  assert.deepEqual(planTiles(100, 100, { tileSize: 100, stride: 30 }).tiles.length, 1);
+});
+
+test('tile size and stride must be positive integers', () => {
+  assert.throws(() => planTiles(100, 100, { tileSize: 0 }), /tileSize/);
+  assert.throws(() => planTiles(100, 100, { tileSize: 10.5 }), /tileSize/);
+  assert.throws(() => planTiles(100, 100, { tileSize: 10, stride: 0 }), /stride/);
+});
+
+test('tile scores aggregate by max, mean or vote', () => {
+  const scores = [[0.8, 0.2], [0.4, 0.6], [0.9, 0.1]];
+  const close = (actual, expected) => actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < 1e-12, `${actual} != ${expected}`));
+  close(aggregateTileScores(scores, 'max'), [0.6, 0.4]);
+  close(aggregateTileScores(scores, 'mean'), [0.7, 0.3]);
+  close(aggregateTileScores(scores, 'vote'), [2 / 3, 1 / 3]);
+  assert.throws(() => aggregateTileScores(scores, 'median'), /aggregate must be one of/);
+});
+
+test('aggregating one tile, ties, all-zero scores and no tiles', () => {
+  assert.deepEqual(aggregateTileScores([[0.3, 0.7]], 'mean'), [0.3, 0.7]);
+  assert.deepEqual(aggregateTileScores([[0.5, 0.5], [0.5, 0.5]], 'vote'), [1, 0], 'a tie goes to the first class');
+  assert.deepEqual(aggregateTileScores([[0, 0]], 'max'), [0, 0]);
+  assert.throws(() => aggregateTileScores([], 'mean'), /No tile scores/);
+});
+
+test('heatmaps and boxes follow the tile layout', () => {
+  const plan = planTiles(200, 100, { tileSize: 100, stride: 100 });
+  const scores = [[0.9, 0.1], [0.3, 0.7]];
+  assert.deepEqual(tileHeatmaps(plan, scores, ['a', 'b']), { a: [[0.9, 0.3]], b: [[0.1, 0.7]] });
+  assert.deepEqual(tileBoxes(plan, scores, ['a', 'b'], { class: ['a', 'b'], threshold: 0.7 }).map(b => [b.class, b.x]), [['a', 0], ['b', 100]]);
+  assert.throws(() => tileBoxes(plan, scores, ['a', 'b'], { class: 'c' }), /Unknown class 'c'/);
+});
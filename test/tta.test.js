@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as tf from '@tensorflow/tfjs';
+import { normalizeTta, ttaSourceSize, buildTtaViews, combineViewScores } from '../src/tta.js';
+
+const close = (actual, expected) => actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < 1e-12, `${actual} != ${expected}`));
+
+test('view scores combine by mean or by renormalized max, with their variance', () => {
+  const views = [[0.8, 0.2], [0.6, 0.4]];
+  const mean = combineViewScores(views, 'mean');
+  close(mean.scores, [0.7, 0.3]);
+  close(mean.variance, [0.01, 0.01]);
+  close(combineViewScores(views, 'max').scores, [0.8 / 1.2, 0.4 / 1.2]);
+});
+
+test('one view, identical views and all-zero scores have no variance', () => {
+  assert.deepEqual(combineViewScores([[0.3, 0.7]], 'mean'), { scores: [0.3, 0.7], variance: [0, 0] });
+  assert.deepEqual(combineViewScores([[0.5, 0.5], [0.5, 0.5]], 'max'), { scores: [0.5, 0.5], variance: [0, 0] });
+  assert.deepEqual(combineViewScores([[0, 0]], 'max').scores, [0, 0]);
+  assert.throws(() => combineViewScores([], 'mean'), /No view scores/);
+});
+
+test('tta options resolve into views', () => {
+  assert.equal(normalizeTta(false), null);
+  assert.equal(normalizeTta(true).views.length, 9);
+  assert.deepEqual(normalizeTta({ crops: false, scales: [1, 2], combine: 'max' }), {
+    combine: 'max',
+    views: [{ name: 'identity', box: [0, 0, 1, 1] }, { name: 'flip', box: [0, 0, 1, 1], flip: true }, { name: 'scale-2', box: [0.25, 0.25, 0.75, 0.75] }]
+  });
+  assert.throws(() => normalizeTta({ combine: 'vote' }), /tta.combine/);
+  assert.throws(() => normalizeTta({ scales: [0] }), /positive numbers/);
+  assert.deepEqual(ttaSourceSize({ width: 224, height: 100 }), { width: 280, height: 125 });
+});
+
+test('views are cut from the source image at the model size', async () => {
+  const image = tf.tensor3d([[[10, 10, 10], [20, 20, 20]], [[30, 30, 30], [40, 40, 40]]], [2, 2, 3], 'int32');
+  const tta = { combine: 'mean', views: [{ name: 'identity', box: [0, 0, 1, 1] }, { name: 'flip', box: [0, 0, 1, 1], flip: true }] };
+  const [identity, flipped] = await Promise.all(tf.tidy(() => buildTtaViews(image, { width: 2, height: 2 }, tta)).map(async (v) => {
+    const data = await v.array();
+    v.dispose();
+    return data.map(row => row.map(px => px[0]));
+  }));
+  image.dispose();
+  assert.deepEqual(identity, [[10, 20], [30, 40]]);
+  assert.deepEqual(flipped, [[20, 10], [40, 30]]);
+});
@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { VectorIndex } from '../src/vectorIndex.js';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tmjsvectors'));
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('queries return the nearest entries by cosine distance', () => {
+  const index = new VectorIndex()
+    .add('x', [2, 0])
+    .add('y', [0, 1], { file: 'y.png' })
+    .add('-x', [-1, 0]);
+  const hits = index.query([1, 0.1], 2);
+  assert.deepEqual(hits.map(h => h.id), ['x', 'y']);
+  assert.ok(hits[0].distance < 0.01);
+  assert.equal(index.query([1, 0], 3)[2].distance, 2);
+  assert.deepEqual(index.query([0, 1], 1, { maxDistance: 0.5 })[0].metadata, { file: 'y.png' });
+  assert.deepEqual(index.query([1, 0], 3, { filter: id => id !== 'x' }).map(h => h.id), ['y', '-x']);
+});
+
+test('an empty index has no hits and takes its dimensions from the first vector', () => {
+  const index = new VectorIndex();
+  assert.deepEqual(index.query([1, 2, 3]), []);
+  index.add(1, [1, 2, 3]);
+  assert.equal(index.dims, 3);
+  assert.throws(() => index.add(2, [1, 2]), /2 dimensions, the index 3/);
+  assert.throws(() => index.query([1, 2]), /2 dimensions/);
+  assert.throws(() => index.add(3, []), /non-empty array/);
+  assert.throws(() => index.query([1, 2, 3], 0), /k must be a positive integer/);
+});
+
+test('equally distant entries keep their insertion order and re-adding an id replaces it', () => {
+  const index = new VectorIndex().add('a', [1, 0]).add('b', [1, 0]).add('c', [0, 1]);
+  assert.deepEqual(index.query([1, 0], 2).map(h => h.id), ['a', 'b']);
+  index.add('a', [0, 1]);
+  assert.equal(index.size, 3);
+  assert.deepEqual(index.query([1, 0], 1).map(h => h.id), ['b']);
+  assert.equal(index.remove('a'), true);
+  assert.equal(index.remove('a'), false);
+  assert.equal(index.has('a'), false);
+});
+
+test('an index survives save and open', async () => {
+  const file = path.join(tmpDir, 'nested', 'index.json');
+  const missing = await VectorIndex.open(file);
+  assert.equal(missing.size, 0);
+  missing.add('a', [3, 4], { label: 'cat' }).add(7, [0, 1]);
+  await missing.save();
+
+  const loaded = await VectorIndex.open(file);
+  assert.equal(loaded.dims, 2);
+  assert.deepEqual([...loaded.items.keys()], ['a', 7]);
+  assert.deepEqual(Array.from(loaded.items.get('a').vector), [0.6000000238418579, 0.800000011920929]);
+  assert.deepEqual(loaded.query([3, 4], 1)[0].metadata, { label: 'cat' });
+
+  await fs.writeFile(file, JSON.stringify({ version: 2, metric: 'cosine', items: [] }));
+  await assert.rejects(VectorIndex.open(file), /Unsupported vector index file/);
+  await assert.rejects(new VectorIndex().save(), /No file/);
+});
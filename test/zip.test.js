@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { readZip } from '../src/utils/zip.js';
+import { readModelZip } from '../src/utils/io.js';
+
+// Minimal zip writer: deflated entries, with an optional `size` to lie about in the central directory
+function makeZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data, size = data.length } of entries) {
+    const nameBuf = Buffer.from(name);
+    const packed = zlib.deflateRawSync(data);
+    const crc = zlib.crc32 ? zlib.crc32(data) : 0;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, packed);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + packed.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, eocd]);
+}
+
+test('reads deflated entries', () => {
+  const files = readZip(makeZip([{ name: 'a.txt', data: Buffer.from('hello') }, { name: 'dir\\b.txt', data: Buffer.alloc(100, 1) }]));
+  assert.equal(files.get('a.txt').toString(), 'hello');
+  assert.equal(files.get('dir/b.txt').length, 100);
+});
+
+test('an entry inflating past its declared size is rejected', () => {
+  const bomb = makeZip([{ name: 'model.json', data: Buffer.alloc(1024 * 1024), size: 16 }]);
+  assert.throws(() => readZip(bomb), /inflates beyond its declared size/);
+});
+
+test('archives declaring too much content are rejected before inflating', () => {
+  const big = 600 * 1024 * 1024;
+  const zip = makeZip([{ name: 'a.bin', data: Buffer.alloc(8), size: big }, { name: 'b.bin', data: Buffer.alloc(8), size: big }]);
+  assert.throws(() => readZip(zip), /declares more than 1073741824 bytes/);
+  assert.throws(() => readZip(makeZip([{ name: 'a.txt', data: Buffer.alloc(64) }]), { maxTotalBytes: 63 }), /declares more than 63 bytes/);
+});
+
+test('archives with too many files are rejected', () => {
+  const entries = ['a', 'b', 'c'].map(name => ({ name, data: Buffer.from(name) }));
+  assert.equal(readZip(makeZip(entries), { maxEntries: 3 }).size, 3);
+  assert.throws(() => readZip(makeZip(entries), { maxEntries: 2 }), /more than 2 files/);
+});
+
+test('model archives with entries escaping the model folder are rejected', async () => {
+  const json = Buffer.from('{}');
+  for (const name of ['../evil.bin', 'export/../../evil.bin', '/etc/evil.bin']) {
+    const zip = makeZip([{ name: 'model.json', data: json }, { name, data: json }]);
+    await assert.rejects(readModelZip(zip), /Unsafe path/, name);
+  }
+});
+
+test('model archives are read relative to the folder holding model.json', async () => {
+  const zip = makeZip([{ name: 'export/model.json', data: Buffer.from('{}') }, { name: 'export/weights.bin', data: Buffer.alloc(8) }, { name: 'README.txt', data: Buffer.from('x') }]);
+  const files = await readModelZip(zip);
+  assert.deepEqual([...files.keys()].sort(), ['model.json', 'weights.bin']);
+});